@@ -4,8 +4,9 @@
  */
 
 const sqlite3 = require('sqlite3').verbose();
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const path = require('path');
+const { compile, normalizeRow } = require('./sql');
 
 // Determine if we're in production (PostgreSQL) or development (SQLite)
 const isProduction = process.env.NODE_ENV === 'production' || process.env.DATABASE_URL;
@@ -18,26 +19,41 @@ let pool = null;
 // ===================================
 
 async function initialize() {
+  await connect();
+  await runMigrations();
+}
+
+/**
+ * Open the database without running migrations
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly] - refuse all writes (e.g. when
+ *   inspecting a snapshot)
+ */
+async function connect(options = {}) {
   if (isProduction) {
-    await initializePostgres();
+    await initializePostgres(options);
   } else {
-    await initializeSQLite();
+    await initializeSQLite(options);
   }
-  await runMigrations();
 }
 
-async function initializeSQLite() {
+async function initializeSQLite({ readOnly = false } = {}) {
   const dbPath = process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'orders.db');
   
   // Ensure data directory exists
   const fs = require('fs');
   const dir = path.dirname(dbPath);
-  if (!fs.existsSync(dir)) {
+  if (!readOnly && !fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
 
+  const mode = readOnly
+    ? sqlite3.OPEN_READONLY
+    : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+
   return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(dbPath, (err) => {
+    db = new sqlite3.Database(dbPath, mode, (err) => {
       if (err) {
         console.error('SQLite connection error:', err);
         reject(err);
@@ -49,10 +65,16 @@ async function initializeSQLite() {
   });
 }
 
-async function initializePostgres() {
+async function initializePostgres({ readOnly = false } = {}) {
+  // COUNT()/SUM() return BIGINT and ROUND() returns NUMERIC, which pg hands
+  // back as strings. Parse them so results match SQLite.
+  types.setTypeParser(20, (value) => parseInt(value, 10));
+  types.setTypeParser(1700, (value) => parseFloat(value));
+
   pool = new Pool({
     connectionString: process.env.DATABASE_URL,
-    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false,
+    options: readOnly ? '-c default_transaction_read_only=on' : undefined
   });
 
   // Test connection
@@ -65,121 +87,16 @@ async function initializePostgres() {
 // MIGRATIONS
 // ===================================
 
+// Schema changes live in /migrations as numbered up/down files and are
+// applied by config/migrator.js. Any failure is fatal so the server never
+// boots against a half-migrated schema.
 async function runMigrations() {
-  const migrations = [
-    // Orders table
-    `CREATE TABLE IF NOT EXISTS orders (
-      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY ${isProduction ? '' : 'AUTOINCREMENT'},
-      reference_number VARCHAR(50) UNIQUE NOT NULL,
-      woo_order_id VARCHAR(50),
-      customer_email VARCHAR(255),
-      customer_name VARCHAR(255),
-      customer_phone VARCHAR(50),
-      amount_cents INTEGER NOT NULL,
-      currency VARCHAR(3) DEFAULT 'CAD',
-      status VARCHAR(50) DEFAULT 'pending',
-      payment_email VARCHAR(255),
-      payment_instructions TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      paid_at TIMESTAMP,
-      expires_at TIMESTAMP,
-      metadata ${isProduction ? 'JSONB' : 'TEXT'}
-    )`,
-
-    // Payment events table (audit log)
-    `CREATE TABLE IF NOT EXISTS payment_events (
-      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY ${isProduction ? '' : 'AUTOINCREMENT'},
-      order_id INTEGER REFERENCES orders(id),
-      event_type VARCHAR(50) NOT NULL,
-      event_data ${isProduction ? 'JSONB' : 'TEXT'},
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-
-    // Email aliases for rotation
-    `CREATE TABLE IF NOT EXISTS email_aliases (
-      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY ${isProduction ? '' : 'AUTOINCREMENT'},
-      alias_email VARCHAR(255) UNIQUE NOT NULL,
-      bank_name VARCHAR(100),
-      bank_slug VARCHAR(50),
-      active ${isProduction ? 'BOOLEAN' : 'INTEGER'} DEFAULT ${isProduction ? 'true' : '1'},
-      daily_cap_cents INTEGER DEFAULT 500000,
-      daily_total_cents INTEGER DEFAULT 0,
-      weight INTEGER DEFAULT 1,
-      last_used_at TIMESTAMP,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-
-    // Unmatched payments (for manual review)
-    `CREATE TABLE IF NOT EXISTS unmatched_payments (
-      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY ${isProduction ? '' : 'AUTOINCREMENT'},
-      amount_cents INTEGER NOT NULL,
-      sender_email VARCHAR(255),
-      sender_name VARCHAR(255),
-      reference_code VARCHAR(100),
-      reason VARCHAR(255) NOT NULL,
-      raw_text TEXT,
-      resolved ${isProduction ? 'BOOLEAN' : 'INTEGER'} DEFAULT ${isProduction ? 'false' : '0'},
-      resolved_by VARCHAR(255),
-      resolved_at TIMESTAMP,
-      notes TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-
-    // Blacklist for fraud prevention
-    `CREATE TABLE IF NOT EXISTS blacklist (
-      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY ${isProduction ? '' : 'AUTOINCREMENT'},
-      type VARCHAR(50) NOT NULL,
-      value VARCHAR(255) NOT NULL,
-      reason VARCHAR(255),
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(type, value)
-    )`,
-
-    // Webhook failures for retry
-    `CREATE TABLE IF NOT EXISTS webhook_failures (
-      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY ${isProduction ? '' : 'AUTOINCREMENT'},
-      webhook_url VARCHAR(500) NOT NULL,
-      payload TEXT NOT NULL,
-      error_message TEXT,
-      retry_count INTEGER DEFAULT 0,
-      last_retry_at TIMESTAMP,
-      resolved ${isProduction ? 'BOOLEAN' : 'INTEGER'} DEFAULT ${isProduction ? 'false' : '0'},
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-
-    // Rotation state for email alias rotation (every 20 orders)
-    `CREATE TABLE IF NOT EXISTS rotation_state (
-      id INTEGER PRIMARY KEY,
-      current_alias_id INTEGER REFERENCES email_aliases(id),
-      order_count INTEGER DEFAULT 0,
-      total_orders INTEGER DEFAULT 0,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-
-    // Indexes for performance
-    isProduction ? 
-      `CREATE INDEX IF NOT EXISTS idx_orders_reference ON orders(reference_number)` :
-      `CREATE INDEX IF NOT EXISTS idx_orders_reference ON orders(reference_number)`,
-    isProduction ?
-      `CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)` :
-      `CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)`,
-    isProduction ?
-      `CREATE INDEX IF NOT EXISTS idx_orders_woo_id ON orders(woo_order_id)` :
-      `CREATE INDEX IF NOT EXISTS idx_orders_woo_id ON orders(woo_order_id)`
-  ];
-
-  for (const migration of migrations) {
-    try {
-      await query(migration);
-    } catch (error) {
-      // Ignore "already exists" errors
-      if (!error.message.includes('already exists') && !error.message.includes('duplicate')) {
-        console.error('Migration error:', error.message);
-      }
-    }
-  }
+  const { migrate } = require('./migrator');
+  const applied = await migrate();
 
+  if (applied.length > 0) {
+    console.log(`✅ Applied ${applied.length} migration(s): ${applied.map(m => m.name).join(', ')}`);
+  }
   console.log('✅ Database migrations complete');
 }
 
@@ -187,58 +104,222 @@ async function runMigrations() {
 // QUERY HELPERS
 // ===================================
 
+// All helpers accept `?` placeholders with an array of params, or `:name`
+// placeholders with an object. See config/sql.js for how values are bound.
+
 async function query(sql, params = []) {
   if (isProduction) {
-    // Convert ? placeholders to $1, $2, etc. for PostgreSQL
-    let pgSql = sql;
-    let paramIndex = 1;
-    while (pgSql.includes('?')) {
-      pgSql = pgSql.replace('?', '$' + paramIndex);
-      paramIndex++;
-    }
-    const result = await pool.query(pgSql, params);
-    return result.rows;
-  } else {
-    return new Promise((resolve, reject) => {
-      if (sql.trim().toUpperCase().startsWith('SELECT')) {
-        db.all(sql, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      } else if (sql.trim().toUpperCase().startsWith('INSERT')) {
-        db.run(sql, params, function(err) {
-          if (err) reject(err);
-          else resolve({ insertId: this.lastID, changes: this.changes });
-        });
-      } else {
-        db.run(sql, params, function(err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        });
-      }
-    });
+    return pgQuery(pool, sql, params);
   }
+  await waitForSqliteTransaction();
+  return sqliteQuery(sql, params);
 }
 
 async function get(sql, params = []) {
   if (isProduction) {
-    let pgSql = sql;
-    let idx = 1;
-    while (pgSql.includes('?')) {
-      pgSql = pgSql.replace('?', '$' + idx);
-      idx++;
-    }
-    const result = await pool.query(pgSql, params);    return result.rows[0] || null;
-  } else {
-    return new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
+    return pgGet(pool, sql, params);
+  }
+  await waitForSqliteTransaction();
+  return sqliteGet(sql, params);
+}
+
+/**
+ * Run a write statement
+ * @returns {{ changes: number }} number of affected rows on both dialects
+ */
+async function run(sql, params = []) {
+  if (isProduction) {
+    return pgRun(pool, sql, params);
+  }
+  await waitForSqliteTransaction();
+  return sqliteRun(sql, params);
+}
+
+/**
+ * Insert one row from a column → value object
+ * @returns {number} id of the new row
+ */
+async function insert(table, values) {
+  if (isProduction) {
+    return pgInsert(pool, table, values);
+  }
+  await waitForSqliteTransaction();
+  return sqliteInsert(table, values);
+}
+
+function buildInsert(table, values) {
+  const columns = Object.keys(values);
+  return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => ':' + c).join(', ')})`;
+}
+
+// PostgreSQL
+
+async function pgQuery(client, sql, params) {
+  const { text, values } = compile(sql, params, 'postgres');
+  const result = await client.query(text, values);
+  return result.rows.map(normalizeRow);
+}
+
+async function pgGet(client, sql, params) {
+  const rows = await pgQuery(client, sql, params);
+  return rows[0] || null;
+}
+
+async function pgRun(client, sql, params) {
+  const { text, values } = compile(sql, params, 'postgres');
+  const result = await client.query(text, values);
+  return { changes: result.rowCount };
+}
+
+async function pgInsert(client, table, values) {
+  const row = await pgGet(client, buildInsert(table, values) + ' RETURNING id', values);
+  return row.id;
+}
+
+// SQLite
+
+function sqliteQuery(sql, params) {
+  const { text, values } = compile(sql, params, 'sqlite');
+  const statement = text.trim().toUpperCase();
+
+  return new Promise((resolve, reject) => {
+    if (statement.startsWith('SELECT') || statement.startsWith('WITH')) {
+      db.all(text, values, (err, rows) => {
         if (err) reject(err);
-        else resolve(row || null);
+        else resolve(rows.map(normalizeRow));
       });
+    } else if (statement.startsWith('INSERT')) {
+      db.run(text, values, function(err) {
+        if (err) reject(err);
+        else resolve({ insertId: this.lastID, changes: this.changes });
+      });
+    } else {
+      db.run(text, values, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    }
+  });
+}
+
+function sqliteGet(sql, params) {
+  const { text, values } = compile(sql, params, 'sqlite');
+
+  return new Promise((resolve, reject) => {
+    db.get(text, values, (err, row) => {
+      if (err) reject(err);
+      else resolve(normalizeRow(row) || null);
+    });
+  });
+}
+
+function sqliteRun(sql, params) {
+  const { text, values } = compile(sql, params, 'sqlite');
+
+  return new Promise((resolve, reject) => {
+    db.run(text, values, function(err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes, insertId: this.lastID });
     });
+  });
+}
+
+async function sqliteInsert(table, values) {
+  const result = await sqliteRun(buildInsert(table, values), values);
+  return result.insertId;
+}
+
+// ===================================
+// TRANSACTIONS
+// ===================================
+
+// SQLite has a single connection, so an open transaction would otherwise
+// absorb any unrelated query issued while it runs. Plain queries wait for
+// it to finish and transactions run one at a time: each is chained onto
+// the one before it synchronously, so two callers can never both start.
+// sqliteQueue is the end of the chain, or null when no transaction is
+// running or waiting.
+let sqliteQueue = null;
+
+async function waitForSqliteTransaction() {
+  while (sqliteQueue) {
+    await sqliteQueue;
   }
 }
 
+/**
+ * Run fn inside a database transaction.
+ * fn receives a tx handle with the same query/get/run/insert interface as this module;
+ * only queries made through tx are part of the transaction. Commits when fn
+ * resolves and rolls back if it throws (the error is re-thrown).
+ *
+ * @example
+ * await db.transaction(async (tx) => {
+ *   await tx.query('UPDATE orders SET status = ? WHERE id = ?', ['paid', id]);
+ *   await tx.query('INSERT INTO payment_events ...', [...]);
+ * });
+ */
+async function transaction(fn) {
+  if (isProduction) {
+    const client = await pool.connect();
+    const tx = createTransactionHandle({
+      query: (sql, params = []) => pgQuery(client, sql, params),
+      get: (sql, params = []) => pgGet(client, sql, params),
+      run: (sql, params = []) => pgRun(client, sql, params),
+      insert: (table, values) => pgInsert(client, table, values)
+    });
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(tx);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(e => console.error('Rollback error:', e.message));
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const run = (sqliteQueue || Promise.resolve()).then(() => runSqliteTransaction(fn));
+  const done = run.then(() => {}, () => {});
+  sqliteQueue = done;
+  done.then(() => {
+    if (sqliteQueue === done) sqliteQueue = null;
+  });
+  return run;
+}
+
+async function runSqliteTransaction(fn) {
+  const tx = createTransactionHandle({
+    query: (sql, params = []) => sqliteQuery(sql, params),
+    get: (sql, params = []) => sqliteGet(sql, params),
+    run: (sql, params = []) => sqliteRun(sql, params),
+    insert: (table, values) => sqliteInsert(table, values)
+  });
+
+  try {
+    await sqliteQuery('BEGIN IMMEDIATE', []);
+    const result = await fn(tx);
+    await sqliteQuery('COMMIT', []);
+    return result;
+  } catch (error) {
+    await sqliteQuery('ROLLBACK', []).catch(e => console.error('Rollback error:', e.message));
+    throw error;
+  }
+}
+
+function createTransactionHandle(helpers) {
+  const tx = {
+    ...helpers,
+    isProduction,
+    // Nested transactions join the outer one
+    transaction: (fn) => fn(tx)
+  };
+  return tx;
+}
+
 async function close() {
   if (isProduction && pool) {
     await pool.end();
@@ -249,14 +330,30 @@ async function close() {
   }
 }
 
+// ===================================
+// ERRORS
+// ===================================
+
+/**
+ * Whether a write failed on a unique constraint, on either engine
+ */
+function isUniqueViolation(error) {
+  return error.message.includes('UNIQUE') || error.message.includes('duplicate');
+}
+
 // ===================================
 // EXPORTS
 // ===================================
 
 module.exports = {
   initialize,
+  connect,
   query,
   get,
+  run,
+  insert,
+  transaction,
   close,
+  isUniqueViolation,
   isProduction
 };
@@ -0,0 +1,196 @@
+/**
+ * Schema Migrator
+ * Applies numbered up/down migrations from /migrations and records them
+ * in the schema_migrations table
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/i;
+
+// ===================================
+// DIALECT HELPERS
+// ===================================
+
+/**
+ * Column fragments that differ between SQLite and PostgreSQL.
+ * Passed to every migration so files never branch on the dialect for
+ * the common cases.
+ */
+function getTypes() {
+  const pg = db.isProduction;
+  return {
+    id: pg ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    json: pg ? 'JSONB' : 'TEXT',
+    boolean: pg ? 'BOOLEAN' : 'INTEGER',
+    true: pg ? 'true' : '1',
+    false: pg ? 'false' : '0'
+  };
+}
+
+function getContext(tx) {
+  return {
+    query: tx.query,
+    get: tx.get,
+    dialect: db.isProduction ? 'postgres' : 'sqlite',
+    isPostgres: !!db.isProduction,
+    types: getTypes()
+  };
+}
+
+// ===================================
+// LOADING
+// ===================================
+
+/**
+ * Read migration files from disk, sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const migration = require(path.join(dir, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name,
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions() {
+  const rows = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return rows.map(r => ({ ...r, version: parseInt(r.version, 10) }));
+}
+
+// ===================================
+// APPLY / ROLLBACK
+// ===================================
+
+/**
+ * Apply all pending migrations in order, each in its own transaction.
+ * Stops at the first failure and throws - later migrations are not attempted.
+ * @returns {Array} migrations that were applied
+ */
+async function migrate() {
+  await ensureMigrationsTable();
+
+  const migrations = loadMigrations();
+  const applied = new Set((await getAppliedVersions()).map(r => r.version));
+  const pending = migrations.filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    console.log(`⬆️  Migrating ${migration.file}`);
+    try {
+      await db.transaction(async (tx) => {
+        await migration.up(getContext(tx));
+        await tx.query(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    }
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - how many migrations to undo
+ * @returns {Array} migrations that were rolled back
+ */
+async function rollback(steps = 1) {
+  await ensureMigrationsTable();
+
+  const migrations = loadMigrations();
+  const applied = await getAppliedVersions();
+  const toRollback = applied.slice(-steps).reverse();
+  const rolledBack = [];
+
+  for (const row of toRollback) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back version ${row.version} (${row.name}): migration file not found`);
+    }
+
+    console.log(`⬇️  Rolling back ${migration.file}`);
+    try {
+      await db.transaction(async (tx) => {
+        await migration.down(getContext(tx));
+        await tx.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+    } catch (error) {
+      throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+    }
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Report applied, pending and orphaned (applied but missing on disk) migrations
+ */
+async function status() {
+  await ensureMigrationsTable();
+
+  const migrations = loadMigrations();
+  const applied = await getAppliedVersions();
+  const appliedByVersion = new Map(applied.map(r => [r.version, r]));
+
+  return {
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedByVersion.has(m.version),
+      applied_at: appliedByVersion.get(m.version)?.applied_at || null
+    })),
+    pending: migrations.filter(m => !appliedByVersion.has(m.version)).length,
+    orphaned: applied.filter(r => !migrations.some(m => m.version === r.version))
+  };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  loadMigrations,
+  MIGRATIONS_DIR
+};
@@ -0,0 +1,191 @@
+/**
+ * SQL Compiler
+ * Turns one query string into the right form for SQLite or PostgreSQL
+ *
+ * Queries may use positional `?` placeholders with an array of params, or
+ * named `:name` placeholders with an object. Quoted strings, identifiers,
+ * comments and PostgreSQL `::` casts are left untouched.
+ */
+
+// Columns holding JSON. Objects are serialized on write and parsed on read,
+// so callers see the same shape whether the column is TEXT or JSONB.
+const JSON_COLUMNS = new Set(['metadata', 'event_data', 'payment_instructions', 'raw_data', 'headers', 'parse_result', 'auth_result']);
+
+// Columns holding booleans. SQLite stores these as 0/1.
+const BOOLEAN_COLUMNS = new Set(['active', 'resolved', 'unique_amount', 'tls_verify', 'requires_security_answer', 'composed']);
+
+// ===================================
+// COMPILE
+// ===================================
+
+/**
+ * @param {string} sql - query with `?` or `:name` placeholders
+ * @param {Array|Object} params - positional array or named object
+ * @param {'sqlite'|'postgres'} dialect
+ * @returns {{ text: string, values: Array }}
+ */
+function compile(sql, params = [], dialect = 'sqlite') {
+  const pg = dialect === 'postgres';
+  const named = params !== null && typeof params === 'object' && !Array.isArray(params);
+  const values = [];
+  const namedIndex = new Map();
+  let positional = 0;
+  let text = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // Quoted string or identifier ('' and "" are escapes)
+    if (ch === '\'' || ch === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === ch) {
+          if (sql[j + 1] === ch) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      text += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    // Line comment
+    if (ch === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      const stop = end === -1 ? sql.length : end;
+      text += sql.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // Block comment
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const stop = end === -1 ? sql.length : end + 2;
+      text += sql.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // PostgreSQL cast
+    if (ch === ':' && next === ':') {
+      text += '::';
+      i += 2;
+      continue;
+    }
+
+    if (named && ch === ':' && /[A-Za-z_]/.test(next || '')) {
+      let j = i + 1;
+      while (j < sql.length && /[A-Za-z0-9_]/.test(sql[j])) j++;
+      const name = sql.slice(i + 1, j);
+
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        throw new Error(`Missing SQL parameter :${name}`);
+      }
+
+      if (pg) {
+        // Reuse the same $n when a name appears more than once
+        if (!namedIndex.has(name)) {
+          values.push(toDbValue(params[name], dialect));
+          namedIndex.set(name, values.length);
+        }
+        text += '$' + namedIndex.get(name);
+      } else {
+        values.push(toDbValue(params[name], dialect));
+        text += '?';
+      }
+      i = j;
+      continue;
+    }
+
+    if (!named && ch === '?') {
+      if (positional >= params.length) {
+        throw new Error(`SQL has more placeholders than the ${params.length} parameter(s) given`);
+      }
+      values.push(toDbValue(params[positional++], dialect));
+      text += pg ? '$' + values.length : '?';
+      i++;
+      continue;
+    }
+
+    text += ch;
+    i++;
+  }
+
+  if (!named && positional !== params.length) {
+    throw new Error(`SQL has ${positional} placeholder(s) but ${params.length} parameter(s) were given`);
+  }
+
+  return { text, values };
+}
+
+// ===================================
+// VALUE NORMALIZATION
+// ===================================
+
+/**
+ * Convert a JS value to what the driver should bind
+ */
+function toDbValue(value, dialect) {
+  if (value === undefined) return null;
+  if (value === null) return null;
+
+  if (typeof value === 'boolean') {
+    return dialect === 'postgres' ? value : (value ? 1 : 0);
+  }
+
+  if (value instanceof Date) {
+    // Match SQLite's CURRENT_TIMESTAMP format so stored and bound
+    // timestamps compare correctly as strings
+    return dialect === 'postgres' ? value : value.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+  }
+
+  if (Buffer.isBuffer(value)) return value;
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return value;
+}
+
+/**
+ * Decode JSON and boolean columns in a result row
+ */
+function normalizeRow(row) {
+  if (!row) return row;
+
+  for (const key of Object.keys(row)) {
+    const value = row[key];
+
+    if (BOOLEAN_COLUMNS.has(key) && (value === 0 || value === 1)) {
+      row[key] = value === 1;
+    } else if (JSON_COLUMNS.has(key) && typeof value === 'string') {
+      try {
+        row[key] = JSON.parse(value);
+      } catch (e) {
+        // Leave non-JSON text as-is
+      }
+    }
+  }
+
+  return row;
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  compile,
+  toDbValue,
+  normalizeRow,
+  JSON_COLUMNS,
+  BOOLEAN_COLUMNS
+};
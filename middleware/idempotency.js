@@ -0,0 +1,203 @@
+/**
+ * Idempotency Middleware
+ * Honors the Idempotency-Key header so retried requests replay the original
+ * response instead of creating duplicate orders or payments
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const MAX_KEY_LENGTH = 255;
+
+// Keys older than this are removed by the scheduler
+const KEY_TTL_HOURS = 24;
+
+// A key still in progress after this long was left by a crash or restart,
+// and the next retry takes it over
+const IN_PROGRESS_TIMEOUT_MINUTES = 5;
+
+// ===================================
+// HELPERS
+// ===================================
+
+// JSON.stringify with sorted keys so the same payload always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+async function saveResponse(id, statusCode, body, redact) {
+  // Server errors are not cached so the client can retry
+  if (statusCode >= 500) {
+    await db.run('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+    return;
+  }
+
+  await db.run(
+    `UPDATE idempotency_keys
+     SET status = 'completed', response_status = ?, response_body = ?, completed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [statusCode, JSON.stringify(redact ? redact(body) : body), id]
+  );
+}
+
+// Drop a key whose request ended without a saved response, so a retry
+// runs again instead of getting 409 until the key expires
+async function releaseKey(id) {
+  await db.run("DELETE FROM idempotency_keys WHERE id = ? AND status = 'in_progress'", [id]);
+}
+
+// Take over a key left in progress by a request that never finished.
+// Only one retry wins: the update fails once created_at has moved on.
+async function claimStaleKey(existing) {
+  const cutoff = new Date(Date.now() - IN_PROGRESS_TIMEOUT_MINUTES * 60 * 1000);
+  const result = await db.run(
+    `UPDATE idempotency_keys SET created_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'in_progress' AND created_at < ?`,
+    [existing.id, cutoff]
+  );
+  return result.changes > 0;
+}
+
+// ===================================
+// MIDDLEWARE
+// ===================================
+
+/**
+ * @param {string} scope - namespace for keys, usually the route name
+ * @param {Object} [options]
+ * @param {Function} [options.redact] - (body) => the body to store, without
+ *   secrets that must not be kept
+ * @param {Function} [options.restore] - async (body) => the stored body with
+ *   the secrets put back, for a replay
+ */
+function idempotency(scope, options = {}) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const requestHash = hashRequest(req);
+
+    try {
+      let recordId;
+      try {
+        recordId = await db.insert('idempotency_keys', {
+          idempotency_key: key,
+          scope,
+          request_hash: requestHash,
+          status: 'in_progress'
+        });
+      } catch (error) {
+        if (!db.isUniqueViolation(error)) {
+          throw error;
+        }
+
+        const existing = await db.get(
+          'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+          [scope, key]
+        );
+
+        if (!existing) {
+          // Deleted between our insert and read (a 5xx just completed)
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key was just retried. Please try again.'
+          });
+        }
+
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key has already been used with a different request payload'
+          });
+        }
+
+        if (existing.status === 'completed') {
+          let body = JSON.parse(existing.response_body);
+          if (options.restore) {
+            body = await options.restore(body);
+          }
+
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response_status).json(body);
+        }
+
+        if (!(await claimStaleKey(existing))) {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        recordId = existing.id;
+      }
+
+      // Capture the response so retries can replay it
+      let saved = false;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        saved = true;
+        saveResponse(recordId, res.statusCode, body, options.redact)
+          .catch(err => console.error('Idempotency save error:', err.message));
+        return originalJson(body);
+      };
+
+      // The handler threw, answered without JSON or the client went away
+      res.on('close', () => {
+        if (!saved) {
+          releaseKey(recordId)
+            .catch(err => console.error('Idempotency release error:', err.message));
+        }
+      });
+
+      next();
+
+    } catch (error) {
+      console.error('Idempotency error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Delete keys past their TTL
+ * @returns {number} number of keys removed
+ */
+async function cleanupIdempotencyKeys() {
+  const cutoff = new Date(Date.now() - KEY_TTL_HOURS * 60 * 60 * 1000);
+  const result = await db.run('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff]);
+  return result.changes;
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  idempotency,
+  cleanupIdempotencyKeys,
+  KEY_TTL_HOURS,
+  IN_PROGRESS_TIMEOUT_MINUTES
+};
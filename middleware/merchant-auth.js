@@ -0,0 +1,46 @@
+/**
+ * Merchant Auth Middleware
+ * Requires the merchant API key on endpoints that return customer data or
+ * change orders. Send it as `X-API-Key` or `Authorization: Bearer <key>`.
+ */
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getProvidedKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+
+  const auth = req.get('Authorization') || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : null;
+}
+
+function requireMerchantKey(req, res, next) {
+  const expected = process.env.MERCHANT_API_KEY;
+
+  if (!expected) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('❌ MERCHANT_API_KEY not set - refusing merchant request');
+      return res.status(503).json({ success: false, error: 'Merchant API key is not configured' });
+    }
+    // Development mode, same as the admin routes
+    console.warn('⚠️ MERCHANT_API_KEY not set - merchant routes are unprotected!');
+    return next();
+  }
+
+  const provided = getProvidedKey(req);
+  if (!provided || !safeEqual(provided, expected)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized - Invalid API key' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireMerchantKey
+};
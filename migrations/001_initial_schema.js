@@ -0,0 +1,114 @@
+/**
+ * 001 - Initial schema
+ * The tables created by the original runMigrations() list. Uses IF NOT EXISTS
+ * so databases created before the migrator are adopted without changes.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    // Orders table
+    await query(`CREATE TABLE IF NOT EXISTS orders (
+      id ${types.id},
+      reference_number VARCHAR(50) UNIQUE NOT NULL,
+      woo_order_id VARCHAR(50),
+      customer_email VARCHAR(255),
+      customer_name VARCHAR(255),
+      customer_phone VARCHAR(50),
+      amount_cents INTEGER NOT NULL,
+      currency VARCHAR(3) DEFAULT 'CAD',
+      status VARCHAR(50) DEFAULT 'pending',
+      payment_email VARCHAR(255),
+      payment_instructions TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      paid_at TIMESTAMP,
+      expires_at TIMESTAMP,
+      metadata ${types.json}
+    )`);
+
+    // Payment events table (audit log)
+    await query(`CREATE TABLE IF NOT EXISTS payment_events (
+      id ${types.id},
+      order_id INTEGER REFERENCES orders(id),
+      event_type VARCHAR(50) NOT NULL,
+      event_data ${types.json},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Email aliases for rotation
+    await query(`CREATE TABLE IF NOT EXISTS email_aliases (
+      id ${types.id},
+      alias_email VARCHAR(255) UNIQUE NOT NULL,
+      bank_name VARCHAR(100),
+      bank_slug VARCHAR(50),
+      active ${types.boolean} DEFAULT ${types.true},
+      daily_cap_cents INTEGER DEFAULT 500000,
+      daily_total_cents INTEGER DEFAULT 0,
+      weight INTEGER DEFAULT 1,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Unmatched payments (for manual review)
+    await query(`CREATE TABLE IF NOT EXISTS unmatched_payments (
+      id ${types.id},
+      amount_cents INTEGER NOT NULL,
+      sender_email VARCHAR(255),
+      sender_name VARCHAR(255),
+      reference_code VARCHAR(100),
+      reason VARCHAR(255) NOT NULL,
+      raw_text TEXT,
+      resolved ${types.boolean} DEFAULT ${types.false},
+      resolved_by VARCHAR(255),
+      resolved_at TIMESTAMP,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Blacklist for fraud prevention
+    await query(`CREATE TABLE IF NOT EXISTS blacklist (
+      id ${types.id},
+      type VARCHAR(50) NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(type, value)
+    )`);
+
+    // Webhook failures for retry
+    await query(`CREATE TABLE IF NOT EXISTS webhook_failures (
+      id ${types.id},
+      webhook_url VARCHAR(500) NOT NULL,
+      payload TEXT NOT NULL,
+      error_message TEXT,
+      retry_count INTEGER DEFAULT 0,
+      last_retry_at TIMESTAMP,
+      resolved ${types.boolean} DEFAULT ${types.false},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Rotation state for email alias rotation (every 20 orders)
+    await query(`CREATE TABLE IF NOT EXISTS rotation_state (
+      id INTEGER PRIMARY KEY,
+      current_alias_id INTEGER REFERENCES email_aliases(id),
+      order_count INTEGER DEFAULT 0,
+      total_orders INTEGER DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Indexes for performance
+    await query('CREATE INDEX IF NOT EXISTS idx_orders_reference ON orders(reference_number)');
+    await query('CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)');
+    await query('CREATE INDEX IF NOT EXISTS idx_orders_woo_id ON orders(woo_order_id)');
+  },
+
+  async down({ query }) {
+    await query('DROP TABLE IF EXISTS rotation_state');
+    await query('DROP TABLE IF EXISTS webhook_failures');
+    await query('DROP TABLE IF EXISTS blacklist');
+    await query('DROP TABLE IF EXISTS unmatched_payments');
+    await query('DROP TABLE IF EXISTS email_aliases');
+    await query('DROP TABLE IF EXISTS payment_events');
+    await query('DROP TABLE IF EXISTS orders');
+  }
+};
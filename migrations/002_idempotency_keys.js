@@ -0,0 +1,28 @@
+/**
+ * 002 - Idempotency keys
+ * Stores the request hash and response for each Idempotency-Key so retried
+ * requests replay the original response instead of running twice.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE idempotency_keys (
+      id ${types.id},
+      idempotency_key VARCHAR(255) NOT NULL,
+      scope VARCHAR(100) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      response_status INTEGER,
+      response_body TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      UNIQUE(scope, idempotency_key)
+    )`);
+
+    await query('CREATE INDEX idx_idempotency_keys_created ON idempotency_keys(created_at)');
+  },
+
+  async down({ query }) {
+    await query('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * 003 - Payments
+ * One row per received transfer, so an order can be paid in several parts.
+ * orders.amount_received_cents keeps the running total.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE payments (
+      id ${types.id},
+      order_id INTEGER NOT NULL REFERENCES orders(id),
+      amount_cents INTEGER NOT NULL,
+      currency VARCHAR(3) DEFAULT 'CAD',
+      source VARCHAR(50) NOT NULL,
+      sender_email VARCHAR(255),
+      sender_name VARCHAR(255),
+      reference_code VARCHAR(100),
+      transaction_id VARCHAR(100),
+      unmatched_payment_id INTEGER REFERENCES unmatched_payments(id),
+      raw_data ${types.json},
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query('CREATE INDEX idx_payments_order ON payments(order_id)');
+
+    await query('ALTER TABLE orders ADD COLUMN amount_received_cents INTEGER NOT NULL DEFAULT 0');
+
+    // Orders already paid before this migration received their full amount
+    await query(`UPDATE orders SET amount_received_cents = amount_cents
+      WHERE status IN ('paid', 'processing', 'completed')`);
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE orders DROP COLUMN amount_received_cents');
+    await query('DROP TABLE IF EXISTS payments');
+  }
+};
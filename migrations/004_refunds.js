@@ -0,0 +1,40 @@
+/**
+ * 004 - Refunds
+ * One row per refund, tracked pending → sent → completed.
+ * orders.amount_refunded_cents keeps the total of completed refunds.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE refunds (
+      id ${types.id},
+      order_id INTEGER NOT NULL REFERENCES orders(id),
+      amount_cents INTEGER NOT NULL,
+      currency VARCHAR(3) DEFAULT 'CAD',
+      reason TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      recipient_email VARCHAR(255),
+      requested_by VARCHAR(255),
+      woo_refund_id VARCHAR(100),
+      sent_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query('CREATE INDEX idx_refunds_order ON refunds(order_id)');
+    await query('CREATE INDEX idx_refunds_status ON refunds(status)');
+
+    await query('ALTER TABLE orders ADD COLUMN amount_refunded_cents INTEGER NOT NULL DEFAULT 0');
+
+    // Orders refunded before this migration were refunded in full
+    await query(`UPDATE orders
+      SET amount_received_cents = amount_cents, amount_refunded_cents = amount_cents
+      WHERE status = 'refunded'`);
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE orders DROP COLUMN amount_refunded_cents');
+    await query('DROP TABLE IF EXISTS refunds');
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * 005 - Order search indexes
+ * Backs cursor pagination on (created_at, id) and the common search filters
+ */
+
+module.exports = {
+  async up({ query }) {
+    await query('CREATE INDEX idx_orders_created_id ON orders(created_at, id)');
+    await query('CREATE INDEX idx_orders_customer_email ON orders(customer_email)');
+    await query('CREATE INDEX idx_orders_payment_email ON orders(payment_email)');
+    await query('CREATE INDEX idx_orders_paid_at ON orders(paid_at)');
+  },
+
+  async down({ query }) {
+    await query('DROP INDEX IF EXISTS idx_orders_paid_at');
+    await query('DROP INDEX IF EXISTS idx_orders_payment_email');
+    await query('DROP INDEX IF EXISTS idx_orders_customer_email');
+    await query('DROP INDEX IF EXISTS idx_orders_created_id');
+  }
+};
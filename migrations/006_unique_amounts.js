@@ -0,0 +1,23 @@
+/**
+ * 006 - Unique amounts
+ * Orders can be given a payable amount a few cents off the catalog price
+ * so same-price orders to one alias can be told apart by amount alone.
+ * amount_cents stays the amount the customer pays.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query('ALTER TABLE orders ADD COLUMN catalog_amount_cents INTEGER');
+    await query(`ALTER TABLE orders ADD COLUMN unique_amount ${types.boolean} NOT NULL DEFAULT ${types.false}`);
+
+    await query('UPDATE orders SET catalog_amount_cents = amount_cents');
+
+    await query('CREATE INDEX idx_orders_payment_email_amount ON orders(payment_email, amount_cents)');
+  },
+
+  async down({ query }) {
+    await query('DROP INDEX IF EXISTS idx_orders_payment_email_amount');
+    await query('ALTER TABLE orders DROP COLUMN unique_amount');
+    await query('ALTER TABLE orders DROP COLUMN catalog_amount_cents');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * 007 - Inbound emails
+ * Every message fetched from the payment inbox, stored before it is marked
+ * seen, with the parse result and what processing did with it. Message-ID
+ * is unique so a message fetched twice is only processed once.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE inbound_emails (
+      id ${types.id},
+      message_id VARCHAR(998) NOT NULL UNIQUE,
+      mailbox VARCHAR(255),
+      imap_uid INTEGER,
+      from_address TEXT,
+      to_address TEXT,
+      subject TEXT,
+      sent_at TIMESTAMP,
+      headers ${types.json},
+      body_text TEXT,
+      body_html TEXT,
+      raw_source TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'received',
+      parser VARCHAR(50),
+      parse_confidence INTEGER,
+      parse_result ${types.json},
+      order_id INTEGER REFERENCES orders(id),
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      processed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query('CREATE INDEX idx_inbound_emails_status ON inbound_emails(status, created_at)');
+  },
+
+  async down({ query }) {
+    await query('DROP TABLE IF EXISTS inbound_emails');
+  }
+};
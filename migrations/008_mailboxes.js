@@ -0,0 +1,36 @@
+/**
+ * 008 - Mailboxes
+ * IMAP mailboxes the payment checker monitors besides the IMAP_* inbox.
+ * Passwords are stored encrypted (see services/secrets.js). Aliases point
+ * at the mailbox their notifications arrive in; several aliases can share
+ * one. Payments record the mailbox they arrived in.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE mailboxes (
+      id ${types.id},
+      name VARCHAR(100) NOT NULL UNIQUE,
+      host VARCHAR(255) NOT NULL,
+      port INTEGER NOT NULL DEFAULT 993,
+      username VARCHAR(255) NOT NULL,
+      password_encrypted TEXT NOT NULL,
+      folder VARCHAR(255) NOT NULL DEFAULT 'INBOX',
+      tls_verify ${types.boolean} NOT NULL DEFAULT ${types.true},
+      active ${types.boolean} NOT NULL DEFAULT ${types.true},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query('ALTER TABLE email_aliases ADD COLUMN mailbox_id INTEGER REFERENCES mailboxes(id)');
+    await query('ALTER TABLE payments ADD COLUMN mailbox VARCHAR(255)');
+    await query('ALTER TABLE unmatched_payments ADD COLUMN mailbox VARCHAR(255)');
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE unmatched_payments DROP COLUMN mailbox');
+    await query('ALTER TABLE payments DROP COLUMN mailbox');
+    await query('ALTER TABLE email_aliases DROP COLUMN mailbox_id');
+    await query('DROP TABLE IF EXISTS mailboxes');
+  }
+};
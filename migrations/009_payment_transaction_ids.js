@@ -0,0 +1,37 @@
+/**
+ * 009 - Payment transaction IDs
+ * An Interac transaction ID identifies one transfer, so it may be recorded
+ * once as a payment and once as an unmatched payment. IDs are stored
+ * uppercase without spaces (see normalizeTransactionId in
+ * services/payments.js).
+ */
+
+module.exports = {
+  async up({ query }) {
+    await query('ALTER TABLE unmatched_payments ADD COLUMN transaction_id VARCHAR(100)');
+
+    await query(`UPDATE payments SET transaction_id = UPPER(REPLACE(transaction_id, ' ', ''))
+      WHERE transaction_id IS NOT NULL`);
+    await query(`UPDATE payments SET transaction_id = NULL WHERE transaction_id = ''`);
+
+    // Money already applied twice can't be undone here. Keep the ID on the
+    // first payment so the index can be created, and leave the rest for
+    // an admin to find.
+    const duplicates = await query(`SELECT id, order_id, transaction_id FROM payments p
+      WHERE transaction_id IS NOT NULL
+        AND id > (SELECT MIN(id) FROM payments WHERE transaction_id = p.transaction_id)`);
+    for (const payment of duplicates) {
+      console.warn(`⚠️ Payment ${payment.id} (order ${payment.order_id}) repeats transaction ${payment.transaction_id} - ID cleared`);
+      await query('UPDATE payments SET transaction_id = NULL WHERE id = ?', [payment.id]);
+    }
+
+    await query('CREATE UNIQUE INDEX idx_payments_transaction_id ON payments(transaction_id)');
+    await query('CREATE UNIQUE INDEX idx_unmatched_payments_transaction_id ON unmatched_payments(transaction_id)');
+  },
+
+  async down({ query }) {
+    await query('DROP INDEX IF EXISTS idx_unmatched_payments_transaction_id');
+    await query('DROP INDEX IF EXISTS idx_payments_transaction_id');
+    await query('ALTER TABLE unmatched_payments DROP COLUMN transaction_id');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * 010 - Inbound email authentication
+ * The sender verification result for each payment notification: DKIM
+ * signatures, trusted Authentication-Results/ARC, and whether the sender
+ * is allowed. Emails that fail are held with status quarantined.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`ALTER TABLE inbound_emails ADD COLUMN auth_result ${types.json}`);
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE inbound_emails DROP COLUMN auth_result');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * 011 - Pending deposits and payment reversals
+ * A transfer the bank holds until it is deposited by hand is recorded in
+ * pending_deposits, with the order it holds and the status the order had
+ * before. It is resolved when the deposit notice arrives or the transfer
+ * is cancelled, expires or is declined. Payments whose transfer was later
+ * reversed keep their row, marked with reversed_at.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE pending_deposits (
+      id ${types.id},
+      order_id INTEGER REFERENCES orders(id),
+      transaction_id VARCHAR(100),
+      amount_cents INTEGER,
+      sender_email VARCHAR(255),
+      sender_name VARCHAR(255),
+      reference_code VARCHAR(100),
+      inbound_email_id INTEGER REFERENCES inbound_emails(id),
+      previous_status VARCHAR(50),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      payment_id INTEGER REFERENCES payments(id),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query('CREATE UNIQUE INDEX idx_pending_deposits_transaction_id ON pending_deposits(transaction_id)');
+    await query('CREATE INDEX idx_pending_deposits_order ON pending_deposits(order_id)');
+
+    await query('ALTER TABLE payments ADD COLUMN reversed_at TIMESTAMP');
+    await query('ALTER TABLE payments ADD COLUMN reversal_reason VARCHAR(50)');
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE payments DROP COLUMN reversal_reason');
+    await query('ALTER TABLE payments DROP COLUMN reversed_at');
+    await query('DROP TABLE IF EXISTS pending_deposits');
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * 012 - Security answers
+ * Aliases without Autodeposit make the payer set a security question.
+ * Orders sent to an alias flagged requires_security_answer get their own
+ * answer, stored only as a salted hash.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`ALTER TABLE email_aliases ADD COLUMN requires_security_answer ${types.boolean} NOT NULL DEFAULT ${types.false}`);
+    await query('ALTER TABLE orders ADD COLUMN security_answer_hash VARCHAR(255)');
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE orders DROP COLUMN security_answer_hash');
+    await query('ALTER TABLE email_aliases DROP COLUMN requires_security_answer');
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * 013 - Bank statement reconciliation
+ * Each imported statement is a row in statement_imports, and each credit
+ * on it a row in statement_lines with the payment it was matched to.
+ * Dates from the statement are kept as YYYY-MM-DD text.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`CREATE TABLE statement_imports (
+      id ${types.id},
+      bank_slug VARCHAR(50) NOT NULL,
+      filename VARCHAR(255),
+      imported_by VARCHAR(255),
+      period_start VARCHAR(10),
+      period_end VARCHAR(10),
+      credit_count INTEGER NOT NULL DEFAULT 0,
+      debit_count INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query(`CREATE TABLE statement_lines (
+      id ${types.id},
+      import_id INTEGER NOT NULL REFERENCES statement_imports(id),
+      line_number INTEGER NOT NULL,
+      posted_on VARCHAR(10) NOT NULL,
+      description TEXT,
+      amount_cents INTEGER NOT NULL,
+      reference_code VARCHAR(100),
+      transaction_id VARCHAR(100),
+      status VARCHAR(20) NOT NULL,
+      payment_id INTEGER REFERENCES payments(id),
+      order_id INTEGER REFERENCES orders(id),
+      unmatched_payment_id INTEGER REFERENCES unmatched_payments(id),
+      suggested_order_id INTEGER REFERENCES orders(id),
+      suggested_confidence INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await query('CREATE INDEX idx_statement_lines_import ON statement_lines(import_id)');
+  },
+
+  async down({ query }) {
+    await query('DROP TABLE IF EXISTS statement_lines');
+    await query('DROP TABLE IF EXISTS statement_imports');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * 014 - Composed inbound emails
+ * Emails a provider posted as parsed fields are rebuilt into a message
+ * here. The bank's DKIM signature doesn't cover the rebuilt message, so
+ * such emails are flagged and never verified.
+ */
+
+module.exports = {
+  async up({ query, types }) {
+    await query(`ALTER TABLE inbound_emails ADD COLUMN composed ${types.boolean} NOT NULL DEFAULT ${types.false}`);
+  },
+
+  async down({ query }) {
+    await query('ALTER TABLE inbound_emails DROP COLUMN composed');
+  }
+};
@@ -1,12 +1,42 @@
 /**
  * Admin Routes
- * Manage email aliases, view unmatched payments, and system settings
+ * Manage email aliases and mailboxes, review unmatched payments, inbound emails and bank statements, and system settings
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { getRotationStatus, forceRotate, resetRotation } = require('../services/rotation');
+const { recordPayment, logDuplicateNotification, DuplicatePaymentError } = require('../services/payments');
+const {
+  runTransitionEffects,
+  InvalidTransitionError,
+  OrderNotFoundError
+} = require('../services/order-lifecycle');
+const { listInboundEmails, getInboundEmail } = require('../services/inbound-emails');
+const {
+  processInboundEmail,
+  reloadMailboxes,
+  getPaymentCheckerStatus
+} = require('../services/payment-checker');
+const {
+  listMailboxes,
+  createMailbox,
+  updateMailbox,
+  deleteMailbox,
+  MailboxNotFoundError,
+  InvalidMailboxError
+} = require('../services/mailboxes');
+const { MissingEncryptionKeyError } = require('../services/secrets');
+const { revealSecurityAnswer, getSecurityQuestion, SecurityAnswerError } = require('../services/security-answers');
+const {
+  importStatement,
+  getReconciliationReport,
+  listStatementImports,
+  promoteStatementLines,
+  ReconciliationError
+} = require('../services/reconciliation');
+const { InvalidStatementError } = require('../services/bank-statements');
 
 // Simple admin auth middleware (use a secret key)
 function adminAuth(req, res, next) {
@@ -40,8 +70,8 @@ router.get('/aliases', async (req, res) => {
     const aliases = await db.query(`
       SELECT 
         id, alias_email, bank_name, bank_slug, active,
-        daily_cap_cents, daily_total_cents, weight,
-        last_used_at, created_at,
+        daily_cap_cents, daily_total_cents, weight, mailbox_id,
+        requires_security_answer, last_used_at, created_at,
         ROUND((daily_total_cents * 100.0 / daily_cap_cents), 1) as usage_percent
       FROM email_aliases 
       ORDER BY weight DESC, created_at ASC
@@ -52,8 +82,7 @@ router.get('/aliases', async (req, res) => {
       aliases: aliases.map(a => ({
         ...a,
         daily_cap: (a.daily_cap_cents / 100).toFixed(2),
-        daily_total: (a.daily_total_cents / 100).toFixed(2),
-        active: a.active === 1 || a.active === true
+        daily_total: (a.daily_total_cents / 100).toFixed(2)
       })),
       count: aliases.length
     });
@@ -74,7 +103,9 @@ router.post('/aliases', async (req, res) => {
       bank_slug,
       daily_cap = 5000, // Default $5000/day
       weight = 1,
-      active = true
+      active = true,
+      mailbox_id = null,
+      requires_security_answer = false
     } = req.body;
 
     if (!alias_email) {
@@ -84,35 +115,37 @@ router.post('/aliases', async (req, res) => {
       });
     }
 
+    if (mailbox_id && !(await db.get('SELECT id FROM mailboxes WHERE id = ?', [mailbox_id]))) {
+      return res.status(400).json({ success: false, error: 'Unknown mailbox_id' });
+    }
+
     // Convert daily cap to cents
     const daily_cap_cents = Math.round(parseFloat(daily_cap) * 100);
 
-    const sql = `
-      INSERT INTO email_aliases 
-        (alias_email, bank_name, bank_slug, daily_cap_cents, weight, active)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `;
-
-    const result = await db.query(sql, [
-      alias_email.toLowerCase().trim(),
-      bank_name || null,
-      bank_slug || null,
+    const aliasId = await db.insert('email_aliases', {
+      alias_email: alias_email.toLowerCase().trim(),
+      bank_name: bank_name || null,
+      bank_slug: bank_slug || null,
       daily_cap_cents,
       weight,
-      active ? 1 : 0
-    ]);
+      active: !!active,
+      mailbox_id: mailbox_id || null,
+      requires_security_answer: !!requires_security_answer
+    });
 
     res.status(201).json({
       success: true,
       message: 'Email alias created',
       alias: {
-        id: result.insertId,
+        id: aliasId,
         alias_email,
         bank_name,
         bank_slug,
         daily_cap,
         weight,
-        active
+        active,
+        mailbox_id: mailbox_id || null,
+        requires_security_answer: !!requires_security_answer
       }
     });
   } catch (error) {
@@ -139,7 +172,9 @@ router.put('/aliases/:id', async (req, res) => {
       bank_slug,
       daily_cap,
       weight,
-      active
+      active,
+      mailbox_id,
+      requires_security_answer
     } = req.body;
 
     // Build dynamic update query
@@ -168,7 +203,20 @@ router.put('/aliases/:id', async (req, res) => {
     }
     if (active !== undefined) {
       updates.push('active = ?');
-      params.push(active ? 1 : 0);
+      params.push(!!active);
+    }
+    if (mailbox_id !== undefined) {
+      // null moves the alias back to the default IMAP_* inbox
+      if (mailbox_id !== null && !(await db.get('SELECT id FROM mailboxes WHERE id = ?', [mailbox_id]))) {
+        return res.status(400).json({ success: false, error: 'Unknown mailbox_id' });
+      }
+      updates.push('mailbox_id = ?');
+      params.push(mailbox_id);
+    }
+    if (requires_security_answer !== undefined) {
+      // Applies to orders created from now on
+      updates.push('requires_security_answer = ?');
+      params.push(!!requires_security_answer);
     }
 
     if (updates.length === 0) {
@@ -254,6 +302,100 @@ router.post('/aliases/reset-all', async (req, res) => {
   }
 });
 
+// ===================================
+// MAILBOXES
+// ===================================
+
+function sendMailboxError(res, error) {
+  if (error instanceof MailboxNotFoundError || error instanceof InvalidMailboxError || error instanceof MissingEncryptionKeyError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Connections follow mailbox changes; a failed reload shows in health checks
+function reloadPaymentChecker() {
+  reloadMailboxes().catch(err => console.error('Mailbox reload error:', err));
+}
+
+/**
+ * GET /api/admin/mailboxes
+ * List monitored mailboxes (without passwords) and their aliases
+ */
+router.get('/mailboxes', async (req, res) => {
+  try {
+    const mailboxes = await listMailboxes();
+    const statuses = getPaymentCheckerStatus() || [];
+
+    res.json({
+      success: true,
+      mailboxes: mailboxes.map(m => ({
+        ...m,
+        connection: statuses.find(s => s.name === m.name) || null
+      })),
+      count: mailboxes.length
+    });
+  } catch (error) {
+    sendMailboxError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/mailboxes
+ * Add a mailbox: name, host, port, username, password, folder, tls_verify, alias_ids
+ */
+router.post('/mailboxes', async (req, res) => {
+  try {
+    const mailbox = await createMailbox(req.body);
+    reloadPaymentChecker();
+
+    res.status(201).json({
+      success: true,
+      message: 'Mailbox created',
+      mailbox
+    });
+  } catch (error) {
+    sendMailboxError(res, error);
+  }
+});
+
+/**
+ * PUT /api/admin/mailboxes/:id
+ * Update a mailbox; the password is only changed when given
+ */
+router.put('/mailboxes/:id', async (req, res) => {
+  try {
+    const mailbox = await updateMailbox(req.params.id, req.body);
+    reloadPaymentChecker();
+
+    res.json({
+      success: true,
+      message: 'Mailbox updated',
+      mailbox
+    });
+  } catch (error) {
+    sendMailboxError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/admin/mailboxes/:id
+ * Delete a mailbox; its aliases go back to the default inbox
+ */
+router.delete('/mailboxes/:id', async (req, res) => {
+  try {
+    await deleteMailbox(req.params.id);
+    reloadPaymentChecker();
+
+    res.json({
+      success: true,
+      message: 'Mailbox deleted'
+    });
+  } catch (error) {
+    sendMailboxError(res, error);
+  }
+});
+
 // ===================================
 // ROTATION STATUS
 // ===================================
@@ -272,10 +414,10 @@ router.get('/rotation/status', async (req, res) => {
         (daily_cap_cents - daily_total_cents) as remaining_cents,
         weight, last_used_at
       FROM email_aliases 
-      WHERE active = 1 
+      WHERE active = ? 
         AND daily_total_cents < daily_cap_cents
       ORDER BY weight DESC, last_used_at ASC
-    `);
+    `, [true]);
 
     const totalCapacity = aliases.reduce((sum, a) => sum + a.daily_cap_cents, 0);
     const totalUsed = aliases.reduce((sum, a) => sum + a.daily_total_cents, 0);
@@ -326,7 +468,7 @@ router.get('/unmatched', async (req, res) => {
       WHERE resolved = ?
       ORDER BY created_at DESC
       LIMIT 100
-    `, [resolved === 'true' ? 1 : 0]);
+    `, [resolved === 'true']);
 
     res.json({
       success: true,
@@ -352,10 +494,10 @@ router.post('/unmatched/:id/resolve', async (req, res) => {
 
     await db.query(`
       UPDATE unmatched_payments 
-      SET resolved = 1, resolved_at = CURRENT_TIMESTAMP, 
+      SET resolved = ?, resolved_at = CURRENT_TIMESTAMP, 
           resolved_by = ?, notes = ?
       WHERE id = ?
-    `, [resolved_by || 'admin', notes || null, id]);
+    `, [true, resolved_by || 'admin', notes || null, id]);
 
     res.json({
       success: true,
@@ -382,54 +524,354 @@ router.post('/unmatched/:id/match', async (req, res) => {
       });
     }
 
-    // Get the unmatched payment
-    const payment = await db.get(
-      'SELECT * FROM unmatched_payments WHERE id = ?', 
-      [id]
-    );
+    // Order update, audit event and resolution are committed together.
+    // The payment row is re-read inside the transaction (locked on
+    // PostgreSQL) so two admins can't resolve the same payment twice.
+    const outcome = await db.transaction(async (tx) => {
+      const payment = await tx.get(
+        `SELECT * FROM unmatched_payments WHERE id = ?${db.isProduction ? ' FOR UPDATE' : ''}`,
+        [id]
+      );
+
+      if (!payment) {
+        return { status: 404, error: 'Unmatched payment not found' };
+      }
 
-    if (!payment) {
-      return res.status(404).json({ 
+      if (payment.resolved) {
+        return { status: 409, error: 'Unmatched payment is already resolved' };
+      }
+
+      // Record the payment against the order and log the event
+      const { order, transition } = await recordPayment(tx, order_id, {
+        amount_cents: payment.amount_cents,
+        source: 'manual',
+        sender_email: payment.sender_email,
+        sender_name: payment.sender_name,
+        reference_code: payment.reference_code,
+        transaction_id: payment.transaction_id,
+        mailbox: payment.mailbox,
+        unmatched_payment_id: payment.id
+      }, {
+        source: 'admin',
+        reason: notes || null,
+        eventType: 'manual_match',
+        eventData: { 
+          unmatched_payment_id: id, 
+          matched_by: 'admin',
+          notes
+        }
+      });
+
+      // Mark unmatched payment as resolved
+      await tx.query(`
+        UPDATE unmatched_payments 
+        SET resolved = ?, resolved_at = CURRENT_TIMESTAMP, 
+            resolved_by = 'admin', notes = ?
+        WHERE id = ?
+      `, [true, `Matched to order ${order_id}. ${notes || ''}`, id]);
+
+      return { status: 200, order, transition };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ 
         success: false, 
-        error: 'Unmatched payment not found' 
+        error: outcome.error 
       });
     }
 
-    // Update the order
-    await db.query(`
-      UPDATE orders 
-      SET status = 'paid', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, [order_id]);
+    if (outcome.transition) {
+      await runTransitionEffects(outcome.transition);
+    }
 
-    // Log event
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [order_id, 'manual_match', JSON.stringify({ 
-        unmatched_payment_id: id, 
-        amount_cents: payment.amount_cents,
-        matched_by: 'admin',
-        notes
-      })]
-    );
+    res.json({
+      success: true,
+      message: `Payment matched to order ${order_id}`,
+      order_status: outcome.order.status,
+      amount_received_cents: outcome.order.amount_received_cents
+    });
+  } catch (error) {
+    if (error instanceof DuplicatePaymentError) {
+      const existing = await logDuplicateNotification(error.transactionId, {
+        source: 'manual',
+        unmatched_payment_id: Number(req.params.id),
+        requested_order_id: req.body.order_id
+      });
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        duplicate: true,
+        payment_id: existing.payment ? existing.payment.id : null
+      });
+    }
+    if (error instanceof InvalidTransitionError || error instanceof OrderNotFoundError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        current_status: error.currentStatus
+      });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Mark unmatched payment as resolved
-    await db.query(`
-      UPDATE unmatched_payments 
-      SET resolved = 1, resolved_at = CURRENT_TIMESTAMP, 
-          resolved_by = 'admin', notes = ?
-      WHERE id = ?
-    `, [`Matched to order ${order_id}. ${notes || ''}`, id]);
+// ===================================
+// INBOUND EMAILS
+// ===================================
+
+/**
+ * GET /api/admin/inbound-emails
+ * Stored inbox messages, quarantined, failed and ignored ones by default
+ * (?status=unmatched,needs_review to see others)
+ */
+router.get('/inbound-emails', async (req, res) => {
+  try {
+    const emails = await listInboundEmails(req.query);
+
+    res.json({
+      success: true,
+      emails,
+      count: emails.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+/**
+ * GET /api/admin/inbound-emails/:id
+ * One stored message with its headers, bodies and parse result
+ */
+router.get('/inbound-emails/:id', async (req, res) => {
+  try {
+    const email = await getInboundEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ success: false, error: 'Inbound email not found' });
+    }
+
+    const { raw_source, ...fields } = email;
+    res.json({ success: true, email: fields });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/inbound-emails/:id/reprocess
+ * Run the current parsers and matcher against a stored message again
+ */
+router.post('/inbound-emails/:id/reprocess', async (req, res) => {
+  try {
+    const email = await getInboundEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ success: false, error: 'Inbound email not found' });
+    }
+
+    // Its payment is already on the order - processing again would add it twice
+    if (email.status === 'processed') {
+      return res.status(409).json({
+        success: false,
+        error: `Email has already been applied to order ${email.order_id}`
+      });
+    }
+
+    const result = await processInboundEmail(email);
+    const { raw_source, ...fields } = result.email;
+
+    res.json({
+      success: true,
+      previous_status: email.status,
+      status: result.email.status,
+      email: fields,
+      match: result.outcome && result.outcome.matchResult ? {
+        confidence: result.outcome.matchResult.confidence,
+        match_type: result.outcome.matchResult.matchType
+      } : null
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/inbound-emails/:id/release
+ * Process a quarantined message whose sender couldn't be verified, after
+ * an admin has confirmed the payment with the bank
+ */
+router.post('/inbound-emails/:id/release', async (req, res) => {
+  try {
+    const email = await getInboundEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ success: false, error: 'Inbound email not found' });
+    }
+
+    if (email.status !== 'quarantined') {
+      return res.status(409).json({
+        success: false,
+        error: `Only quarantined emails can be released (this one is ${email.status})`
+      });
+    }
+
+    const releasedBy = req.body.released_by || 'admin';
+    const result = await processInboundEmail(email, { releasedBy });
+    const { raw_source, ...fields } = result.email;
+
+    console.log(`🔓 Inbound email ${email.id} released by ${releasedBy} - now ${result.email.status}`);
+
+    res.json({
+      success: true,
+      status: result.email.status,
+      email: fields,
+      match: result.outcome && result.outcome.matchResult ? {
+        confidence: result.outcome.matchResult.confidence,
+        match_type: result.outcome.matchResult.matchType
+      } : null
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===================================
+// SECURITY ANSWERS
+// ===================================
+
+/**
+ * POST /api/admin/orders/:id/security-answer
+ * Show the security answer of an order sent to an alias without
+ * Autodeposit, to deposit its transfer. Each reveal is logged.
+ */
+router.post('/orders/:id/security-answer', async (req, res) => {
+  try {
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [req.params.id]);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const answer = revealSecurityAnswer(order);
+    const revealedBy = req.body.revealed_by || 'admin';
+
+    await db.insert('payment_events', {
+      order_id: order.id,
+      event_type: 'security_answer_revealed',
+      event_data: { source: 'admin', revealed_by: revealedBy }
+    });
+
+    console.log(`🔑 Security answer for ${order.reference_number} revealed to ${revealedBy}`);
+
+    const instructions = order.payment_instructions || {};
     res.json({
       success: true,
-      message: `Payment matched to order ${order_id}`
+      reference_number: order.reference_number,
+      security_question: instructions.security_question || getSecurityQuestion(),
+      security_answer: answer
+    });
+  } catch (error) {
+    if (error instanceof SecurityAnswerError || error instanceof MissingEncryptionKeyError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===================================
+// RECONCILIATION
+// ===================================
+
+function sendReconciliationError(res, error) {
+  if (error instanceof ReconciliationError || error instanceof InvalidStatementError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * POST /api/admin/reconciliation/import
+ * Import a bank statement CSV and reconcile it. Send JSON with bank_slug,
+ * csv and optionally mapping, filename and imported_by - or the file
+ * itself as text/csv with those fields in the query string.
+ */
+router.post('/reconciliation/import', async (req, res) => {
+  try {
+    const fields = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+    let mapping = fields.mapping;
+
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: 'mapping must be a JSON object' });
+      }
+    }
+
+    const report = await importStatement({
+      bankSlug: fields.bank_slug,
+      csv: fields.csv,
+      mapping,
+      filename: fields.filename,
+      importedBy: fields.imported_by || 'admin'
     });
+
+    res.status(201).json({ success: true, ...report });
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/imports
+ * List imported statements, newest first
+ */
+router.get('/reconciliation/imports', async (req, res) => {
+  try {
+    const imports = await listStatementImports(req.query.limit);
+    res.json({ success: true, imports, count: imports.length });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/admin/reconciliation/imports/:id
+ * The reconciliation report of an imported statement, as it stands now
+ */
+router.get('/reconciliation/imports/:id', async (req, res) => {
+  try {
+    const report = await getReconciliationReport(req.params.id);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/reconciliation/imports/:id/promote
+ * Copy lines with no payment record into unmatched payments, to match
+ * them to orders. Body: line_ids (default: all such lines), promoted_by.
+ */
+router.post('/reconciliation/imports/:id/promote', async (req, res) => {
+  try {
+    const { line_ids, promoted_by } = req.body;
+
+    if (line_ids !== undefined && !Array.isArray(line_ids)) {
+      return res.status(400).json({ success: false, error: 'line_ids must be an array' });
+    }
+
+    const result = await promoteStatementLines(req.params.id, {
+      lineIds: line_ids,
+      promotedBy: promoted_by || 'admin'
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
 // ===================================
 // BLACKLIST
 // ===================================
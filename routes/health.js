@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
+const { getPaymentCheckerStatus } = require('../services/payment-checker');
 
 // ===================================
 // BASIC HEALTH CHECK
@@ -68,7 +69,7 @@ router.get('/health/detailed', async (req, res) => {
 
   // Check unmatched payments
   try {
-    const result = await db.get('SELECT COUNT(*) as count FROM unmatched_payments WHERE resolved = 0');
+    const result = await db.get('SELECT COUNT(*) as count FROM unmatched_payments WHERE resolved = ?', [false]);
     health.checks.unmatchedPayments = {
       count: result?.count || 0
     };
@@ -80,10 +81,15 @@ router.get('/health/detailed', async (req, res) => {
   }
 
   // IMAP status
+  const mailboxes = getPaymentCheckerStatus();
   health.checks.imap = {
     enabled: process.env.IMAP_ENABLED === 'true',
-    configured: !!(process.env.IMAP_HOST && process.env.IMAP_USER)
+    configured: !!(process.env.IMAP_HOST && process.env.IMAP_USER) || !!(mailboxes && mailboxes.length),
+    mailboxes
   };
+  if (mailboxes && mailboxes.some(m => m.state === 'reconnecting' || m.state === 'error')) {
+    health.status = 'degraded';
+  }
 
   // Email status
   health.checks.email = {
@@ -128,7 +134,7 @@ router.get('/stats', async (req, res) => {
     };
 
     // This week's orders
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const weekOrders = await db.get(`
       SELECT COUNT(*) as count, SUM(amount_cents) as total
       FROM orders 
@@ -143,16 +149,16 @@ router.get('/stats', async (req, res) => {
     const unmatched = await db.get(`
       SELECT COUNT(*) as count 
       FROM unmatched_payments 
-      WHERE resolved = 0
-    `);
+      WHERE resolved = ?
+    `, [false]);
     stats.unmatchedPayments = unmatched?.count || 0;
 
     // Webhook failures
     const failures = await db.get(`
       SELECT COUNT(*) as count 
       FROM webhook_failures 
-      WHERE resolved = 0
-    `);
+      WHERE resolved = ?
+    `, [false]);
     stats.webhookFailures = failures?.count || 0;
 
     res.json({
@@ -8,17 +8,33 @@ const router = express.Router();
 const db = require('../config/database');
 const { sendOrderConfirmation } = require('../services/notifications');
 const { getNextPaymentEmail } = require('../services/rotation');
+const { idempotency } = require('../middleware/idempotency');
+const { requireMerchantKey } = require('../middleware/merchant-auth');
+const { isUniqueAmountEnabled, assignUniqueAmount } = require('../services/unique-amounts');
+const { generateUniqueReference } = require('../services/reference-codes');
+const { securityAnswerForOrder, revealSecurityAnswer } = require('../services/security-answers');
+const { MissingEncryptionKeyError } = require('../services/secrets');
+const { createOrderToken, verifyOrderToken, MissingOrderTokenSecretError } = require('../services/order-tokens');
+const { subscribe, eventsSince, toEventPayload } = require('../services/order-events');
+const { remainingCents } = require('../services/payments');
+const {
+  createRefund,
+  updateRefundStatus,
+  InvalidRefundError,
+  RefundNotFoundError
+} = require('../services/refunds');
+const { searchOrders, InvalidSearchError } = require('../services/order-search');
+const {
+  STATUSES,
+  transitionOrder,
+  InvalidTransitionError,
+  OrderNotFoundError
+} = require('../services/order-lifecycle');
 
 // ===================================
 // HELPER FUNCTIONS
 // ===================================
 
-function generateReferenceNumber() {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-  return `ORD-${timestamp}${random}`;
-}
-
 function formatAmount(cents) {
   return (cents / 100).toFixed(2);
 }
@@ -28,7 +44,29 @@ function formatAmount(cents) {
 // POST /api/orders
 // ===================================
 
-router.post('/', async (req, res) => {
+// The security answer is left out of the cached response; a replay
+// derives it again from the stored order
+const createOrderIdempotency = {
+  redact(body) {
+    const instructions = body.order && body.order.payment_instructions;
+    if (!instructions || !instructions.security_answer) return body;
+
+    const redacted = { ...instructions };
+    delete redacted.security_answer;
+    return { ...body, order: { ...body.order, payment_instructions: redacted } };
+  },
+
+  async restore(body) {
+    const instructions = body.order && body.order.payment_instructions;
+    if (!instructions || !instructions.security_question) return body;
+
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [body.order.id]);
+    instructions.security_answer = revealSecurityAnswer(order);
+    return body;
+  }
+};
+
+router.post('/', idempotency('orders.create', createOrderIdempotency), async (req, res) => {
   try {
     const {
       woo_order_id,
@@ -38,7 +76,8 @@ router.post('/', async (req, res) => {
       amount, // Can be cents or dollars
       currency = 'CAD',
       payment_email,
-      metadata
+      metadata,
+      unique_amount
     } = req.body;
 
     // Validate required fields
@@ -57,10 +96,10 @@ router.post('/', async (req, res) => {
     }
 
     // Generate reference number
-    const referenceNumber = generateReferenceNumber();
+    const referenceNumber = await generateUniqueReference(db);
 
     // Set expiration (15 minutes from now)
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+    const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
 
     // Get payment email from rotation system (or use provided/default)
     let paymentEmailToUse = payment_email;
@@ -76,49 +115,59 @@ router.post('/', async (req, res) => {
       aliasId = rotationInfo.alias_id;
     }
 
-    // Create payment instructions
-    const paymentInstructions = JSON.stringify({
-      recipient_email: paymentEmailToUse,
-      recipient_name: recipientName,
-      amount: formatAmount(amountCents),
-      reference: referenceNumber,
-      message: `Please include ${referenceNumber} in your e-Transfer message`,
-      alias_id: aliasId,
-      orders_until_rotation: rotationInfo?.orders_until_rotation
-    });
+    // Aliases without Autodeposit: the payer must set this question and
+    // answer. Only the answer's hash is stored.
+    const security = await securityAnswerForOrder(db, paymentEmailToUse, referenceNumber);
+
+    const { orderId, payable, paymentInstructions } = await db.transaction(async (tx) => {
+      // Payable amount - the catalog amount, or a few cents less when it
+      // must be unique among open orders for this alias
+      const payable = isUniqueAmountEnabled(unique_amount)
+        ? await assignUniqueAmount(tx, amountCents, paymentEmailToUse)
+        : { amountCents, adjustmentCents: 0, unique: false };
+
+      // Create payment instructions
+      const paymentInstructions = {
+        recipient_email: paymentEmailToUse,
+        recipient_name: recipientName,
+        amount: formatAmount(payable.amountCents),
+        reference: referenceNumber,
+        message: `Please include ${referenceNumber} in your e-Transfer message`,
+        alias_id: aliasId,
+        orders_until_rotation: rotationInfo?.orders_until_rotation
+      };
+      if (security) {
+        paymentInstructions.security_question = security.question;
+      }
 
-    // Insert order
-    const sql = `
-      INSERT INTO orders (
-        reference_number, woo_order_id, customer_email, customer_name,
-        customer_phone, amount_cents, currency, status, payment_email,
-        payment_instructions, expires_at, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const params = [
-      referenceNumber,
-      woo_order_id || null,
-      customer_email,
-      customer_name || null,
-      customer_phone || null,
-      amountCents,
-      currency,
-      'pending',
-      paymentEmailToUse,
-      paymentInstructions,
-      expiresAt,
-      JSON.stringify(metadata || {})
-    ];
-
-    const result = await db.query(sql, params);
-    const orderId = result.insertId || result[0]?.id;
-
-    // Log event
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [orderId, 'order_created', JSON.stringify({ source: 'api' })]
-    );
+      // Insert order
+      const id = await tx.insert('orders', {
+        reference_number: referenceNumber,
+        woo_order_id: woo_order_id || null,
+        customer_email,
+        customer_name: customer_name || null,
+        customer_phone: customer_phone || null,
+        amount_cents: payable.amountCents,
+        catalog_amount_cents: amountCents,
+        unique_amount: payable.unique,
+        currency,
+        status: 'pending',
+        payment_email: paymentEmailToUse,
+        payment_instructions: paymentInstructions,
+        security_answer_hash: security ? security.hash : null,
+        expires_at: expiresAt,
+        metadata: metadata || {}
+      });
+
+      // Log event
+      await tx.insert('payment_events', {
+        order_id: id,
+        event_type: 'order_created',
+        event_data: { source: 'api', amount_adjustment_cents: payable.adjustmentCents }
+      });
+
+      return { orderId: id, payable, paymentInstructions };
+    });
 
     // Send confirmation email (async, don't wait)
     if (process.env.EMAIL_ENABLED === 'true') {
@@ -126,11 +175,16 @@ router.post('/', async (req, res) => {
         email: customer_email,
         name: customer_name,
         orderNumber: referenceNumber,
-        amount: formatAmount(amountCents),
-        paymentEmail: paymentEmailToUse
+        amount: formatAmount(payable.amountCents),
+        paymentEmail: paymentEmailToUse,
+        securityQuestion: security ? security.question : null,
+        securityAnswer: security ? security.answer : null
       }).catch(err => console.error('Email error:', err));
     }
 
+    // Lets the checkout page poll GET /api/public/orders/:token
+    const customerToken = createOrderToken({ id: orderId, reference_number: referenceNumber });
+
     // Return success response
     res.status(201).json({
       success: true,
@@ -139,18 +193,27 @@ router.post('/', async (req, res) => {
         reference_number: referenceNumber,
         woo_order_id,
         customer_email,
-        amount: formatAmount(amountCents),
-        amount_cents: amountCents,
+        amount: formatAmount(payable.amountCents),
+        amount_cents: payable.amountCents,
+        catalog_amount_cents: amountCents,
+        unique_amount: payable.unique,
         currency,
         status: 'pending',
-        payment_instructions: JSON.parse(paymentInstructions),
-        expires_at: expiresAt,
-        created_at: new Date().toISOString()
+        payment_instructions: security
+          ? { ...paymentInstructions, security_answer: security.answer }
+          : paymentInstructions,
+        expires_at: expiresAt.toISOString(),
+        created_at: new Date().toISOString(),
+        customer_token: customerToken.token,
+        customer_token_expires_at: customerToken.expires_at
       }
     });
 
   } catch (error) {
     console.error('Create order error:', error);
+    if (error instanceof MissingEncryptionKeyError || error instanceof MissingOrderTokenSecretError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -163,7 +226,7 @@ router.post('/', async (req, res) => {
 // GET /api/orders/:id
 // ===================================
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireMerchantKey, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -179,21 +242,197 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Parse JSON fields
-    if (order.payment_instructions) {
-      order.payment_instructions = JSON.parse(order.payment_instructions);
+    res.json({
+      success: true,
+      order
+    });
+
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ===================================
+// LIST ORDER PAYMENTS
+// GET /api/orders/:id/payments
+// ===================================
+
+router.get('/:id/payments', requireMerchantKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await db.get(
+      'SELECT * FROM orders WHERE id = ?',
+      [id]
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
     }
-    if (order.metadata) {
-      order.metadata = JSON.parse(order.metadata);
+
+    const payments = await db.query(
+      'SELECT * FROM payments WHERE order_id = ? ORDER BY received_at ASC, id ASC',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      amount_cents: order.amount_cents,
+      amount_received_cents: order.amount_received_cents,
+      amount_remaining_cents: remainingCents(order),
+      payments
+    });
+
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ===================================
+// ORDER STATUS STREAM
+// GET /api/orders/:ref/stream?token=<customer_token>
+// Server-Sent Events for the buyer; EventSource can't send headers, so
+// the customer token comes in the query string
+// ===================================
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 3000;
+
+function writeStreamEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.order, at: event.at })}\n\n`);
+}
+
+router.get('/:ref/stream', async (req, res) => {
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  // Registered first: the client can leave while the order is read
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    const { ref } = req.params;
+    const claims = verifyOrderToken(req.query.token);
+
+    if (!claims || claims.reference !== ref) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
     }
 
+    // Subscribe before reading the order so nothing published in between
+    // is lost; events are held until the snapshot has been written
+    let held = [];
+    unsubscribe = subscribe(ref, event => {
+      if (held) held.push(event);
+      else writeStreamEvent(res, event);
+    });
+
+    const order = await db.get(
+      'SELECT * FROM orders WHERE id = ? AND reference_number = ?',
+      [claims.orderId, ref]
+    );
+
+    if (closed) return;
+
+    if (!order) {
+      unsubscribe();
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    // On reconnect, replay what the client missed
+    const lastEventId = parseInt(req.get('Last-Event-ID'));
+    if (Number.isInteger(lastEventId)) {
+      eventsSince(ref, lastEventId)
+        .filter(event => !held.includes(event))
+        .forEach(event => writeStreamEvent(res, event));
+    }
+
+    // Then the current state, so the client is never left stale
+    res.write(`event: snapshot\ndata: ${JSON.stringify({ ...toEventPayload(order), at: new Date().toISOString() })}\n\n`);
+
+    held.forEach(event => writeStreamEvent(res, event));
+    held = null;
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+  } catch (error) {
+    console.error('Order stream error:', error);
+    if (unsubscribe) unsubscribe();
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ===================================
+// ISSUE CUSTOMER TOKEN
+// POST /api/orders/:id/customer-token
+// For orders created elsewhere (e.g. the WooCommerce webhook)
+// ===================================
+
+router.post('/:id/customer-token', requireMerchantKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await db.get(
+      'SELECT id, reference_number FROM orders WHERE id = ?',
+      [id]
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const { token, expires_at } = createOrderToken(order);
+
     res.json({
       success: true,
-      order
+      customer_token: token,
+      customer_token_expires_at: expires_at
     });
 
   } catch (error) {
-    console.error('Get order error:', error);
+    console.error('Issue customer token error:', error);
+    if (error instanceof MissingOrderTokenSecretError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -206,7 +445,7 @@ router.get('/:id', async (req, res) => {
 // GET /api/orders/reference/:ref
 // ===================================
 
-router.get('/reference/:ref', async (req, res) => {
+router.get('/reference/:ref', requireMerchantKey, async (req, res) => {
   try {
     const { ref } = req.params;
 
@@ -222,14 +461,6 @@ router.get('/reference/:ref', async (req, res) => {
       });
     }
 
-    // Parse JSON fields
-    if (order.payment_instructions) {
-      order.payment_instructions = JSON.parse(order.payment_instructions);
-    }
-    if (order.metadata) {
-      order.metadata = JSON.parse(order.metadata);
-    }
-
     res.json({
       success: true,
       order
@@ -249,41 +480,19 @@ router.get('/reference/:ref', async (req, res) => {
 // PUT /api/orders/:id/status
 // ===================================
 
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', requireMerchantKey, async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
 
-    const validStatuses = ['pending', 'awaiting_payment', 'processing', 'paid', 'completed', 'cancelled', 'refunded'];
-    
-    if (!validStatuses.includes(status)) {
+    if (!STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: `Invalid status. Must be one of: ${STATUSES.join(', ')}`
       });
     }
 
-    // Update order
-    let sql = 'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP';
-    const params = [status];
-
-    if (status === 'paid' || status === 'completed') {
-      sql += ', paid_at = CURRENT_TIMESTAMP';
-    }
-
-    sql += ' WHERE id = ?';
-    params.push(id);
-
-    await db.query(sql, params);
-
-    // Log event
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [id, 'status_changed', JSON.stringify({ new_status: status, notes })]
-    );
-
-    // Get updated order
-    const order = await db.get('SELECT * FROM orders WHERE id = ?', [id]);
+    const { order } = await transitionOrder(id, status, { source: 'api', reason: notes || null });
 
     res.json({
       success: true,
@@ -291,6 +500,13 @@ router.put('/:id/status', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError || error instanceof OrderNotFoundError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        current_status: error.currentStatus
+      });
+    }
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -300,65 +516,139 @@ router.put('/:id/status', async (req, res) => {
 });
 
 // ===================================
-// LIST ORDERS
-// GET /api/orders
+// REFUNDS
 // ===================================
 
-router.get('/', async (req, res) => {
+function sendRefundError(res, error) {
+  if (error instanceof InvalidRefundError || error instanceof RefundNotFoundError ||
+      error instanceof InvalidTransitionError || error instanceof OrderNotFoundError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      current_status: error.currentStatus
+    });
+  }
+  console.error('Refund error:', error);
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// ===================================
+// CREATE REFUND
+// POST /api/orders/:id/refunds
+// Full refund when no amount is given
+// ===================================
+
+router.post('/:id/refunds', requireMerchantKey, idempotency('orders.refunds.create'), async (req, res) => {
   try {
-    const {
-      status,
-      page = 1,
-      limit = 20,
-      sort = 'created_at',
-      order = 'DESC'
-    } = req.query;
+    const { id } = req.params;
+    const { amount, reason, recipient_email, requested_by } = req.body;
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
 
-    let sql = 'SELECT * FROM orders';
-    const params = [];
+    const refund = await createRefund(id, {
+      amount_cents: hasAmount ? Math.round(parseFloat(amount) * 100) : undefined,
+      reason,
+      recipient_email,
+      requested_by
+    });
 
-    if (status) {
-      sql += ' WHERE status = ?';
-      params.push(status);
-    }
+    res.status(201).json({
+      success: true,
+      refund
+    });
 
-    // Validate sort column to prevent SQL injection
-    const validSortColumns = ['created_at', 'updated_at', 'amount_cents', 'status'];
-    const sortColumn = validSortColumns.includes(sort) ? sort : 'created_at';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+});
+
+// ===================================
+// LIST ORDER REFUNDS
+// GET /api/orders/:id/refunds
+// ===================================
 
-    sql += ` ORDER BY ${sortColumn} ${sortOrder}`;
-    sql += ` LIMIT ? OFFSET ?`;
-    params.push(parseInt(limit), offset);
+router.get('/:id/refunds', requireMerchantKey, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    const orders = await db.query(sql, params);
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [id]);
 
-    // Get total count
-    let countSql = 'SELECT COUNT(*) as total FROM orders';
-    if (status) {
-      countSql += ' WHERE status = ?';
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
     }
-    const countResult = await db.get(countSql, status ? [status] : []);
-    const total = countResult?.total || 0;
+
+    const refunds = await db.query(
+      'SELECT * FROM refunds WHERE order_id = ? ORDER BY created_at ASC, id ASC',
+      [id]
+    );
 
     res.json({
       success: true,
-      orders: orders.map(o => ({
-        ...o,
-        payment_instructions: o.payment_instructions ? JSON.parse(o.payment_instructions) : null,
-        metadata: o.metadata ? JSON.parse(o.metadata) : null
-      })),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      amount_received_cents: order.amount_received_cents,
+      amount_refunded_cents: order.amount_refunded_cents,
+      refunds
     });
 
   } catch (error) {
+    sendRefundError(res, error);
+  }
+});
+
+// ===================================
+// UPDATE REFUND STATUS
+// PUT /api/orders/:id/refunds/:refundId/status
+// pending → sent → completed, or cancelled
+// ===================================
+
+router.put('/:id/refunds/:refundId/status', requireMerchantKey, async (req, res) => {
+  try {
+    const { id, refundId } = req.params;
+    const { status, notes } = req.body;
+
+    const { refund, order } = await updateRefundStatus(id, refundId, status, { source: 'api', notes });
+
+    res.json({
+      success: true,
+      refund,
+      order_status: order.status,
+      amount_refunded_cents: order.amount_refunded_cents
+    });
+
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+});
+
+// ===================================
+// SEARCH ORDERS
+// GET /api/orders
+// Filters combine with AND; see services/order-search.js
+// ===================================
+
+router.get('/', requireMerchantKey, async (req, res) => {
+  try {
+    const { cursor, limit, order, ...filters } = req.query;
+
+    const result = await searchOrders(filters, { cursor, limit, order });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidSearchError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('List orders error:', error);
     res.status(500).json({
       success: false,
@@ -372,7 +662,7 @@ router.get('/', async (req, res) => {
 // DELETE /api/orders/:id
 // ===================================
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireMerchantKey, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,87 @@
+/**
+ * Public Routes
+ * Customer-facing endpoints authorized by a signed order token instead of
+ * the merchant API key. Only fields safe to show on a checkout page are returned.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { verifyOrderToken } = require('../services/order-tokens');
+const { remainingCents } = require('../services/payments');
+
+// ===================================
+// HELPERS
+// ===================================
+
+/**
+ * Order fields a customer may see. Payment instructions are trimmed to
+ * what they need to send the transfer (no alias ids or rotation counters).
+ */
+function toPublicOrder(order) {
+  const instructions = order.payment_instructions || {};
+
+  return {
+    reference_number: order.reference_number,
+    status: order.status,
+    amount: (order.amount_cents / 100).toFixed(2),
+    amount_cents: order.amount_cents,
+    amount_received_cents: order.amount_received_cents,
+    amount_remaining_cents: remainingCents(order),
+    currency: order.currency,
+    payment_instructions: {
+      recipient_email: instructions.recipient_email,
+      recipient_name: instructions.recipient_name,
+      amount: instructions.amount,
+      reference: instructions.reference,
+      message: instructions.message
+    },
+    expires_at: order.expires_at,
+    paid_at: order.paid_at
+  };
+}
+
+// ===================================
+// ORDER STATUS
+// GET /api/public/orders/:token
+// ===================================
+
+router.get('/orders/:token', async (req, res) => {
+  try {
+    const claims = verifyOrderToken(req.params.token);
+
+    if (!claims) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    const order = await db.get(
+      'SELECT * FROM orders WHERE id = ? AND reference_number = ?',
+      [claims.orderId, claims.reference]
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      order: toPublicOrder(order)
+    });
+
+  } catch (error) {
+    console.error('Public order status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
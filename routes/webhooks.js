@@ -7,7 +7,33 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const db = require('../config/database');
-const { sendPaymentConfirmation } = require('../services/notifications');
+const {
+  recordPayment,
+  remainingCents,
+  normalizeTransactionId,
+  findRecordedTransaction,
+  wasApplied,
+  logDuplicateNotification,
+  DuplicatePaymentError
+} = require('../services/payments');
+const {
+  PAID_STATUSES,
+  applyTransition,
+  runTransitionEffects,
+  transitionOrder,
+  InvalidTransitionError
+} = require('../services/order-lifecycle');
+const { idempotency } = require('../middleware/idempotency');
+const { isUniqueAmountEnabled, assignUniqueAmount } = require('../services/unique-amounts');
+const { generateUniqueReference } = require('../services/reference-codes');
+const { composeRawEmail, storeInboundEmail } = require('../services/inbound-emails');
+const { processInboundEmail } = require('../services/payment-checker');
+const { securityAnswerForOrder } = require('../services/security-answers');
+const { MissingEncryptionKeyError } = require('../services/secrets');
+const { sendOrderConfirmation } = require('../services/notifications');
+
+// How old an inbound email signature's timestamp may be
+const INBOUND_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
 
 // ===================================
 // WEBHOOK SIGNATURE VERIFICATION
@@ -38,11 +64,84 @@ function verifyWebhookSecret(req) {
   return secret === process.env.WEBHOOK_SECRET;
 }
 
+/**
+ * Inbound email posts are signed with INBOUND_EMAIL_WEBHOOK_SECRET.
+ * X-Inbound-Signature is `sha256=` and the hex HMAC-SHA256 of
+ * `<X-Inbound-Timestamp>.<raw body>`, with the timestamp in Unix seconds.
+ */
+function verifyInboundEmailSignature(req) {
+  const secret = process.env.INBOUND_EMAIL_WEBHOOK_SECRET;
+  const timestamp = req.get('X-Inbound-Timestamp') || '';
+  const signature = req.get('X-Inbound-Signature') || '';
+
+  if (!secret || !Buffer.isBuffer(req.body) || !/^\d+$/.test(timestamp)) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > INBOUND_SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(req.body)
+    .digest('hex');
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Runs before idempotency so unauthenticated calls can't claim or replay keys
+function requireWebhookSecret(req, res, next) {
+  if (process.env.WEBHOOK_SECRET && !verifyWebhookSecret(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
 // ===================================
 // WOOCOMMERCE ORDER WEBHOOK
 // POST /api/webhooks/woocommerce
 // ===================================
 
+/**
+ * WooCommerce took the payment (processing) or shipped the order
+ * (completed). What the order still owes is recorded as a payment keyed
+ * on the WooCommerce transaction, so the received total and refunds see
+ * it; a completed order then moves on to completed.
+ *
+ * @returns {Promise<Object[]>} transitions to run effects for after commit
+ */
+async function applyWooCommercePayment(tx, order, wooOrder) {
+  const options = { source: 'woocommerce', reason: `WooCommerce status ${wooOrder.status}`, notify: false };
+  const transitions = [];
+
+  if (!PAID_STATUSES.includes(order.status) && remainingCents(order) > 0) {
+    const key = ['WOO', wooOrder.id, wooOrder.transaction_id].filter(Boolean).join('-');
+    const paidAt = Date.parse(`${wooOrder.date_paid_gmt}Z`);
+    const recorded = await recordPayment(tx, order.id, {
+      amount_cents: remainingCents(order),
+      source: 'woocommerce',
+      transaction_id: key,
+      raw_data: {
+        woo_order_id: wooOrder.id,
+        status: wooOrder.status,
+        transaction_id: wooOrder.transaction_id || null,
+        payment_method: wooOrder.payment_method || null
+      },
+      received_at: Number.isNaN(paidAt) ? new Date() : new Date(paidAt)
+    }, { ...options, eventType: 'woocommerce_payment' });
+    if (recorded.transition) transitions.push(recorded.transition);
+  }
+
+  const current = await tx.get('SELECT * FROM orders WHERE id = ?', [order.id]);
+  if (wooOrder.status === 'completed' && current.status !== 'completed') {
+    transitions.push(await applyTransition(tx, current.id, 'completed', options));
+  }
+
+  return transitions;
+}
+
 router.post('/woocommerce', async (req, res) => {
   try {
     // Verify signature if secret is configured
@@ -76,75 +175,119 @@ router.post('/woocommerce', async (req, res) => {
 
       if (!existingOrder) {
         // Create new order
-        const referenceNumber = `ORD-${woo_order_id}-${Date.now().toString(36).toUpperCase()}`;
+        const referenceNumber = await generateUniqueReference(db);
         const amountCents = Math.round(parseFloat(total) * 100);
         const paymentEmail = process.env.DEFAULT_PAYMENT_EMAIL;
-        const expiresAt = new Date(Date.now() + 15 * 60 * 1000).toISOString();
-
-        const paymentInstructions = JSON.stringify({
-          recipient_email: paymentEmail,
-          recipient_name: process.env.RECIPIENT_NAME || 'DS Payment',
-          amount: total,
-          reference: referenceNumber,
-          message: `Please include ${referenceNumber} in your e-Transfer message`
+        const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+        const customerEmail = billing?.email || '';
+        const customerName = `${billing?.first_name || ''} ${billing?.last_name || ''}`.trim();
+
+        // Aliases without Autodeposit, as for POST /api/orders
+        const security = await securityAnswerForOrder(db, paymentEmail, referenceNumber);
+
+        const payable = await db.transaction(async (tx) => {
+          const payable = isUniqueAmountEnabled()
+            ? await assignUniqueAmount(tx, amountCents, paymentEmail)
+            : { amountCents, adjustmentCents: 0, unique: false };
+
+          const paymentInstructions = {
+            recipient_email: paymentEmail,
+            recipient_name: process.env.RECIPIENT_NAME || 'DS Payment',
+            amount: (payable.amountCents / 100).toFixed(2),
+            reference: referenceNumber,
+            message: `Please include ${referenceNumber} in your e-Transfer message`
+          };
+          if (security) {
+            paymentInstructions.security_question = security.question;
+          }
+
+          const orderId = await tx.insert('orders', {
+            reference_number: referenceNumber,
+            woo_order_id: woo_order_id.toString(),
+            customer_email: customerEmail,
+            customer_name: customerName,
+            customer_phone: billing?.phone || null,
+            amount_cents: payable.amountCents,
+            catalog_amount_cents: amountCents,
+            unique_amount: payable.unique,
+            currency: currency || 'CAD',
+            status: 'pending',
+            payment_email: paymentEmail,
+            payment_instructions: paymentInstructions,
+            security_answer_hash: security ? security.hash : null,
+            expires_at: expiresAt,
+            metadata: { woo_status: status, order_key, line_items_count: line_items?.length || 0 }
+          });
+
+          // Log event
+          await tx.insert('payment_events', {
+            order_id: orderId,
+            event_type: 'order_created',
+            event_data: { source: 'woocommerce_webhook', woo_order_id, amount_adjustment_cents: payable.adjustmentCents }
+          });
+
+          return payable;
         });
 
-        const sql = `
-          INSERT INTO orders (
-            reference_number, woo_order_id, customer_email, customer_name,
-            customer_phone, amount_cents, currency, status, payment_email,
-            payment_instructions, expires_at, metadata
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const params = [
-          referenceNumber,
-          woo_order_id.toString(),
-          billing?.email || '',
-          `${billing?.first_name || ''} ${billing?.last_name || ''}`.trim(),
-          billing?.phone || null,
-          amountCents,
-          currency || 'CAD',
-          'pending',
-          paymentEmail,
-          paymentInstructions,
-          expiresAt,
-          JSON.stringify({ woo_status: status, order_key, line_items_count: line_items?.length || 0 })
-        ];
-
-        await db.query(sql, params);
+        // Nothing goes back to WooCommerce, so the customer gets the
+        // answer by email (an admin can also reveal it)
+        if (security && process.env.EMAIL_ENABLED === 'true' && customerEmail) {
+          sendOrderConfirmation({
+            email: customerEmail,
+            name: customerName,
+            orderNumber: referenceNumber,
+            amount: (payable.amountCents / 100).toFixed(2),
+            paymentEmail,
+            securityQuestion: security.question,
+            securityAnswer: security.answer
+          }).catch(err => console.error('Email error:', err));
+        }
 
         console.log(`✅ Order created: ${referenceNumber} for WooCommerce #${woo_order_id}`);
-
-        // Log event
-        await db.query(
-          'INSERT INTO payment_events (order_id, event_type, event_data) VALUES ((SELECT id FROM orders WHERE reference_number = ?), ?, ?)',
-          [referenceNumber, 'order_created', JSON.stringify({ source: 'woocommerce_webhook', woo_order_id })]
-        );
       }
     }
 
     // Handle payment completion from WooCommerce side
     if (status === 'processing' || status === 'completed') {
-      await db.query(
-        'UPDATE orders SET status = ?, paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE woo_order_id = ?',
-        [status === 'completed' ? 'completed' : 'paid', woo_order_id.toString()]
+      const orders = await db.query(
+        'SELECT * FROM orders WHERE woo_order_id = ?',
+        [woo_order_id.toString()]
       );
+
+      for (const order of orders) {
+        const transitions = await db.transaction(tx => applyWooCommercePayment(tx, order, req.body));
+        for (const transition of transitions) {
+          await runTransitionEffects(transition);
+        }
+      }
       console.log(`✅ Order ${woo_order_id} marked as ${status}`);
     }
 
     res.json({ success: true, message: 'Webhook processed' });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        current_status: error.currentStatus
+      });
+    }
+    if (error instanceof DuplicatePaymentError) {
+      return res.status(error.status).json({ success: false, error: error.message, duplicate: true });
+    }
+
     console.error('WooCommerce webhook error:', error);
     
     // Log failure for retry
-    await db.query(
-      'INSERT INTO webhook_failures (webhook_url, payload, error_message) VALUES (?, ?, ?)',
-      ['woocommerce', JSON.stringify(req.body), error.message]
-    ).catch(e => console.error('Failed to log webhook failure:', e));
-
-    res.status(500).json({ success: false, error: error.message });
+    await db.insert('webhook_failures', {
+      webhook_url: 'woocommerce',
+      payload: JSON.stringify(req.body),
+      error_message: error.message
+    }).catch(e => console.error('Failed to log webhook failure:', e));
+
+    const status = error instanceof MissingEncryptionKeyError ? error.status : 500;
+    res.status(status).json({ success: false, error: error.message });
   }
 });
 
@@ -153,13 +296,28 @@ router.post('/woocommerce', async (req, res) => {
 // POST /api/webhooks/payment-confirmed
 // ===================================
 
-router.post('/payment-confirmed', async (req, res) => {
-  try {
-    // Verify webhook secret
-    if (process.env.WEBHOOK_SECRET && !verifyWebhookSecret(req)) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+/**
+ * Refuse a transfer whose transaction ID was already recorded and log it
+ * as a duplicate_notification
+ */
+async function sendDuplicatePayment(res, transactionId, body) {
+  const existing = await logDuplicateNotification(transactionId, {
+    source: 'webhook',
+    reference_number: body.reference_number || null,
+    amount: body.amount === undefined ? null : body.amount
+  });
 
+  res.status(409).json({
+    success: false,
+    error: `Transaction ${normalizeTransactionId(transactionId)} has already been recorded`,
+    duplicate: true,
+    payment_id: existing.payment ? existing.payment.id : null,
+    unmatched_payment_id: existing.unmatched ? existing.unmatched.id : null
+  });
+}
+
+router.post('/payment-confirmed', requireWebhookSecret, idempotency('webhooks.payment-confirmed'), async (req, res) => {
+  try {
     const {
       reference_number,
       order_id,
@@ -170,6 +328,14 @@ router.post('/payment-confirmed', async (req, res) => {
       confirmed_at
     } = req.body;
 
+    // A transfer only logged as unmatched is not a duplicate: this
+    // confirmation may name its order, and then resolves it
+    const recorded = transaction_id && await findRecordedTransaction(db, transaction_id);
+    if (wasApplied(recorded)) {
+      return sendDuplicatePayment(res, transaction_id, req.body);
+    }
+    const unmatched = recorded ? recorded.unmatched : null;
+
     // Find order by reference or ID
     let order;
     if (reference_number) {
@@ -178,19 +344,34 @@ router.post('/payment-confirmed', async (req, res) => {
       order = await db.get('SELECT * FROM orders WHERE id = ?', [order_id]);
     }
 
+    if (!order && unmatched) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+        logged: true,
+        unmatched_payment_id: unmatched.id
+      });
+    }
+
     if (!order) {
       // Log as unmatched payment
-      await db.query(
-        'INSERT INTO unmatched_payments (amount_cents, sender_email, sender_name, reference_code, reason, raw_text) VALUES (?, ?, ?, ?, ?, ?)',
-        [
-          amount ? Math.round(parseFloat(amount) * 100) : 0,
-          sender_email || null,
-          sender_name || null,
-          reference_number || null,
-          'Order not found',
-          JSON.stringify(req.body)
-        ]
-      );
+      try {
+        await db.insert('unmatched_payments', {
+          amount_cents: amount ? Math.round(parseFloat(amount) * 100) : 0,
+          sender_email: sender_email || null,
+          sender_name: sender_name || null,
+          reference_code: reference_number || null,
+          transaction_id: normalizeTransactionId(transaction_id),
+          reason: 'Order not found',
+          raw_text: JSON.stringify(req.body)
+        });
+      } catch (error) {
+        // Logged by a concurrent call since the check above
+        if (transaction_id && db.isUniqueViolation(error)) {
+          return sendDuplicatePayment(res, transaction_id, req.body);
+        }
+        throw error;
+      }
 
       return res.status(404).json({
         success: false,
@@ -199,51 +380,81 @@ router.post('/payment-confirmed', async (req, res) => {
       });
     }
 
-    // Update order status
-    await db.query(
-      `UPDATE orders SET 
-        status = 'paid', 
-        paid_at = ?, 
-        updated_at = CURRENT_TIMESTAMP,
-        metadata = ?
-      WHERE id = ?`,
-      [
-        confirmed_at || new Date().toISOString(),
-        JSON.stringify({
-          ...JSON.parse(order.metadata || '{}'),
+    const confirmedAt = confirmed_at && !isNaN(Date.parse(confirmed_at))
+      ? new Date(confirmed_at)
+      : new Date();
+
+    // Without an amount the confirmation covers whatever is still owed
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+    const amountCents = hasAmount ? Math.round(parseFloat(amount) * 100) : remainingCents(order);
+
+    if (!hasAmount && amountCents === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order has already been paid in full',
+        current_status: order.status
+      });
+    }
+
+    if (!Number.isInteger(amountCents) || amountCents <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be a positive number'
+      });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const recorded = await recordPayment(tx, order.id, {
+        amount_cents: amountCents,
+        source: 'webhook',
+        sender_email,
+        sender_name,
+        reference_code: reference_number,
+        transaction_id,
+        unmatched_payment_id: unmatched ? unmatched.id : null,
+        raw_data: req.body,
+        received_at: confirmedAt
+      }, {
+        source: 'payment_confirmed_webhook',
+        eventType: 'payment_confirmed',
+        eventData: {
+          sender_email,
+          sender_name,
+          transaction_id,
+          unmatched_payment_id: unmatched ? unmatched.id : undefined
+        },
+        paidAt: confirmedAt
+      });
+
+      if (unmatched) {
+        await tx.run(
+          `UPDATE unmatched_payments
+           SET resolved = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = 'payment_confirmed_webhook', notes = ?
+           WHERE id = ?`,
+          [true, `Matched to order ${order.reference_number} by the payment confirmation webhook`, unmatched.id]
+        );
+      }
+
+      await tx.run('UPDATE orders SET metadata = :metadata WHERE id = :id', {
+        metadata: {
+          ...(order.metadata || {}),
           payment_confirmed: {
             sender_email,
             sender_name,
             transaction_id,
-            confirmed_at: confirmed_at || new Date().toISOString()
+            confirmed_at: confirmedAt.toISOString()
           }
-        }),
-        order.id
-      ]
-    );
-
-    // Log event
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [order.id, 'payment_confirmed', JSON.stringify({ sender_email, sender_name, transaction_id })]
-    );
-
-    console.log(`✅ Payment confirmed for order ${order.reference_number}`);
-
-    // Send confirmation email
-    if (process.env.EMAIL_ENABLED === 'true' && order.customer_email) {
-      sendPaymentConfirmation({
-        email: order.customer_email,
-        name: order.customer_name,
-        orderNumber: order.reference_number,
-        amount: (order.amount_cents / 100).toFixed(2)
-      }).catch(err => console.error('Confirmation email error:', err));
-    }
+        },
+        id: order.id
+      });
+
+      return recorded;
+    });
 
-    // Update WooCommerce if configured
-    if (order.woo_order_id && process.env.WOOCOMMERCE_API_URL) {
-      updateWooCommerceOrder(order.woo_order_id, 'processing')
-        .catch(err => console.error('WooCommerce update error:', err));
+    console.log(`✅ Payment confirmed for order ${order.reference_number} (${result.order.status})`);
+
+    if (result.transition) {
+      await runTransitionEffects(result.transition);
     }
 
     res.json({
@@ -252,11 +463,23 @@ router.post('/payment-confirmed', async (req, res) => {
       order: {
         id: order.id,
         reference_number: order.reference_number,
-        status: 'paid'
+        status: result.order.status,
+        amount_cents: result.order.amount_cents,
+        amount_received_cents: result.order.amount_received_cents
       }
     });
 
   } catch (error) {
+    if (error instanceof DuplicatePaymentError) {
+      return sendDuplicatePayment(res, error.transactionId, req.body);
+    }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        current_status: error.currentStatus
+      });
+    }
     console.error('Payment confirmation error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
@@ -268,7 +491,7 @@ router.post('/payment-confirmed', async (req, res) => {
 // Called when customer clicks "I've sent the payment"
 // ===================================
 
-router.post('/payment-sent', async (req, res) => {
+router.post('/payment-sent', idempotency('webhooks.payment-sent'), async (req, res) => {
   try {
     const { reference_number, order_id } = req.body;
 
@@ -283,17 +506,16 @@ router.post('/payment-sent', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // Update status to awaiting confirmation
-    await db.query(
-      'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      ['awaiting_payment', order.id]
-    );
-
-    // Log event
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [order.id, 'payment_sent_by_customer', JSON.stringify({ timestamp: new Date().toISOString() })]
-    );
+    // Update status to awaiting confirmation (repeat clicks are a no-op,
+    // and an order held for a manual deposit stays held)
+    const held = order.status === 'deposit_pending';
+    if (order.status !== 'awaiting_payment' && !held) {
+      await transitionOrder(order.id, 'awaiting_payment', {
+        source: 'customer',
+        eventType: 'payment_sent_by_customer',
+        eventData: { timestamp: new Date().toISOString() }
+      });
+    }
 
     console.log(`⏳ Customer indicated payment sent for ${order.reference_number}`);
 
@@ -303,47 +525,100 @@ router.post('/payment-sent', async (req, res) => {
       order: {
         id: order.id,
         reference_number: order.reference_number,
-        status: 'awaiting_payment'
+        status: held ? order.status : 'awaiting_payment'
       }
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        current_status: error.currentStatus
+      });
+    }
     console.error('Payment sent webhook error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ===================================
-// HELPER: UPDATE WOOCOMMERCE ORDER
+// INBOUND EMAIL
+// POST /api/webhooks/inbound-email
+// A mail provider forwarding the payment inbox over HTTP instead of IMAP
 // ===================================
 
-async function updateWooCommerceOrder(wooOrderId, status) {
-  const apiUrl = process.env.WOOCOMMERCE_API_URL;
-  const consumerKey = process.env.WOOCOMMERCE_CONSUMER_KEY;
-  const consumerSecret = process.env.WOOCOMMERCE_CONSUMER_SECRET;
+/**
+ * The message as raw MIME: the body itself, or built from the JSON a
+ * provider posted ({ raw } or { from, to, subject, text, html, headers, ... }).
+ * A message rebuilt from parsed fields no longer carries the bytes the
+ * bank's DKIM signature covers, so it is marked composed and quarantined.
+ *
+ * @returns {Promise<{ raw: Buffer, composed: boolean }|null>}
+ */
+async function inboundEmailSource(req) {
+  if (!req.is('application/json')) {
+    return { raw: req.body, composed: false };
+  }
 
-  if (!apiUrl || !consumerKey || !consumerSecret) {
-    console.warn('WooCommerce API not configured');
-    return;
+  let message;
+  try {
+    message = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    return null;
   }
 
-  const url = `${apiUrl}/wp-json/wc/v3/orders/${wooOrderId}`;
-  const auth = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+  if (message && typeof message.raw === 'string') {
+    return { raw: Buffer.from(message.raw, message.encoding === 'base64' ? 'base64' : 'utf8'), composed: false };
+  }
+  if (message && message.from && (message.text || message.html)) {
+    return { raw: await composeRawEmail(message), composed: true };
+  }
+  return null;
+}
 
-  const response = await fetch(url, {
-    method: 'PUT',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Basic ${auth}`
-    },
-    body: JSON.stringify({ status })
-  });
+router.post('/inbound-email', async (req, res) => {
+  if (!process.env.INBOUND_EMAIL_WEBHOOK_SECRET) {
+    console.error('❌ INBOUND_EMAIL_WEBHOOK_SECRET not set - refusing inbound email');
+    return res.status(503).json({ success: false, error: 'Inbound email webhook is not configured' });
+  }
 
-  if (!response.ok) {
-    throw new Error(`WooCommerce API error: ${response.status}`);
+  if (!verifyInboundEmailSignature(req)) {
+    console.warn('Invalid inbound email signature');
+    return res.status(401).json({ error: 'Invalid signature' });
   }
 
-  console.log(`✅ WooCommerce order ${wooOrderId} updated to ${status}`);
-}
+  try {
+    const source = await inboundEmailSource(req);
+    if (!source || !source.raw || source.raw.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the raw message, or JSON with raw, or from and text/html'
+      });
+    }
+
+    let { email, duplicate } = await storeInboundEmail(source.raw, { composed: source.composed });
+
+    // A retry of a message stored before processing ever ran finishes it
+    if (duplicate && !(email.status === 'received' && email.attempts === 0)) {
+      console.log(`📧 Already stored: ${email.message_id}`);
+      return res.json({ success: true, duplicate: true, inbound_email_id: email.id, status: email.status });
+    }
+
+    ({ email } = await processInboundEmail(email));
+
+    res.json({
+      success: true,
+      duplicate: false,
+      inbound_email_id: email.id,
+      status: email.status,
+      order_id: email.order_id
+    });
+
+  } catch (error) {
+    console.error('Inbound email webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
 module.exports = router;
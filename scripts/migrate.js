@@ -0,0 +1,79 @@
+/**
+ * Database Migrations CLI
+ *
+ * Apply, roll back and inspect schema migrations in /migrations.
+ *
+ * Usage:
+ *   node scripts/migrate.js up              Apply all pending migrations
+ *   node scripts/migrate.js down [steps]    Roll back the last N migrations (default 1)
+ *   node scripts/migrate.js status          Show applied and pending migrations
+ */
+
+require('dotenv').config();
+const db = require('../config/database');
+const migrator = require('../config/migrator');
+
+async function printStatus() {
+  const { migrations, pending, orphaned } = await migrator.status();
+
+  console.log('\n═══════════════════════════════════════');
+  console.log('📊 MIGRATION STATUS');
+  console.log('═══════════════════════════════════════\n');
+
+  for (const m of migrations) {
+    const version = String(m.version).padStart(3, '0');
+    console.log(`${m.applied ? '🟢' : '⚪'} ${version}_${m.name}${m.applied ? `   (applied ${m.applied_at})` : ''}`);
+  }
+
+  for (const o of orphaned) {
+    console.log(`🔴 ${String(o.version).padStart(3, '0')}_${o.name}   (applied, but file is missing)`);
+  }
+
+  console.log('\n───────────────────────────────────────');
+  console.log(`Total: ${migrations.length}   Pending: ${pending}`);
+  console.log('───────────────────────────────────────\n');
+}
+
+async function run() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  try {
+    await db.connect();
+
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.migrate();
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : '✅ Nothing to migrate');
+        break;
+      }
+      case 'down': {
+        const steps = parseInt(arg, 10) || 1;
+        const rolledBack = await migrator.rollback(steps);
+        console.log(rolledBack.length > 0
+          ? `✅ Rolled back ${rolledBack.length} migration(s)`
+          : '✅ Nothing to roll back');
+        break;
+      }
+      case 'status':
+        await printStatus();
+        break;
+      default:
+        console.error(`Unknown command: ${command}`);
+        console.error('Usage: node scripts/migrate.js [up|down [steps]|status]');
+        await db.close();
+        process.exit(1);
+    }
+
+    await db.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    await db.close();
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,337 @@
+/**
+ * Replay Payment Notifications
+ *
+ * Run saved notification emails through the parser and matcher against a
+ * database snapshot, and print what the payment checker would do with
+ * each. Nothing is written: the database is opened read-only, and no
+ * payment, event or alert is recorded.
+ *
+ * Usage:
+ *   node scripts/replay-emails.js <path...> [options]
+ *
+ *   <path>             .eml or mbox file, or a directory of them
+ *   --db <snapshot>    SQLite file or PostgreSQL URL (default: the configured database)
+ *   --diff <parsers>   Compare with another version of services/parsers, e.g.
+ *                      a checkout made with `git worktree add ../before HEAD~1`
+ *   --skip-auth        Don't verify senders (no DNS lookups)
+ *
+ * Orders are matched as they are in the snapshot, so use one taken before
+ * the emails arrived. Otherwise their orders already show as paid.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node scripts/replay-emails.js <path...> [--db <snapshot>] [--diff <parsers>] [--skip-auth]';
+
+// Parser output compared by --diff
+const DIFF_FIELDS = ['parser', 'isInterac', 'eventType', 'confidence', 'amountCents', 'senderName', 'senderEmail', 'referenceCode', 'transactionId'];
+
+// ===================================
+// ARGUMENTS
+// ===================================
+
+function parseArgs(args) {
+  const options = { paths: [], db: null, diff: null, skipAuth: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--db' || arg === '--diff') {
+      if (!args[i + 1]) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = args[++i];
+    } else if (arg === '--skip-auth') {
+      options.skipAuth = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.paths.push(arg);
+    }
+  }
+
+  if (options.paths.length === 0) throw new Error('No email files given');
+  return options;
+}
+
+/**
+ * Point config/database.js at the snapshot. It picks PostgreSQL from
+ * DATABASE_URL or NODE_ENV=production when it is first required.
+ */
+function useSnapshot(snapshot) {
+  if (/^postgres(ql)?:\/\//.test(snapshot)) {
+    process.env.DATABASE_URL = snapshot;
+    return;
+  }
+  delete process.env.DATABASE_URL;
+  process.env.NODE_ENV = 'development';
+  process.env.SQLITE_PATH = path.resolve(snapshot);
+}
+
+// ===================================
+// READING EMAILS
+// ===================================
+
+/**
+ * Split an mbox into messages, undoing the ">From " quoting of body lines
+ */
+function splitMbox(text) {
+  return text
+    .split(/^From .*\r?\n/m)
+    .filter(message => message.trim())
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+}
+
+/**
+ * Every message in the given files and directories as { label, raw }
+ */
+function readMessages(paths) {
+  const messages = [];
+
+  const readFile = (file) => {
+    const text = fs.readFileSync(file, 'latin1');
+    if (text.startsWith('From ')) {
+      splitMbox(text).forEach((raw, i) => messages.push({ label: `${file}#${i + 1}`, raw: Buffer.from(raw, 'latin1') }));
+    } else {
+      messages.push({ label: file, raw: Buffer.from(text, 'latin1') });
+    }
+  };
+
+  for (const target of paths) {
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .filter(file => /\.(eml|mbox)$/i.test(file) || file === 'mbox')
+        .sort()
+        .forEach(file => readFile(path.join(target, file)));
+    } else {
+      readFile(target);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * parseNotification from another services/parsers directory, or from the
+ * root of another checkout
+ */
+function loadParsers(location) {
+  const dir = path.resolve(location);
+  const candidates = [dir, path.join(dir, 'services', 'parsers')];
+  const found = candidates.find(c => fs.existsSync(path.join(c, 'index.js')));
+  if (!found) throw new Error(`No parsers found in ${location}`);
+
+  const parsers = require(found);
+  if (typeof parsers.parseNotification !== 'function') {
+    throw new Error(`${found} does not export parseNotification`);
+  }
+  return parsers.parseNotification;
+}
+
+// ===================================
+// FORMATTING
+// ===================================
+
+function money(cents) {
+  return cents === null || cents === undefined ? '-' : `$${(cents / 100).toFixed(2)}`;
+}
+
+function show(value) {
+  return value === null || value === undefined || value === '' ? '-' : String(value);
+}
+
+function signalSummary(signals) {
+  return signals.map(s => `${s.signal} ${s.points >= 0 ? '+' : ''}${s.points}`).join(', ');
+}
+
+function describeDecision(decision) {
+  const { action, reason, order, confidence } = decision;
+  const target = order && action !== 'unmatched' ? ` ${order.reference_number} (${confidence}%)` : '';
+  return `${action}${target}${reason ? ` - ${reason}` : ''}`;
+}
+
+function printFields(paymentData) {
+  const rows = [
+    ['Parser', `${show(paymentData.parser)} (confidence ${show(paymentData.confidence)})`],
+    ['Event', show(paymentData.eventType)],
+    ['Amount', money(paymentData.amountCents)],
+    ['Sender', [paymentData.senderName, paymentData.senderEmail].filter(Boolean).join(' / ') || '-'],
+    ['Reference', show(paymentData.referenceCode)],
+    ['Transaction', show(paymentData.transactionId)],
+    ['Alias', show(paymentData.receivingAlias)],
+    ['Received', show(paymentData.receivedAt && new Date(paymentData.receivedAt).toISOString())]
+  ];
+  for (const [name, value] of rows) {
+    console.log(`  ${name.padEnd(12)} ${value}`);
+  }
+}
+
+function printCandidates(scored) {
+  if (scored.length === 0) {
+    console.log('  Candidates   none');
+    return;
+  }
+  console.log('  Candidates');
+  for (const { order, score, signals } of scored) {
+    console.log(`    ${String(score).padStart(3)}  ${order.reference_number.padEnd(12)} ${money(order.amount_cents).padStart(10)}  ${order.status.padEnd(16)} ${signalSummary(signals)}`);
+  }
+}
+
+// ===================================
+// REPLAY
+// ===================================
+
+async function run() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.db) useSnapshot(options.db);
+
+  const db = require('../config/database');
+  const { parseRawEmail, toParserInput, resolveReceivingAlias } = require('../services/inbound-emails');
+  const { parseNotification } = require('../services/parsers');
+  const { rankCandidates, matchPaymentToOrder } = require('../services/payment-matcher');
+  const { decidePayment, identifiesTransfer, isParseTrusted, CANCELLATION_EVENTS } = require('../services/payment-checker');
+  const { findPendingDeposit } = require('../services/pending-deposits');
+  const { findRecordedTransaction, wasApplied } = require('../services/payments');
+  const { verifyNotification } = require('../services/email-auth');
+
+  /**
+   * What processInboundEmail would do with a parse of this email
+   */
+  async function decide(email, paymentData, verification) {
+    if (!paymentData.isInterac || !identifiesTransfer(paymentData)) {
+      return { action: 'ignore', reason: null, order: null };
+    }
+    if (verification && !verification.verified) {
+      return { action: 'quarantine', reason: verification.reasons.join('; '), order: null };
+    }
+
+    const { eventType } = paymentData;
+    const recorded = paymentData.transactionId && await findRecordedTransaction(db, paymentData.transactionId);
+
+    if (CANCELLATION_EVENTS[eventType]) {
+      const deposit = await findPendingDeposit(db, paymentData);
+      const undo = deposit
+        ? { action: 'release', reason: `held transfer ${eventType}`, order: null }
+        : recorded && recorded.payment && !recorded.payment.reversed_at
+          ? { action: 'reverse', reason: `payment ${recorded.payment.id} ${eventType}`, order: null }
+          : null;
+      if (!undo) {
+        return { action: 'ignore', reason: `${eventType}, nothing to undo`, order: null };
+      }
+      if (!isParseTrusted(paymentData)) {
+        return { action: 'review', reason: `unrecognised_format, would ${undo.action}`, order: null };
+      }
+      return undo;
+    }
+
+    // Only a payment notice matches a transfer logged as unmatched again
+    if (wasApplied(recorded) || (recorded && eventType === 'deposit_pending')) {
+      return { action: 'duplicate', reason: `transaction ${paymentData.transactionId} already recorded`, order: null };
+    }
+    if (eventType === 'deposit_pending' && await findPendingDeposit(db, paymentData)) {
+      return { action: 'duplicate', reason: 'transfer already held for deposit', order: null };
+    }
+
+    const matchResult = await matchPaymentToOrder(paymentData);
+    const decision = decidePayment(paymentData, matchResult);
+    if (eventType === 'deposit_pending') {
+      decision.action = decision.action === 'confirm' ? 'hold' : decision.action;
+      decision.reason = decision.reason || 'waiting for deposit';
+    }
+    return {
+      ...decision,
+      order: matchResult.order,
+      confidence: matchResult.confidence
+    };
+  }
+
+  async function parse(parseWith, email) {
+    const paymentData = parseWith(toParserInput(email));
+    paymentData.receivingAlias = await resolveReceivingAlias(email);
+    paymentData.receivedAt = email.sent_at;
+    return paymentData;
+  }
+
+  let connected = false;
+  try {
+    const parseBase = options.diff ? loadParsers(options.diff) : null;
+    const messages = readMessages(options.paths);
+
+    await db.connect({ readOnly: true });
+    connected = true;
+
+    const summary = [];
+    let changed = 0;
+
+    for (const { label, raw } of messages) {
+      const fields = await parseRawEmail(raw);
+      const email = { ...fields, mailbox: null, created_at: fields.sent_at };
+
+      const verification = options.skipAuth ? null : await verifyNotification(email);
+      const paymentData = await parse(parseNotification, email);
+      const decision = await decide(email, paymentData, verification);
+
+      if (parseBase) {
+        const baseData = await parse(parseBase, email);
+        const baseDecision = await decide(email, baseData, verification);
+
+        const differences = DIFF_FIELDS.filter(f => show(baseData[f]) !== show(paymentData[f]));
+        const decisionChanged = describeDecision(baseDecision) !== describeDecision(decision);
+        summary.push({ email: label, base: describeDecision(baseDecision), current: describeDecision(decision) });
+
+        if (differences.length === 0 && !decisionChanged) continue;
+        changed++;
+
+        console.log(`\n━━━ ${label} ━━━`);
+        console.log(`  ${'Field'.padEnd(14)} ${'Base'.padEnd(28)} Current`);
+        for (const field of differences) {
+          console.log(`  ${field.padEnd(14)} ${show(baseData[field]).padEnd(28)} ${show(paymentData[field])}`);
+        }
+        if (decisionChanged) {
+          console.log(`  ${'decision'.padEnd(14)} ${describeDecision(baseDecision).padEnd(28)} ${describeDecision(decision)}`);
+        }
+        continue;
+      }
+
+      console.log(`\n━━━ ${label} ━━━`);
+      printFields(paymentData);
+      if (verification) {
+        console.log(`  ${'Sender check'.padEnd(12)} ${verification.verified ? `verified via ${verification.via}` : `not verified: ${verification.reasons.join('; ')}`}`);
+      }
+      if (paymentData.isInterac && paymentData.amountCents && !CANCELLATION_EVENTS[paymentData.eventType]) {
+        printCandidates((await rankCandidates(paymentData)).scored);
+      }
+      console.log(`  ${'Decision'.padEnd(12)} ${describeDecision(decision)}`);
+
+      summary.push({
+        email: label,
+        amount: money(paymentData.amountCents),
+        reference: show(paymentData.referenceCode),
+        decision: describeDecision(decision)
+      });
+    }
+
+    console.log('');
+    console.table(summary);
+    if (parseBase) {
+      console.log(`${changed} of ${messages.length} email(s) parse or decide differently`);
+    }
+
+    await db.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    if (connected) await db.close();
+    process.exit(1);
+  }
+}
+
+run();
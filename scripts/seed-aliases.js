@@ -53,19 +53,14 @@ async function seedAliases() {
 
     for (const alias of aliases) {
       try {
-        const sql = `
-          INSERT INTO email_aliases 
-            (alias_email, bank_name, bank_slug, daily_cap_cents, weight, active)
-          VALUES (?, ?, ?, ?, ?, 1)
-        `;
-        
-        await db.query(sql, [
-          alias.alias_email.toLowerCase().trim(),
-          alias.bank_name,
-          alias.bank_slug,
-          alias.daily_cap * 100, // Convert to cents
-          alias.weight
-        ]);
+        await db.insert('email_aliases', {
+          alias_email: alias.alias_email.toLowerCase().trim(),
+          bank_name: alias.bank_name,
+          bank_slug: alias.bank_slug,
+          daily_cap_cents: alias.daily_cap * 100, // Convert to cents
+          weight: alias.weight,
+          active: true
+        });
 
         console.log(`   ✅ Added: ${alias.alias_email}`);
         console.log(`      Bank: ${alias.bank_name}`);
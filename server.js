@@ -17,11 +17,13 @@ const ordersRoutes = require('./routes/orders');
 const webhookRoutes = require('./routes/webhooks');
 const healthRoutes = require('./routes/health');
 const adminRoutes = require('./routes/admin');
+const publicRoutes = require('./routes/public');
 
 // Import services
 const db = require('./config/database');
-const { startPaymentChecker } = require('./services/payment-checker');
+const { startPaymentChecker, stopPaymentChecker } = require('./services/payment-checker');
 const { initializeScheduler } = require('./services/scheduler');
+const { checkOrderTokenSecret } = require('./services/order-tokens');
 
 // ===================================
 // EXPRESS APP SETUP
@@ -34,7 +36,8 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Webhook-Secret']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Webhook-Secret', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -46,6 +49,10 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing
+// Inbound email posts stay raw: their signature covers the exact bytes
+app.use('/api/webhooks/inbound-email', express.raw({ type: () => true, limit: '25mb' }));
+// Bank statements can be uploaded as the CSV file itself
+app.use('/api/admin/reconciliation/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -64,6 +71,7 @@ app.use((req, res, next) => {
 app.use('/api/orders', ordersRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/public', publicRoutes);
 app.use('/api', healthRoutes);
 
 // Root endpoint - API documentation
@@ -75,14 +83,18 @@ app.get('/', (req, res) => {
     endpoints: {
       orders: {
         'POST /api/orders': 'Create a new order',
-        'GET /api/orders/:id': 'Get order by ID',
-        'GET /api/orders/reference/:ref': 'Get order by reference number',
-        'PUT /api/orders/:id/status': 'Update order status',
-        'GET /api/orders': 'List all orders (with pagination)'
+        'GET /api/orders/:id': 'Get order by ID (API key)',
+        'GET /api/orders/reference/:ref': 'Get order by reference number (API key)',
+        'PUT /api/orders/:id/status': 'Update order status (API key)',
+        'GET /api/orders': 'Search orders (API key)'
+      },
+      public: {
+        'GET /api/public/orders/:token': 'Order status for the customer holding the token'
       },
       webhooks: {
         'POST /api/webhooks/woocommerce': 'Receive WooCommerce order webhook',
-        'POST /api/webhooks/payment-confirmed': 'Mark payment as confirmed'
+        'POST /api/webhooks/payment-confirmed': 'Mark payment as confirmed',
+        'POST /api/webhooks/inbound-email': 'Receive a payment notification email over HTTP'
       },
       health: {
         'GET /api/health': 'Health check',
@@ -118,6 +130,8 @@ const PORT = process.env.PORT || 3000;
 
 async function startServer() {
   try {
+    checkOrderTokenSecret();
+
     // Initialize database
     console.log('🗄️  Initializing database...');
     await db.initialize();
@@ -126,7 +140,7 @@ async function startServer() {
     // Start payment checker (IMAP monitoring)
     if (process.env.IMAP_ENABLED === 'true') {
       console.log('📧 Starting payment checker...');
-      startPaymentChecker();
+      await startPaymentChecker();
       console.log('✅ Payment checker running');
     } else {
       console.log('⚠️  Payment checker disabled (set IMAP_ENABLED=true to enable)');
@@ -168,12 +182,14 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('📴 Shutting down gracefully...');
+  stopPaymentChecker();
   await db.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('📴 Shutting down gracefully...');
+  stopPaymentChecker();
   await db.close();
   process.exit(0);
 });
@@ -0,0 +1,295 @@
+/**
+ * Bank Statements
+ * Reads the CSV transaction exports of Canadian banks into statement
+ * lines: posting date, description and signed amount in cents. Each bank
+ * lays its export out differently, so the columns come from a preset for
+ * the alias's bank_slug, or from a mapping given with the import.
+ */
+
+const { extractReference } = require('./parsers/common');
+
+// Column layouts as the banks export them. Columns are header names when
+// the export has a header row, otherwise 0-based positions. A bank gives
+// either one signed amount or separate debit and credit columns.
+const PRESETS = {
+  td: { header: false, date: 0, description: 1, debit: 2, credit: 3, date_format: 'MDY' },
+  rbc: { header: true, date: 'Transaction Date', description: ['Description 1', 'Description 2'], amount: 'CAD$', date_format: 'MDY' },
+  bmo: { header: true, date: 'Date Posted', description: 'Description', amount: 'Transaction Amount', date_format: 'YMD' },
+  scotiabank: { header: false, date: 0, amount: 1, description: [3, 4], date_format: 'MDY' },
+  cibc: { header: false, date: 0, description: 1, debit: 2, credit: 3, date_format: 'YMD' },
+  desjardins: { header: false, date: 3, description: 5, debit: 7, credit: 8, date_format: 'YMD' },
+  tangerine: { header: true, date: 'Date', description: ['Name', 'Memo'], amount: 'Amount', date_format: 'MDY' }
+};
+
+const DATE_FORMATS = ['MDY', 'DMY', 'YMD'];
+
+// Interac reference numbers: C, then 9-11 letters and digits with at
+// least one digit (so words like "CONTRIBUTION" don't match)
+const TRANSACTION_ID_PATTERN = /\b(C(?=[A-Z]*\d)[A-Z0-9]{9,11})\b/i;
+
+class InvalidStatementError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidStatementError';
+    this.status = 400;
+  }
+}
+
+// ===================================
+// CSV
+// ===================================
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, CRLF line endings and a byte order mark.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// ===================================
+// VALUES
+// ===================================
+
+/**
+ * @param {string} value - e.g. 03/01/2024, 2024-03-01 or 20240301
+ * @param {string} format - order of the parts when separated: MDY, DMY or YMD
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseStatementDate(value, format) {
+  const text = String(value || '').trim().split(/[ T]/)[0];
+  let year, month, day;
+
+  let match = text.match(/^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (!match) return null;
+    [, month, day, year] = match;
+    if (format === 'DMY') [month, day] = [day, month];
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} value - e.g. 1,234.50, -45.00, (45.00), 45.00- or 1 234,50 $
+ * @returns {number|null} cents, negative for money out
+ */
+function parseStatementAmount(value) {
+  let text = String(value || '').replace(/\$|CAD|\s/gi, '');
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.startsWith('-') || text.endsWith('-')) {
+    negative = true;
+    text = text.replace(/^-|-$/g, '');
+  } else if (text.startsWith('+')) {
+    text = text.slice(1);
+  }
+
+  if (/^\d{1,3}(,\d{3})*(\.\d{1,2})?$/.test(text) || /^\d+(\.\d{1,2})?$/.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (/^\d{1,3}(\.\d{3})*,\d{1,2}$/.test(text) || /^\d+,\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    return null;
+  }
+
+  const cents = Math.round(parseFloat(text) * 100);
+  return negative ? -cents : cents;
+}
+
+// ===================================
+// MAPPING
+// ===================================
+
+/**
+ * The column mapping for an import: the bank's preset with any given
+ * fields on top, or the given mapping alone for other banks
+ *
+ * @param {string} bankSlug
+ * @param {Object} [mapping] - same shape as a preset
+ * @returns {Object}
+ * @throws InvalidStatementError when no usable mapping results
+ */
+function resolveMapping(bankSlug, mapping = null) {
+  const resolved = { ...(PRESETS[bankSlug] || {}), ...(mapping || {}) };
+
+  if (Object.keys(resolved).length === 0) {
+    throw new InvalidStatementError(`No column preset for bank_slug "${bankSlug}" - pass a mapping (presets: ${Object.keys(PRESETS).join(', ')})`);
+  }
+  if (resolved.date === undefined || resolved.description === undefined) {
+    throw new InvalidStatementError('The mapping needs date and description columns');
+  }
+  if (resolved.amount === undefined && resolved.credit === undefined) {
+    throw new InvalidStatementError('The mapping needs an amount or a credit column');
+  }
+  resolved.date_format = resolved.date_format || 'YMD';
+  if (!DATE_FORMATS.includes(resolved.date_format)) {
+    throw new InvalidStatementError(`date_format must be one of ${DATE_FORMATS.join(', ')}`);
+  }
+  resolved.header = resolved.header !== undefined ? !!resolved.header : typeof resolved.date === 'string';
+
+  return resolved;
+}
+
+/**
+ * Turn the mapping's column names into positions, using the first row
+ * that has all of them as the header. Rows above it (account details some
+ * banks put first) are skipped.
+ *
+ * @returns {{ columns: Object, start: number }}
+ */
+function locateColumns(rows, mapping) {
+  const fields = ['date', 'description', 'amount', 'debit', 'credit'].filter(f => mapping[f] !== undefined);
+
+  if (!mapping.header) {
+    const columns = {};
+    for (const field of fields) columns[field] = [].concat(mapping[field]).map(Number);
+    return { columns, start: 0 };
+  }
+
+  const names = fields.flatMap(f => [].concat(mapping[f])).map(n => String(n).trim().toLowerCase());
+  const headerIndex = rows.findIndex(row => {
+    const cells = row.map(c => c.trim().toLowerCase());
+    return names.every(name => cells.includes(name));
+  });
+  if (headerIndex === -1) {
+    throw new InvalidStatementError(`No header row with the columns ${names.join(', ')}`);
+  }
+
+  const header = rows[headerIndex].map(c => c.trim().toLowerCase());
+  const columns = {};
+  for (const field of fields) {
+    columns[field] = [].concat(mapping[field]).map(n => header.indexOf(String(n).trim().toLowerCase()));
+  }
+  return { columns, start: headerIndex + 1 };
+}
+
+// ===================================
+// STATEMENT
+// ===================================
+
+/**
+ * Read a statement export
+ *
+ * @param {string} csv
+ * @param {Object} mapping - from resolveMapping()
+ * @returns {{ lines: Object[], skipped: Object[] }} lines have line_number
+ *   (1-based, not counting blank rows), posted_on, description, amount_cents,
+ *   reference_code and transaction_id. skipped lists rows without a date
+ *   or amount, such as a header or totals row.
+ */
+function readStatement(csv, mapping) {
+  const rows = parseCsv(csv);
+  if (rows.length === 0) {
+    throw new InvalidStatementError('The statement is empty');
+  }
+
+  const { columns, start } = locateColumns(rows, mapping);
+  const cell = (row, field) => (columns[field] || []).map(i => (row[i] || '').trim()).filter(Boolean).join(' ');
+
+  const lines = [];
+  const skipped = [];
+
+  rows.slice(start).forEach((row, i) => {
+    const lineNumber = start + i + 1;
+    const postedOn = parseStatementDate(cell(row, 'date'), mapping.date_format);
+
+    let amountCents;
+    if (columns.amount) {
+      amountCents = parseStatementAmount(cell(row, 'amount'));
+    } else {
+      const credit = parseStatementAmount(cell(row, 'credit'));
+      const debit = parseStatementAmount(cell(row, 'debit'));
+      amountCents = credit === null && debit === null ? null : (credit || 0) - Math.abs(debit || 0);
+    }
+
+    if (!postedOn || amountCents === null) {
+      skipped.push({ line_number: lineNumber, reason: postedOn ? 'no amount' : 'no date' });
+      return;
+    }
+
+    const description = cell(row, 'description').replace(/\s+/g, ' ');
+    const transactionId = description.match(TRANSACTION_ID_PATTERN);
+
+    lines.push({
+      line_number: lineNumber,
+      posted_on: postedOn,
+      description,
+      amount_cents: amountCents,
+      reference_code: extractReference(description, false),
+      transaction_id: transactionId ? transactionId[1] : null
+    });
+  });
+
+  if (lines.length === 0) {
+    throw new InvalidStatementError('No transactions found - check bank_slug or the mapping');
+  }
+
+  return { lines, skipped };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  PRESETS,
+  parseCsv,
+  parseStatementDate,
+  parseStatementAmount,
+  resolveMapping,
+  readStatement,
+  InvalidStatementError
+};
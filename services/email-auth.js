@@ -0,0 +1,454 @@
+/**
+ * Email Authentication
+ * Decides whether a payment notification really comes from the bank it
+ * claims. The From domain must be on the sender allowlist and be
+ * authenticated by one of:
+ *   - a DKIM signature verified here, signed by that domain
+ *   - DKIM/DMARC results in the Authentication-Results header of a mail
+ *     server listed in EMAIL_AUTH_TRUSTED_SERVERS
+ *   - for forwarded mail, a passing ARC chain whose
+ *     ARC-Authentication-Results come from such a server
+ * A message rebuilt from fields a provider parsed is never verified.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { senderDomains } = require('./parsers');
+
+const DNS_TIMEOUT_MS = 5000;
+const KEY_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// DER header that turns a raw 32-byte Ed25519 key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// selector._domainkey.domain -> { record, expires }
+const keyCache = new Map();
+
+// ===================================
+// SETTINGS
+// ===================================
+
+function listSetting(name) {
+  return String(process.env[name] || '')
+    .split(',')
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Domains allowed to send payment notifications: NOTIFICATION_SENDER_DOMAINS,
+ * or every domain a notification parser recognises
+ */
+function getAllowedSenderDomains() {
+  const configured = listSetting('NOTIFICATION_SENDER_DOMAINS');
+  return configured.length > 0 ? configured : senderDomains();
+}
+
+/**
+ * authserv-ids whose Authentication-Results are believed - your own mail
+ * provider (e.g. mx.fastmail.com), and any forwarder that seals ARC
+ */
+function getTrustedServers() {
+  return listSetting('EMAIL_AUTH_TRUSTED_SERVERS');
+}
+
+// ===================================
+// MESSAGE HELPERS
+// ===================================
+
+/**
+ * Split a raw message into its header fields (folding kept) and body,
+ * with CRLF line endings throughout
+ */
+function splitMessage(raw) {
+  const text = String(raw).replace(/\r?\n/g, '\r\n');
+  const end = text.indexOf('\r\n\r\n');
+  const head = end === -1 ? text : text.slice(0, end);
+  const body = end === -1 ? '' : text.slice(end + 4);
+
+  const headers = [];
+  for (const line of head.split('\r\n')) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].raw += `\r\n${line}`;
+    } else if (line.includes(':')) {
+      headers.push({ name: line.slice(0, line.indexOf(':')).trim().toLowerCase(), raw: line });
+    }
+  }
+
+  return { headers, body };
+}
+
+function headerValue(header) {
+  return header.raw.slice(header.raw.indexOf(':') + 1);
+}
+
+/**
+ * "a=rsa-sha256; d=td.com; ..." -> { a: 'rsa-sha256', d: 'td.com', ... }
+ */
+function parseTags(value) {
+  const tags = {};
+  for (const part of value.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+  }
+  return tags;
+}
+
+function domainOf(address) {
+  const match = String(address || '').match(/@([a-z0-9.-]+)/i);
+  return match ? match[1].toLowerCase().replace(/\.$/, '') : null;
+}
+
+/**
+ * One domain is the other or a subdomain of it (DMARC relaxed alignment
+ * without the public suffix list)
+ */
+function isAligned(domain, fromDomain) {
+  if (!domain || !fromDomain || !domain.includes('.')) return false;
+  domain = domain.toLowerCase();
+  return domain === fromDomain || fromDomain.endsWith(`.${domain}`) || domain.endsWith(`.${fromDomain}`);
+}
+
+/**
+ * SQLite returns UTC text without a zone, PostgreSQL a Date
+ */
+function receivedTime(value) {
+  if (value instanceof Date) return value.getTime();
+  const time = value ? Date.parse(`${String(value).replace(' ', 'T')}Z`) : NaN;
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+function isAllowedDomain(domain, allowed) {
+  return !!domain && allowed.some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+// ===================================
+// DKIM
+// ===================================
+
+function canonicalizeBody(body, method) {
+  let lines = body.split('\r\n');
+  if (method === 'relaxed') {
+    lines = lines.map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+  }
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  if (lines.length === 0) {
+    return method === 'relaxed' ? '' : '\r\n';
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function canonicalizeHeader(raw, method) {
+  if (method !== 'relaxed') {
+    return raw;
+  }
+  const index = raw.indexOf(':');
+  const name = raw.slice(0, index).trim().toLowerCase();
+  const value = raw.slice(index + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${name}:${value}`;
+}
+
+async function lookupKey(name) {
+  const cached = keyCache.get(name);
+  if (cached && cached.expires > Date.now()) {
+    return cached.record;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT_MS);
+  });
+
+  try {
+    const records = await Promise.race([dns.resolveTxt(name), timeout]);
+    const record = records.map(chunks => chunks.join('')).find(r => /(^|;)\s*p=/.test(r)) || null;
+    keyCache.set(name, { record, expires: Date.now() + KEY_CACHE_TTL_MS });
+    return record;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function publicKeyFor(record, algorithm) {
+  const tags = parseTags(record);
+  const data = Buffer.from((tags.p || '').replace(/\s+/g, ''), 'base64');
+  if (data.length === 0) {
+    throw new Error('key revoked');
+  }
+  if (algorithm === 'ed25519') {
+    return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, data]), format: 'der', type: 'spki' });
+  }
+  return crypto.createPublicKey({ key: data, format: 'der', type: 'spki' });
+}
+
+/**
+ * Verify one DKIM-Signature header
+ *
+ * @returns {Promise<{ domain, selector, result, reason }>} result is pass,
+ *   fail, temperror (DNS) or permerror (unusable signature)
+ */
+async function verifySignature(signature, message, options) {
+  const tags = parseTags(headerValue(signature));
+  const outcome = (result, reason) => ({ domain: (tags.d || '').toLowerCase() || null, selector: tags.s || null, result, reason });
+
+  if (tags.v !== '1' || !tags.d || !tags.s || !tags.b || !tags.bh || !tags.h) {
+    return outcome('permerror', 'missing required tags');
+  }
+
+  const [keyType, hash] = (tags.a || '').toLowerCase().split('-');
+  if (hash !== 'sha256' || !['rsa', 'ed25519'].includes(keyType)) {
+    return outcome('permerror', `unsupported algorithm ${tags.a}`);
+  }
+
+  const signedHeaders = tags.h.split(':').map(h => h.trim().toLowerCase());
+  if (!signedHeaders.includes('from')) {
+    return outcome('permerror', 'From is not signed');
+  }
+
+  if (tags.x && Number(tags.x) * 1000 < options.now) {
+    return outcome('fail', 'signature expired');
+  }
+
+  const [headerMethod, bodyMethod = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+
+  // A length limit would let anyone append text to a signed message
+  const body = canonicalizeBody(message.body, bodyMethod);
+  if (tags.l !== undefined && Number(tags.l) < Buffer.byteLength(body)) {
+    return outcome('fail', 'body is longer than the signed length');
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(body).digest('base64');
+  if (bodyHash !== tags.bh.replace(/\s+/g, '')) {
+    return outcome('fail', 'body hash does not match');
+  }
+
+  // Signed headers are taken from the bottom up; a name listed more times
+  // than it appears contributes nothing
+  const remaining = message.headers.slice();
+  const parts = [];
+  for (const name of signedHeaders) {
+    let index = -1;
+    for (let i = remaining.length - 1; i >= 0; i--) {
+      if (remaining[i] && remaining[i].name === name) {
+        index = i;
+        break;
+      }
+    }
+    if (index !== -1) {
+      parts.push(`${canonicalizeHeader(remaining[index].raw, headerMethod)}\r\n`);
+      remaining[index] = null;
+    }
+  }
+  const unsigned = signature.raw.replace(/([;:]\s*b\s*=)[^;]*/i, '$1');
+  parts.push(canonicalizeHeader(unsigned, headerMethod));
+  const data = Buffer.from(parts.join(''));
+
+  let record;
+  try {
+    record = await options.resolveKey(`${tags.s}._domainkey.${tags.d}`);
+  } catch (error) {
+    return outcome('temperror', `key lookup failed: ${error.message}`);
+  }
+  if (!record) {
+    return outcome('permerror', 'no key published');
+  }
+
+  try {
+    const key = publicKeyFor(record, keyType);
+    const signatureBytes = Buffer.from(tags.b.replace(/\s+/g, ''), 'base64');
+    const valid = keyType === 'ed25519'
+      ? crypto.verify(null, crypto.createHash('sha256').update(data).digest(), key, signatureBytes)
+      : crypto.verify('sha256', data, key, signatureBytes);
+    return valid ? outcome('pass', null) : outcome('fail', 'signature does not verify');
+  } catch (error) {
+    return outcome('permerror', error.message);
+  }
+}
+
+/**
+ * Verify every DKIM-Signature on a raw message
+ *
+ * @param {string|Buffer} raw
+ * @param {Object} [options]
+ * @param {Function} [options.resolveKey] - async (name) => TXT record (default DNS)
+ * @param {number} [options.now] - ms, for signature expiry
+ * @returns {Promise<Object[]>} one { domain, selector, result, reason } per signature
+ */
+async function verifyDkim(raw, options = {}) {
+  const message = splitMessage(raw);
+  const settings = { resolveKey: lookupKey, now: Date.now(), ...options };
+
+  const signatures = message.headers.filter(h => h.name === 'dkim-signature');
+  return Promise.all(signatures.map(signature => verifySignature(signature, message, settings)));
+}
+
+// ===================================
+// AUTHENTICATION-RESULTS / ARC
+// ===================================
+
+/**
+ * Parse an Authentication-Results value (RFC 8601)
+ * "mx.example.com; dkim=pass header.d=td.com; dmarc=pass header.from=td.com"
+ *
+ * @returns {{ authservId: string, results: Object[] }} each result
+ *   { method, result, props: { 'header.d': ... } }
+ */
+function parseAuthenticationResults(value) {
+  const parts = String(value).replace(/\([^)]*\)/g, '').split(';').map(p => p.trim()).filter(Boolean);
+  const authservId = (parts.shift() || '').split(/\s+/)[0].toLowerCase();
+
+  const results = [];
+  for (const part of parts) {
+    const [methodResult, ...props] = part.split(/\s+/);
+    const [method, result] = methodResult.split('=');
+    if (!result) continue;
+    const parsed = { method: method.toLowerCase(), result: result.toLowerCase(), props: {} };
+    for (const prop of props) {
+      const index = prop.indexOf('=');
+      if (index > 0) parsed.props[prop.slice(0, index).toLowerCase()] = prop.slice(index + 1).replace(/^@/, '').toLowerCase();
+    }
+    results.push(parsed);
+  }
+
+  return { authservId, results };
+}
+
+/**
+ * Whether a set of results shows the From domain authenticated
+ */
+function resultsAuthenticate(results, fromDomain) {
+  return results.some(r => r.result === 'pass' && (
+    (r.method === 'dmarc' && isAligned(r.props['header.from'], fromDomain))
+    || (r.method === 'dkim' && isAligned(r.props['header.d'] || r.props['header.i'], fromDomain))
+  ));
+}
+
+/**
+ * Results from the trusted servers' headers. Only the topmost
+ * Authentication-Results from a trusted server counts - anything below it
+ * was there before the message reached that server. ARC results count
+ * when that header reports arc=pass, using the latest ARC instance sealed
+ * by a trusted server.
+ */
+function trustedResults(message, fromDomain, trusted) {
+  const found = { authentication_results: null, arc: null, authenticated: false, via: null };
+  if (trusted.length === 0) return found;
+
+  const own = message.headers
+    .filter(h => h.name === 'authentication-results')
+    .map(h => parseAuthenticationResults(headerValue(h)))
+    .find(parsed => trusted.includes(parsed.authservId));
+  if (!own) return found;
+
+  found.authentication_results = own;
+  if (resultsAuthenticate(own.results, fromDomain)) {
+    found.authenticated = true;
+    found.via = `authentication-results (${own.authservId})`;
+    return found;
+  }
+
+  if (!own.results.some(r => r.method === 'arc' && r.result === 'pass')) {
+    return found;
+  }
+
+  const arcResults = message.headers
+    .filter(h => h.name === 'arc-authentication-results')
+    .map((h) => {
+      const value = headerValue(h);
+      const instance = Number((value.match(/^\s*i\s*=\s*(\d+)/) || [])[1]) || 0;
+      return { instance, ...parseAuthenticationResults(value.replace(/^\s*i\s*=\s*\d+\s*;/, '')) };
+    })
+    .filter(parsed => trusted.includes(parsed.authservId))
+    .sort((a, b) => b.instance - a.instance);
+
+  if (arcResults.length > 0) {
+    found.arc = arcResults[0];
+    if (resultsAuthenticate(arcResults[0].results, fromDomain)) {
+      found.authenticated = true;
+      found.via = `arc (${arcResults[0].authservId}, i=${arcResults[0].instance})`;
+    }
+  }
+
+  return found;
+}
+
+// ===================================
+// VERIFY NOTIFICATION
+// ===================================
+
+/**
+ * Check that a stored notification comes from an allowed sender and that
+ * its From domain is authenticated
+ *
+ * @param {Object} email - inbound_emails row (uses raw_source)
+ * @param {Object} [options] - passed to verifyDkim
+ * @returns {Promise<Object>} { verified, from_domain, allowed_sender, via,
+ *   reasons, dkim, authentication_results, arc }
+ */
+async function verifyNotification(email, options = {}) {
+  const message = splitMessage(email.raw_source || '');
+  const reasons = [];
+
+  const fromHeaders = message.headers.filter(h => h.name === 'from');
+  const fromDomain = fromHeaders.length === 1 ? domainOf(headerValue(fromHeaders[0])) : null;
+  if (fromHeaders.length !== 1) {
+    reasons.push(fromHeaders.length === 0 ? 'no From header' : 'more than one From header');
+  }
+
+  // Rebuilt from fields a provider parsed: whatever it says about DKIM or
+  // Authentication-Results can't be checked against the original bytes
+  if (email.composed) {
+    reasons.push('rebuilt from parsed fields, without the original message source');
+  }
+
+  const allowedSender = isAllowedDomain(fromDomain, getAllowedSenderDomains());
+  if (fromDomain && !allowedSender) {
+    reasons.push(`${fromDomain} is not an allowed notification sender`);
+  }
+
+  // Signature expiry is checked against when the message arrived, so a
+  // reprocessed email verifies as it did then
+  const dkim = await verifyDkim(email.raw_source || '', {
+    now: receivedTime(email.created_at),
+    ...options
+  });
+  const trusted = trustedResults(message, fromDomain, getTrustedServers());
+
+  let via = null;
+  const signed = dkim.find(sig => sig.result === 'pass' && isAligned(sig.domain, fromDomain));
+  if (signed) {
+    via = `dkim (${signed.domain})`;
+  } else if (trusted.authenticated) {
+    via = trusted.via;
+  } else if (fromDomain) {
+    reasons.push(dkim.length === 0
+      ? `no DKIM signature or trusted authentication results for ${fromDomain}`
+      : `no passing DKIM signature or trusted authentication results for ${fromDomain}`);
+  }
+
+  return {
+    verified: !!via && allowedSender && reasons.length === 0,
+    from_domain: fromDomain,
+    allowed_sender: allowedSender,
+    via,
+    reasons,
+    dkim,
+    authentication_results: trusted.authentication_results,
+    arc: trusted.arc
+  };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  verifyNotification,
+  verifyDkim,
+  parseAuthenticationResults,
+  getAllowedSenderDomains,
+  getTrustedServers
+};
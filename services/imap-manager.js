@@ -0,0 +1,275 @@
+/**
+ * IMAP Connection Manager
+ * Keeps one long-lived connection to a mailbox. Servers that support IDLE
+ * push new mail, so a check runs as soon as a notification arrives; other
+ * servers are polled over the same connection. Dropped connections are
+ * re-opened with exponential backoff and jitter.
+ */
+
+const { EventEmitter } = require('events');
+const Imap = require('imap');
+
+const DEFAULT_POLL_INTERVAL_MS = 2 * 60 * 1000;
+const DEFAULT_RECONNECT_BASE_MS = 1000;
+const DEFAULT_RECONNECT_MAX_MS = 5 * 60 * 1000;
+
+// Re-issue IDLE before servers drop it (RFC 2177 allows 29 minutes; many cut at 10)
+const IDLE_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Backoff delay for a reconnect attempt: doubles each time up to the
+ * maximum, then a random point in its upper half so many clients don't
+ * reconnect in step
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+class ImapManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.host
+   * @param {number} [options.port] - default 993
+   * @param {string} options.user
+   * @param {string} options.password
+   * @param {boolean} [options.rejectUnauthorized] - verify the server certificate (default true)
+   * @param {string} [options.mailbox] - default INBOX
+   * @param {Function} options.onCheck - async (imap) => result, run with the mailbox open
+   * @param {number} [options.pollIntervalMs] - used when the server lacks IDLE
+   * @param {number} [options.reconnectBaseMs]
+   * @param {number} [options.reconnectMaxMs]
+   * @param {string} [options.name] - for logs
+   */
+  constructor(options) {
+    super();
+    this.options = {
+      port: 993,
+      rejectUnauthorized: true,
+      mailbox: 'INBOX',
+      pollIntervalMs: DEFAULT_POLL_INTERVAL_MS,
+      reconnectBaseMs: DEFAULT_RECONNECT_BASE_MS,
+      reconnectMaxMs: DEFAULT_RECONNECT_MAX_MS,
+      // Unset options keep their defaults
+      ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    };
+    this.name = this.options.name || this.options.user;
+
+    this.imap = null;
+    this.state = 'stopped';
+    this.mode = null;
+    this.stopping = false;
+
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.pollTimer = null;
+
+    this.checking = null;
+    this.recheck = false;
+
+    this.lastConnectedAt = null;
+    this.lastCheckAt = null;
+    this.lastCheckError = null;
+    this.lastError = null;
+  }
+
+  // ===================================
+  // START / STOP
+  // ===================================
+
+  start() {
+    if (this.state !== 'stopped') return;
+
+    if (!this.options.rejectUnauthorized) {
+      console.warn(`⚠️ IMAP ${this.name}: TLS certificate verification is disabled`);
+    }
+
+    this.stopping = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopping = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pollTimer);
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+    this.nextReconnectAt = null;
+
+    if (this.imap) {
+      this.imap.end();
+      this.imap = null;
+    }
+
+    this.setState('stopped');
+  }
+
+  // ===================================
+  // CONNECTION
+  // ===================================
+
+  connect() {
+    this.setState('connecting');
+
+    const imap = new Imap({
+      user: this.options.user,
+      password: this.options.password,
+      host: this.options.host,
+      port: this.options.port,
+      tls: true,
+      tlsOptions: {
+        rejectUnauthorized: this.options.rejectUnauthorized,
+        servername: this.options.host
+      },
+      keepalive: { interval: 10000, idleInterval: IDLE_REFRESH_MS, forceNoop: false }
+    });
+    this.imap = imap;
+
+    imap.once('ready', () => this.onReady(imap));
+    imap.on('mail', () => {
+      this.checkNow('mail').catch(() => {});
+    });
+    imap.on('error', (err) => {
+      this.lastError = { message: err.message, at: new Date().toISOString() };
+      console.error(`❌ IMAP ${this.name} error:`, err.message);
+    });
+    imap.once('close', () => this.onClose(imap));
+
+    imap.connect();
+  }
+
+  onReady(imap) {
+    imap.openBox(this.options.mailbox, false, (err) => {
+      if (err) {
+        this.lastError = { message: err.message, at: new Date().toISOString() };
+        console.error(`❌ IMAP ${this.name}: cannot open ${this.options.mailbox}:`, err.message);
+        imap.end();
+        return;
+      }
+
+      this.reconnectAttempts = 0;
+      this.nextReconnectAt = null;
+      this.lastConnectedAt = new Date().toISOString();
+
+      // node-imap IDLEs on its own between commands when the server allows it
+      if (imap.serverSupports('IDLE')) {
+        this.mode = 'idle';
+      } else {
+        this.mode = 'poll';
+        this.pollTimer = setInterval(() => {
+          this.checkNow('poll').catch(() => {});
+        }, this.options.pollIntervalMs);
+      }
+
+      this.setState('connected');
+      console.log(`📧 IMAP ${this.name} connected (${this.mode === 'idle' ? 'IDLE push' : 'polling'})`);
+
+      // Catch up on anything that arrived while disconnected
+      this.checkNow('connect').catch(() => {});
+    });
+  }
+
+  onClose(imap) {
+    if (this.imap !== imap) return;
+
+    this.imap = null;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.stopping) return;
+
+    const delay = backoffDelay(this.reconnectAttempts, this.options.reconnectBaseMs, this.options.reconnectMaxMs);
+    this.reconnectAttempts++;
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    this.setState('reconnecting');
+
+    console.log(`📧 IMAP ${this.name} disconnected - reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  // ===================================
+  // CHECKS
+  // ===================================
+
+  /**
+   * Run onCheck on the open mailbox. Checks never overlap: a request while
+   * one is running queues a single follow-up, so mail that arrives
+   * mid-check is still picked up.
+   *
+   * @param {string} [reason] - for logs
+   * @returns {Promise} the running check's result
+   */
+  checkNow(reason = 'manual') {
+    if (this.state !== 'connected' || !this.imap) {
+      return Promise.reject(new Error(`IMAP ${this.name} is not connected (${this.state})`));
+    }
+
+    if (this.checking) {
+      this.recheck = true;
+      return this.checking;
+    }
+
+    const imap = this.imap;
+    this.checking = (async () => {
+      try {
+        const result = await this.options.onCheck(imap, reason);
+        this.lastCheckAt = new Date().toISOString();
+        this.lastCheckError = null;
+        return result;
+      } catch (error) {
+        this.lastCheckError = { message: error.message, at: new Date().toISOString() };
+        console.error(`❌ IMAP ${this.name} check failed:`, error.message);
+        throw error;
+      } finally {
+        this.checking = null;
+        if (this.recheck) {
+          this.recheck = false;
+          if (this.state === 'connected') this.checkNow('queued').catch(() => {});
+        }
+      }
+    })();
+
+    return this.checking;
+  }
+
+  // ===================================
+  // STATUS
+  // ===================================
+
+  getStatus() {
+    return {
+      name: this.name,
+      host: this.options.host,
+      mailbox: this.options.mailbox,
+      state: this.state,
+      mode: this.mode,
+      tls_verified: this.options.rejectUnauthorized,
+      last_connected_at: this.lastConnectedAt,
+      last_check_at: this.lastCheckAt,
+      last_check_error: this.lastCheckError,
+      last_error: this.lastError,
+      reconnect_attempts: this.reconnectAttempts,
+      next_reconnect_at: this.nextReconnectAt
+    };
+  }
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  ImapManager,
+  backoffDelay
+};
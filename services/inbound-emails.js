@@ -0,0 +1,351 @@
+/**
+ * Inbound Emails
+ * Every message fetched from the payment inbox is stored here before it
+ * is marked seen, so a parse failure or crash never loses a payment email.
+ * Message-ID is unique: a message fetched again is recognised and skipped.
+ */
+
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const db = require('../config/database');
+
+// received: stored, not processed yet
+// processed: payment applied to an order
+// needs_review: matched with low confidence, waiting for an admin
+// unmatched: logged as an unmatched payment
+// ignored: not a payment notification, or no amount could be read
+// duplicate: its Interac transaction was already recorded
+// quarantined: sender could not be verified, held until an admin releases it
+// failed: processing threw an error
+const INBOUND_STATUSES = ['received', 'processed', 'needs_review', 'unmatched', 'ignored', 'duplicate', 'quarantined', 'failed'];
+
+// Headers naming who a message was delivered to, most specific first.
+// Forwarded notifications keep the alias in Delivered-To/X-Original-To
+// while To shows the mailbox it was forwarded to.
+const RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'envelope-to', 'to', 'cc'];
+
+const DEFAULT_LIST_STATUSES = ['quarantined', 'failed', 'ignored'];
+const MAX_LIST_LIMIT = 200;
+
+// Set from the fields of a JSON message, so never copied from its headers
+const COMPOSED_HEADERS = ['from', 'to', 'cc', 'subject', 'date', 'message-id', 'mime-version',
+  'content-type', 'content-transfer-encoding'];
+
+// Columns for listings; bodies and the raw source are only returned one at a time
+const SUMMARY_COLUMNS = `id, message_id, mailbox, imap_uid, composed, from_address, to_address, subject, sent_at,
+  status, parser, parse_confidence, order_id, error, attempts, processed_at, created_at, updated_at`;
+
+// ===================================
+// HELPERS
+// ===================================
+
+/**
+ * Message-ID, or a hash of the message for the few senders that omit one
+ */
+function messageIdFor(parsed, raw) {
+  if (parsed.messageId) {
+    return parsed.messageId;
+  }
+  const hash = crypto.createHash('sha256').update(raw).digest('hex');
+  return `<sha256-${hash}@inbound.local>`;
+}
+
+/**
+ * Header lines as { name: value }, with repeated headers as arrays
+ */
+function headersToObject(headerLines) {
+  const headers = {};
+  for (const { key, line } of headerLines || []) {
+    const value = line.slice(line.indexOf(':') + 1).replace(/\r?\n\s+/g, ' ').trim();
+    if (headers[key] === undefined) {
+      headers[key] = value;
+    } else {
+      headers[key] = [].concat(headers[key], value);
+    }
+  }
+  return headers;
+}
+
+/**
+ * The fields the notification parsers read, from a stored email
+ */
+function toParserInput(email) {
+  return {
+    from: email.from_address || '',
+    subject: email.subject || '',
+    text: email.body_text || '',
+    html: email.body_html || null
+  };
+}
+
+/**
+ * Every recipient address on a stored email, lowercased, in
+ * RECIPIENT_HEADERS order
+ */
+function recipientAddresses(email) {
+  const headers = email.headers || {};
+  const addresses = [];
+
+  const values = RECIPIENT_HEADERS.flatMap(name => [].concat(headers[name] || []));
+  if (email.to_address) values.push(email.to_address);
+
+  for (const value of values) {
+    for (const address of String(value).match(/[^\s<>,;:"']+@[^\s<>,;:"']+/g) || []) {
+      const normalized = address.toLowerCase();
+      if (!addresses.includes(normalized)) addresses.push(normalized);
+    }
+  }
+  return addresses;
+}
+
+// ===================================
+// RECEIVING ALIAS
+// ===================================
+
+/**
+ * The payment alias a notification was sent to: the first recipient that
+ * is a known alias (or DEFAULT_PAYMENT_EMAIL). Failing that, the only
+ * alias served by the mailbox it was fetched from.
+ *
+ * @param {Object} email - inbound_emails row
+ * @returns {Promise<string|null>} lowercased alias, or null when unknown
+ */
+async function resolveReceivingAlias(email) {
+  const aliases = await db.query('SELECT alias_email FROM email_aliases');
+  const known = new Set(aliases.map(a => a.alias_email.toLowerCase()));
+  if (process.env.DEFAULT_PAYMENT_EMAIL) {
+    known.add(process.env.DEFAULT_PAYMENT_EMAIL.toLowerCase());
+  }
+
+  const recipient = recipientAddresses(email).find(address => known.has(address));
+  if (recipient) {
+    return recipient;
+  }
+
+  if (email.mailbox) {
+    const served = await db.query(
+      `SELECT a.alias_email FROM email_aliases a
+       JOIN mailboxes m ON m.id = a.mailbox_id
+       WHERE m.name = ?`,
+      [email.mailbox]
+    );
+    if (served.length === 1) {
+      return served[0].alias_email.toLowerCase();
+    }
+  }
+
+  return null;
+}
+
+// ===================================
+// STORE
+// ===================================
+
+/**
+ * The inbound_emails columns read from a raw message, without storing it
+ *
+ * @param {Buffer|string} raw - full message source
+ * @returns {Promise<Object>}
+ */
+async function parseRawEmail(raw) {
+  const parsed = await simpleParser(raw);
+
+  const addresses = (field) => field
+    ? [].concat(field).flatMap(f => f.value || []).map(a => a.address).filter(Boolean).join(', ')
+    : null;
+
+  return {
+    message_id: messageIdFor(parsed, raw),
+    from_address: addresses(parsed.from),
+    to_address: addresses(parsed.to),
+    subject: parsed.subject || null,
+    sent_at: parsed.date || null,
+    headers: headersToObject(parsed.headerLines),
+    body_text: parsed.text || null,
+    body_html: parsed.html || null,
+    raw_source: raw.toString()
+  };
+}
+
+/**
+ * Rebuild a MIME message from an email a provider posted as JSON, so it
+ * is stored and parsed like one fetched over IMAP. Headers it came with
+ * (Delivered-To, ...) go first, in their order. The bank's DKIM signature
+ * doesn't cover the result, so it is stored as composed and quarantined.
+ *
+ * @param {Object} message
+ * @param {string} message.from
+ * @param {string|string[]} [message.to]
+ * @param {string|string[]} [message.cc]
+ * @param {string} [message.subject]
+ * @param {string} [message.date]
+ * @param {string} [message.message_id] - a hash of the message when absent
+ * @param {string} [message.text]
+ * @param {string} [message.html]
+ * @param {Object} [message.headers] - { name: value }, repeated headers as arrays
+ * @returns {Promise<Buffer>}
+ */
+function composeRawEmail(message) {
+  const headers = Object.entries(message.headers || {})
+    .filter(([name]) => !COMPOSED_HEADERS.includes(name.toLowerCase()))
+    .flatMap(([key, value]) => [].concat(value).map(v => ({ key, value: String(v) })));
+
+  const messageId = message.message_id
+    || `<sha256-${crypto.createHash('sha256').update(JSON.stringify(message)).digest('hex')}@inbound.local>`;
+
+  const mail = new MailComposer({
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    subject: message.subject,
+    date: message.date,
+    messageId,
+    text: message.text,
+    html: message.html,
+    headers
+  });
+
+  return new Promise((resolve, reject) => {
+    mail.compile().build((err, raw) => (err ? reject(err) : resolve(raw)));
+  });
+}
+
+/**
+ * Store a fetched message unless one with the same Message-ID exists
+ *
+ * @param {Buffer|string} raw - full message source
+ * @param {Object} [source]
+ * @param {string} [source.mailbox] - mailbox it was fetched from
+ * @param {number} [source.uid] - IMAP UID
+ * @param {boolean} [source.composed] - rebuilt by composeRawEmail()
+ * @returns {Promise<{ email: Object, duplicate: boolean }>}
+ */
+async function storeInboundEmail(raw, source = {}) {
+  const fields = await parseRawEmail(raw);
+
+  const existing = await db.get('SELECT * FROM inbound_emails WHERE message_id = ?', [fields.message_id]);
+  if (existing) {
+    return { email: existing, duplicate: true };
+  }
+
+  const messageId = fields.message_id;
+  let id;
+  try {
+    id = await db.insert('inbound_emails', {
+      ...fields,
+      mailbox: source.mailbox || null,
+      imap_uid: source.uid || null,
+      composed: !!source.composed,
+      status: 'received'
+    });
+  } catch (error) {
+    if (!db.isUniqueViolation(error)) throw error;
+
+    // Stored by another check between our lookup and insert
+    const stored = await db.get('SELECT * FROM inbound_emails WHERE message_id = ?', [messageId]);
+    return { email: stored, duplicate: true };
+  }
+
+  return { email: await getInboundEmail(id), duplicate: false };
+}
+
+/**
+ * Record what processing did with an email
+ *
+ * @param {number} id
+ * @param {Object} result
+ * @param {string} result.status - one of INBOUND_STATUSES
+ * @param {Object} [result.parseResult] - parser output
+ * @param {Object} [result.authResult] - sender verification (see services/email-auth.js)
+ * @param {number} [result.orderId] - order the payment was applied to or matched against
+ * @param {string} [result.error]
+ * @returns {Object} the updated row
+ */
+async function recordProcessingResult(id, result) {
+  const parseResult = result.parseResult || null;
+
+  await db.run(`
+    UPDATE inbound_emails
+    SET status = :status, parser = :parser, parse_confidence = :confidence,
+        parse_result = :parse_result, auth_result = :auth_result, order_id = :order_id, error = :error,
+        attempts = attempts + 1, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = :id
+  `, {
+    id,
+    status: result.status,
+    parser: parseResult ? parseResult.parser : null,
+    confidence: parseResult && parseResult.confidence !== undefined ? parseResult.confidence : null,
+    parse_result: parseResult,
+    auth_result: result.authResult || null,
+    order_id: result.orderId || null,
+    error: result.error || null
+  });
+
+  return getInboundEmail(id);
+}
+
+// ===================================
+// READ
+// ===================================
+
+async function getInboundEmail(id) {
+  return db.get('SELECT * FROM inbound_emails WHERE id = ?', [id]);
+}
+
+/**
+ * Stored emails by status, newest first (without bodies)
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - comma-separated, default quarantined,failed,ignored
+ * @param {number} [filters.limit] - default 50
+ */
+async function listInboundEmails(filters = {}) {
+  const requested = filters.status
+    ? String(filters.status).split(',').map(s => s.trim()).filter(Boolean)
+    : [];
+  const statuses = requested.length > 0 ? requested : DEFAULT_LIST_STATUSES;
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_LIST_LIMIT);
+
+  const params = { limit };
+  const names = statuses.map((status, i) => {
+    params[`status${i}`] = status;
+    return `:status${i}`;
+  });
+
+  return db.query(`
+    SELECT ${SUMMARY_COLUMNS} FROM inbound_emails
+    WHERE status IN (${names.join(', ')})
+    ORDER BY created_at DESC, id DESC
+    LIMIT :limit
+  `, params);
+}
+
+/**
+ * Emails from a mailbox stored but never processed (the process stopped
+ * in between)
+ */
+async function listUnprocessedEmails(mailbox) {
+  return db.query(
+    'SELECT * FROM inbound_emails WHERE mailbox = ? AND status = ? AND attempts = 0 ORDER BY id',
+    [mailbox, 'received']
+  );
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  INBOUND_STATUSES,
+  parseRawEmail,
+  composeRawEmail,
+  storeInboundEmail,
+  recordProcessingResult,
+  getInboundEmail,
+  listInboundEmails,
+  listUnprocessedEmails,
+  toParserInput,
+  recipientAddresses,
+  resolveReceivingAlias
+};
@@ -0,0 +1,252 @@
+/**
+ * Mailboxes Service
+ * IMAP mailboxes the payment checker monitors, each serving one or more
+ * payment aliases. Passwords are encrypted at rest and never returned.
+ */
+
+const db = require('../config/database');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+const DEFAULT_PORT = 993;
+const DEFAULT_FOLDER = 'INBOX';
+
+// ===================================
+// ERRORS
+// ===================================
+
+class MailboxNotFoundError extends Error {
+  constructor(mailboxId) {
+    super('Mailbox not found');
+    this.name = 'MailboxNotFoundError';
+    this.status = 404;
+    this.mailboxId = mailboxId;
+  }
+}
+
+class InvalidMailboxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvalidMailboxError';
+    this.status = status;
+  }
+}
+
+// ===================================
+// HELPERS
+// ===================================
+
+/**
+ * A mailbox row without its password, with the aliases it serves
+ */
+async function toPublicMailbox(mailbox) {
+  const { password_encrypted, ...fields } = mailbox;
+  const aliases = await db.query(
+    'SELECT id, alias_email, active FROM email_aliases WHERE mailbox_id = ? ORDER BY id',
+    [mailbox.id]
+  );
+  return { ...fields, aliases };
+}
+
+function parsePort(port) {
+  const value = port === undefined || port === null || port === '' ? DEFAULT_PORT : Number(port);
+  if (!Number.isInteger(value) || value < 1 || value > 65535) {
+    throw new InvalidMailboxError('port must be a number between 1 and 65535');
+  }
+  return value;
+}
+
+// ===================================
+// READ
+// ===================================
+
+async function listMailboxes() {
+  const mailboxes = await db.query('SELECT * FROM mailboxes ORDER BY id');
+  return Promise.all(mailboxes.map(toPublicMailbox));
+}
+
+async function getMailbox(id) {
+  const mailbox = await db.get('SELECT * FROM mailboxes WHERE id = ?', [id]);
+  if (!mailbox) {
+    throw new MailboxNotFoundError(id);
+  }
+  return toPublicMailbox(mailbox);
+}
+
+/**
+ * Connection settings for every active mailbox, passwords decrypted.
+ * A mailbox whose password can't be decrypted is returned with an error
+ * instead, so the others still start.
+ *
+ * @returns {Promise<Object[]>} { id, name, host, port, user, password, folder, rejectUnauthorized } or { id, name, error }
+ */
+async function getActiveMailboxConfigs() {
+  const mailboxes = await db.query('SELECT * FROM mailboxes WHERE active = ? ORDER BY id', [true]);
+
+  return mailboxes.map((mailbox) => {
+    try {
+      return {
+        id: mailbox.id,
+        name: mailbox.name,
+        host: mailbox.host,
+        port: mailbox.port,
+        user: mailbox.username,
+        password: decryptSecret(mailbox.password_encrypted),
+        folder: mailbox.folder || DEFAULT_FOLDER,
+        rejectUnauthorized: mailbox.tls_verify
+      };
+    } catch (error) {
+      return { id: mailbox.id, name: mailbox.name, error: error.message };
+    }
+  });
+}
+
+// ===================================
+// WRITE
+// ===================================
+
+/**
+ * @param {Object} data
+ * @param {string} data.name - unique label, recorded on payments from this mailbox
+ * @param {string} data.host
+ * @param {number} [data.port] - default 993
+ * @param {string} data.username
+ * @param {string} data.password
+ * @param {string} [data.folder] - default INBOX
+ * @param {boolean} [data.tls_verify] - default true
+ * @param {boolean} [data.active] - default true
+ * @param {number[]} [data.alias_ids] - aliases whose notifications arrive here
+ */
+async function createMailbox(data) {
+  for (const field of ['name', 'host', 'username', 'password']) {
+    if (!data[field]) {
+      throw new InvalidMailboxError(`${field} is required`);
+    }
+  }
+
+  let id;
+  try {
+    id = await db.transaction(async (tx) => {
+      const mailboxId = await tx.insert('mailboxes', {
+        name: String(data.name).trim(),
+        host: String(data.host).trim(),
+        port: parsePort(data.port),
+        username: String(data.username).trim(),
+        password_encrypted: encryptSecret(data.password),
+        folder: data.folder || DEFAULT_FOLDER,
+        tls_verify: data.tls_verify === undefined ? true : !!data.tls_verify,
+        active: data.active === undefined ? true : !!data.active
+      });
+
+      if (data.alias_ids) {
+        await assignAliases(tx, mailboxId, data.alias_ids);
+      }
+
+      return mailboxId;
+    });
+  } catch (error) {
+    if (db.isUniqueViolation(error)) {
+      throw new InvalidMailboxError('A mailbox with this name already exists', 409);
+    }
+    throw error;
+  }
+
+  return getMailbox(id);
+}
+
+/**
+ * Update any of the createMailbox fields. A password is only replaced
+ * when one is given.
+ */
+async function updateMailbox(id, data) {
+  const existing = await db.get('SELECT id FROM mailboxes WHERE id = ?', [id]);
+  if (!existing) {
+    throw new MailboxNotFoundError(id);
+  }
+
+  const values = {};
+  if (data.name !== undefined) values.name = String(data.name).trim();
+  if (data.host !== undefined) values.host = String(data.host).trim();
+  if (data.port !== undefined) values.port = parsePort(data.port);
+  if (data.username !== undefined) values.username = String(data.username).trim();
+  if (data.password) values.password_encrypted = encryptSecret(data.password);
+  if (data.folder !== undefined) values.folder = data.folder || DEFAULT_FOLDER;
+  if (data.tls_verify !== undefined) values.tls_verify = !!data.tls_verify;
+  if (data.active !== undefined) values.active = !!data.active;
+
+  for (const field of ['name', 'host', 'username']) {
+    if (values[field] === '') {
+      throw new InvalidMailboxError(`${field} cannot be empty`);
+    }
+  }
+
+  if (Object.keys(values).length === 0 && data.alias_ids === undefined) {
+    throw new InvalidMailboxError('No fields to update');
+  }
+
+  try {
+    await db.transaction(async (tx) => {
+      if (Object.keys(values).length > 0) {
+        const sets = Object.keys(values).map(key => `${key} = :${key}`);
+        await tx.run(
+          `UPDATE mailboxes SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = :id`,
+          { ...values, id }
+        );
+      }
+
+      if (data.alias_ids !== undefined) {
+        await tx.run('UPDATE email_aliases SET mailbox_id = NULL WHERE mailbox_id = ?', [id]);
+        await assignAliases(tx, id, data.alias_ids);
+      }
+    });
+  } catch (error) {
+    if (db.isUniqueViolation(error)) {
+      throw new InvalidMailboxError('A mailbox with this name already exists', 409);
+    }
+    throw error;
+  }
+
+  return getMailbox(id);
+}
+
+/**
+ * Delete a mailbox. Its aliases fall back to the default IMAP_* inbox.
+ */
+async function deleteMailbox(id) {
+  const existing = await db.get('SELECT id FROM mailboxes WHERE id = ?', [id]);
+  if (!existing) {
+    throw new MailboxNotFoundError(id);
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.run('UPDATE email_aliases SET mailbox_id = NULL WHERE mailbox_id = ?', [id]);
+    await tx.run('DELETE FROM mailboxes WHERE id = ?', [id]);
+  });
+}
+
+async function assignAliases(tx, mailboxId, aliasIds) {
+  if (!Array.isArray(aliasIds)) {
+    throw new InvalidMailboxError('alias_ids must be an array');
+  }
+
+  for (const aliasId of aliasIds) {
+    const result = await tx.run('UPDATE email_aliases SET mailbox_id = ? WHERE id = ?', [mailboxId, aliasId]);
+    if (result.changes === 0) {
+      throw new InvalidMailboxError(`Unknown alias id: ${aliasId}`);
+    }
+  }
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  listMailboxes,
+  getMailbox,
+  getActiveMailboxConfigs,
+  createMailbox,
+  updateMailbox,
+  deleteMailbox,
+  MailboxNotFoundError,
+  InvalidMailboxError
+};
@@ -72,6 +72,15 @@ const templates = {
                 <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0;"><strong>Send to:</strong></td>
                 <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0; text-align: right;">${data.paymentEmail}</td>
               </tr>
+              ${data.securityAnswer ? `
+              <tr>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0;"><strong>Security question:</strong></td>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0; text-align: right;">${data.securityQuestion}</td>
+              </tr>
+              <tr>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0;"><strong>Security answer:</strong></td>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e0e0e0; text-align: right; font-family: monospace; font-size: 18px;"><strong>${data.securityAnswer}</strong></td>
+              </tr>` : ''}
               <tr>
                 <td style="padding: 10px 0;"><strong>Reference:</strong></td>
                 <td style="padding: 10px 0; text-align: right; color: #e74c3c; font-weight: bold;">${data.orderNumber}</td>
@@ -91,6 +100,7 @@ const templates = {
             <li>Go to "Send Interac e-Transfer"</li>
             <li>Enter the amount: <strong>$${data.amount}</strong></li>
             <li>Enter recipient email: <strong>${data.paymentEmail}</strong></li>
+            ${data.securityAnswer ? `<li>If asked for a security question, enter <strong>${data.securityQuestion}</strong> with the answer <strong>${data.securityAnswer}</strong></li>` : ''}
             <li>Include <strong>${data.orderNumber}</strong> in the message field</li>
             <li>Confirm and send</li>
           </ol>
@@ -115,7 +125,9 @@ Thank you for your order! To complete your purchase, please send an Interac e-Tr
 
 Amount: $${data.amount} CAD
 Send to: ${data.paymentEmail}
-Reference: ${data.orderNumber}
+${data.securityAnswer ? `Security question: ${data.securityQuestion}
+Security answer: ${data.securityAnswer}
+` : ''}Reference: ${data.orderNumber}
 
 IMPORTANT: Please include ${data.orderNumber} in your e-Transfer message!
 
@@ -174,6 +186,53 @@ Thank you for your business!
     `
   }),
 
+  refundConfirmation: (data) => ({
+    subject: `Refund Issued - ${data.orderNumber}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0; font-size: 24px;">Refund Issued</h1>
+        </div>
+        
+        <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-top: none;">
+          <p>Hi ${data.name || 'there'},</p>
+          
+          <p>We've issued a refund of <strong>$${data.amount} CAD</strong> for order <strong>${data.orderNumber}</strong>.</p>
+          
+          ${data.reason ? `<p><strong>Reason:</strong> ${data.reason}</p>` : ''}
+          
+          <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin: 20px 0;">
+            <p style="margin: 0;">
+              The refund was sent by Interac e-Transfer to <strong>${data.email}</strong>. If it doesn't deposit automatically, check your email for the transfer notification.
+            </p>
+          </div>
+          
+          <p style="color: #666; font-size: 14px;">If you have any questions, please don't hesitate to contact us.</p>
+        </div>
+        
+        <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+          <p>This is an automated email. Please do not reply directly.</p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Refund Issued - ${data.orderNumber}
+
+Hi ${data.name || 'there'},
+
+We've issued a refund of $${data.amount} CAD for order ${data.orderNumber}.
+${data.reason ? `\nReason: ${data.reason}\n` : ''}
+The refund was sent by Interac e-Transfer to ${data.email}. If it doesn't deposit automatically, check your email for the transfer notification.
+    `
+  }),
+
   adminAlert: (data) => ({
     subject: `[DS Payment] ${data.type}: ${data.title}`,
     html: `
@@ -227,6 +286,10 @@ async function sendPaymentConfirmation(data) {
   return sendEmail(data.email, 'paymentConfirmation', data);
 }
 
+async function sendRefundConfirmation(data) {
+  return sendEmail(data.email, 'refundConfirmation', data);
+}
+
 async function sendAdminAlert(data) {
   const adminEmail = process.env.ADMIN_EMAIL;
   if (!adminEmail) {
@@ -244,5 +307,6 @@ module.exports = {
   sendEmail,
   sendOrderConfirmation,
   sendPaymentConfirmation,
+  sendRefundConfirmation,
   sendAdminAlert
 };
@@ -0,0 +1,111 @@
+/**
+ * Order Events
+ * In-process event bus for order changes. The lifecycle publishes every
+ * status change here; the payment checker adds needs_review. The SSE
+ * stream subscribes per order reference.
+ *
+ * Events only reach subscribers on this process - with several server
+ * instances a client sees changes made by the instance it is connected to,
+ * and the snapshot it gets on (re)connect.
+ */
+
+const { EventEmitter } = require('events');
+
+// Recent events kept per order so a reconnecting client can catch up
+const BUFFER_SIZE = 20;
+const BUFFER_TTL_MS = 60 * 60 * 1000;
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+const recent = new Map();
+
+// ===================================
+// PUBLISH
+// ===================================
+
+/**
+ * Customer-safe view of an order for stream payloads
+ */
+function toEventPayload(order) {
+  return {
+    reference_number: order.reference_number,
+    status: order.status,
+    amount_cents: order.amount_cents,
+    amount_received_cents: order.amount_received_cents,
+    amount_remaining_cents: Math.max(order.amount_cents - (order.amount_received_cents || 0), 0),
+    expires_at: order.expires_at,
+    paid_at: order.paid_at
+  };
+}
+
+/**
+ * @param {Object} order - the order row after the change
+ * @param {string} type - event name (a status, needs_review or expired)
+ * @returns {Object} the published event
+ */
+function publishOrderEvent(order, type) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    order: toEventPayload(order),
+    at: new Date().toISOString(),
+    publishedAt: Date.now()
+  };
+
+  const buffer = recent.get(order.reference_number) || [];
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  recent.set(order.reference_number, buffer);
+
+  emitter.emit(`order:${order.reference_number}`, event);
+  return event;
+}
+
+// ===================================
+// SUBSCRIBE
+// ===================================
+
+/**
+ * @param {string} reference - order reference number
+ * @param {Function} listener - called with each event
+ * @returns {Function} unsubscribe
+ */
+function subscribe(reference, listener) {
+  emitter.on(`order:${reference}`, listener);
+  return () => emitter.off(`order:${reference}`, listener);
+}
+
+/**
+ * Buffered events for an order published after the given event id
+ */
+function eventsSince(reference, eventId) {
+  return (recent.get(reference) || []).filter(e => e.id > eventId);
+}
+
+/**
+ * Drop buffers nobody can still need
+ */
+function pruneEventBuffers() {
+  const cutoff = Date.now() - BUFFER_TTL_MS;
+  for (const [reference, buffer] of recent) {
+    if (buffer[buffer.length - 1].publishedAt < cutoff) {
+      recent.delete(reference);
+    }
+  }
+}
+
+setInterval(pruneEventBuffers, 10 * 60 * 1000).unref();
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  publishOrderEvent,
+  subscribe,
+  eventsSince,
+  toEventPayload
+};
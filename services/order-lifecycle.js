@@ -0,0 +1,292 @@
+/**
+ * Order Lifecycle Service
+ * The single place where order status changes. Defines which transitions
+ * are allowed and the side effects of each (paid_at, audit event,
+ * customer notification, WooCommerce sync).
+ */
+
+const db = require('../config/database');
+const { sendPaymentConfirmation, sendAdminAlert } = require('./notifications');
+const { updateWooCommerceOrder } = require('./woocommerce');
+const { publishOrderEvent } = require('./order-events');
+
+// ===================================
+// STATES & TRANSITIONS
+// ===================================
+
+const STATUSES = [
+  'pending', 'awaiting_payment', 'deposit_pending', 'partially_paid', 'processing', 'paid',
+  'overpaid', 'completed', 'cancelled', 'partially_refunded', 'refunded'
+];
+
+// Statuses in which an order has received its full amount (or more)
+const PAID_STATUSES = ['paid', 'overpaid', 'processing', 'completed'];
+
+// from → to → options. Transitions marked requiresReason undo or override
+// a previous decision and must say why in the audit log. deposit_pending
+// holds an order whose transfer is waiting to be deposited by hand; a
+// cancelled hold or a reversed payment moves the order back.
+const TRANSITIONS = {
+  pending: {
+    awaiting_payment: {},
+    deposit_pending: {},
+    partially_paid: {},
+    paid: {},
+    overpaid: {},
+    cancelled: {}
+  },
+  awaiting_payment: {
+    pending: { requiresReason: true },
+    deposit_pending: {},
+    partially_paid: {},
+    paid: {},
+    overpaid: {},
+    cancelled: {}
+  },
+  deposit_pending: {
+    pending: { requiresReason: true },
+    awaiting_payment: { requiresReason: true },
+    partially_paid: {},
+    paid: {},
+    overpaid: {},
+    cancelled: { requiresReason: true }
+  },
+  partially_paid: {
+    pending: { requiresReason: true },
+    deposit_pending: {},
+    paid: {},
+    overpaid: {},
+    cancelled: { requiresReason: true },
+    partially_refunded: { requiresReason: true },
+    refunded: { requiresReason: true }
+  },
+  paid: {
+    pending: { requiresReason: true },
+    partially_paid: { requiresReason: true },
+    overpaid: {},
+    processing: {},
+    completed: {},
+    partially_refunded: { requiresReason: true },
+    refunded: { requiresReason: true }
+  },
+  overpaid: {
+    pending: { requiresReason: true },
+    partially_paid: { requiresReason: true },
+    paid: { requiresReason: true },
+    processing: {},
+    completed: {},
+    partially_refunded: { requiresReason: true },
+    refunded: { requiresReason: true }
+  },
+  processing: {
+    completed: {},
+    partially_refunded: { requiresReason: true },
+    refunded: { requiresReason: true }
+  },
+  completed: {
+    partially_refunded: { requiresReason: true },
+    refunded: { requiresReason: true }
+  },
+  cancelled: {
+    pending: { requiresReason: true },
+    partially_paid: { requiresReason: true },
+    paid: { requiresReason: true },
+    overpaid: { requiresReason: true },
+    partially_refunded: { requiresReason: true },
+    refunded: { requiresReason: true }
+  },
+  partially_refunded: {
+    completed: {},
+    refunded: { requiresReason: true }
+  },
+  refunded: {}
+};
+
+// Side effects when entering a status
+const EFFECTS = {
+  paid: { setPaidAt: true, notifyCustomer: true, wooStatus: 'processing' },
+  overpaid: { setPaidAt: true, notifyCustomer: true, wooStatus: 'processing', alertAdmin: true },
+  processing: { wooStatus: 'processing' },
+  completed: { setPaidAt: true, wooStatus: 'completed' },
+  cancelled: { wooStatus: 'cancelled' },
+  refunded: { wooStatus: 'refunded' }
+};
+
+// ===================================
+// ERRORS
+// ===================================
+
+class OrderNotFoundError extends Error {
+  constructor(orderId) {
+    super('Order not found');
+    this.name = 'OrderNotFoundError';
+    this.status = 404;
+    this.orderId = orderId;
+  }
+}
+
+class InvalidTransitionError extends Error {
+  constructor(order, to, message) {
+    super(message || `Cannot change order status from ${order.status} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.status = 409;
+    this.orderId = order.id;
+    this.currentStatus = order.status;
+    this.requestedStatus = to;
+  }
+}
+
+// ===================================
+// TRANSITIONS
+// ===================================
+
+function canTransition(from, to) {
+  return !!(TRANSITIONS[from] && TRANSITIONS[from][to]);
+}
+
+/**
+ * Change an order's status inside an open transaction.
+ * Validates the transition, updates the row and writes the audit event.
+ * Notifications and WooCommerce sync are NOT run here - pass the result
+ * to runTransitionEffects() once the transaction has committed.
+ *
+ * @param {Object} tx - transaction handle from db.transaction()
+ * @param {number} orderId
+ * @param {string} to - target status
+ * @param {Object} options
+ * @param {string} options.source - who is changing it (api, woocommerce, payment_checker, admin, scheduler)
+ * @param {string} [options.reason] - audit note; required for override transitions
+ * @param {string} [options.eventType] - payment_events type (default status_changed)
+ * @param {Object} [options.eventData] - extra data for the event
+ * @param {Date} [options.paidAt] - paid_at to record instead of now
+ * @param {boolean} [options.notify] - send customer notification (default true)
+ * @returns {Object} { order, from, to, source, reason, notify }
+ */
+async function applyTransition(tx, orderId, to, options = {}) {
+  const { source = 'system', reason = null, eventType = 'status_changed', eventData = {}, paidAt, notify = true } = options;
+
+  const order = await tx.get(
+    `SELECT * FROM orders WHERE id = ?${tx.isProduction ? ' FOR UPDATE' : ''}`,
+    [orderId]
+  );
+
+  if (!order) {
+    throw new OrderNotFoundError(orderId);
+  }
+
+  if (!STATUSES.includes(to)) {
+    throw new InvalidTransitionError(order, to, `Unknown order status: ${to}`);
+  }
+
+  const rule = TRANSITIONS[order.status] && TRANSITIONS[order.status][to];
+  if (!rule) {
+    throw new InvalidTransitionError(order, to);
+  }
+
+  if (rule.requiresReason && !reason) {
+    throw new InvalidTransitionError(order, to, `Changing order status from ${order.status} to ${to} requires a reason`);
+  }
+
+  const effects = EFFECTS[to] || {};
+  let sql = 'UPDATE orders SET status = :to, updated_at = CURRENT_TIMESTAMP';
+  if (effects.setPaidAt) {
+    sql += ', paid_at = COALESCE(paid_at, :paid_at)';
+  }
+  sql += ' WHERE id = :id';
+
+  await tx.run(sql, { to, paid_at: paidAt || new Date(), id: order.id });
+
+  await tx.insert('payment_events', {
+    order_id: order.id,
+    event_type: eventType,
+    event_data: {
+      ...eventData,
+      from_status: order.status,
+      new_status: to,
+      source,
+      reason
+    }
+  });
+
+  const updated = await tx.get('SELECT * FROM orders WHERE id = ?', [order.id]);
+
+  return { order: updated, from: order.status, to, source, reason, notify };
+}
+
+/**
+ * Run notifications and WooCommerce sync for a committed transition.
+ * Failures are logged, never thrown - the status change has already happened.
+ *
+ * @param {Object} transition - from applyTransition()
+ * @param {Object} [options]
+ * @param {boolean} [options.syncWooCommerce] - push the status to
+ *   WooCommerce (default true); off when the caller records the change
+ *   there itself
+ */
+async function runTransitionEffects(transition, options = {}) {
+  const { syncWooCommerce = true } = options;
+  const { order, from, to, source, reason, notify } = transition;
+  const effects = EFFECTS[to] || {};
+
+  // Live stream for the buyer; an expired order is reported as such
+  publishOrderEvent(order, to === 'cancelled' && reason === 'expired' ? 'expired' : to);
+
+  // A top-up of an already-paid order (paid → overpaid) shouldn't re-send
+  // the receipt or re-sync WooCommerce
+  const wasPaid = PAID_STATUSES.includes(from);
+
+  if (effects.notifyCustomer && notify && !wasPaid && process.env.EMAIL_ENABLED === 'true' && order.customer_email) {
+    sendPaymentConfirmation({
+      email: order.customer_email,
+      name: order.customer_name,
+      orderNumber: order.reference_number,
+      amount: (order.amount_cents / 100).toFixed(2)
+    }).catch(err => console.error('Confirmation email error:', err));
+  }
+
+  if (effects.alertAdmin) {
+    const overCents = order.amount_received_cents - order.amount_cents;
+    sendAdminAlert({
+      type: 'warning',
+      title: 'Order Overpaid',
+      message: `Order ${order.reference_number} received $${(overCents / 100).toFixed(2)} more than the amount due.`,
+      details: {
+        order_id: order.id,
+        amount_due_cents: order.amount_cents,
+        amount_received_cents: order.amount_received_cents
+      }
+    }).catch(err => console.error('Admin alert error:', err));
+  }
+
+  // Don't echo WooCommerce's own changes back to it
+  if (syncWooCommerce && effects.wooStatus && !(wasPaid && to === 'overpaid') && order.woo_order_id && source !== 'woocommerce' && process.env.WOOCOMMERCE_API_URL) {
+    updateWooCommerceOrder(order.woo_order_id, effects.wooStatus)
+      .catch(err => console.error('WooCommerce update error:', err));
+  }
+}
+
+/**
+ * Change an order's status in its own transaction and run side effects.
+ * @returns {Object} the transition (see applyTransition)
+ */
+async function transitionOrder(orderId, to, options = {}) {
+  const transition = await db.transaction(tx => applyTransition(tx, orderId, to, options));
+  await runTransitionEffects(transition);
+  return transition;
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  STATUSES,
+  PAID_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  applyTransition,
+  runTransitionEffects,
+  transitionOrder,
+  OrderNotFoundError,
+  InvalidTransitionError
+};
@@ -0,0 +1,295 @@
+/**
+ * Order Search Service
+ * Combined filters over orders with cursor pagination on (created_at, id)
+ * and totals for the filtered set
+ */
+
+const db = require('../config/database');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Metadata keys are used in a JSON path, so keep them simple
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class InvalidSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSearchError';
+    this.status = 400;
+  }
+}
+
+// ===================================
+// CURSORS
+// ===================================
+
+// Cursors carry created_at as the database's own text so no precision is
+// lost between pages (PostgreSQL timestamps have microseconds)
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ c: row.cursor_created_at, i: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof c !== 'string' || !Number.isInteger(i)) {
+      throw new Error('bad cursor');
+    }
+    return { createdAt: c, id: i };
+  } catch (e) {
+    throw new InvalidSearchError('Invalid cursor');
+  }
+}
+
+// ===================================
+// FILTERS
+// ===================================
+
+function parseCents(value, name) {
+  const cents = Number(value);
+  if (!Number.isInteger(cents) || cents < 0) {
+    throw new InvalidSearchError(`${name} must be a whole number of cents`);
+  }
+  return cents;
+}
+
+/**
+ * Parse a date filter. A bare YYYY-MM-DD upper bound covers the whole day.
+ */
+function parseDate(value, name, endOfDay = false) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new InvalidSearchError(`${name} must be a date`);
+  }
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, c => `\\${c}`);
+}
+
+/**
+ * Build the WHERE clause for a set of filters (usually req.query)
+ *
+ * @param {Object} filters
+ * @param {string} [filters.status] - one status or a comma-separated list
+ * @param {string} [filters.customer] - part of the customer's email or name
+ * @param {string} [filters.customer_email] - exact customer email
+ * @param {string} [filters.woo_order_id]
+ * @param {string} [filters.reference] - reference number prefix
+ * @param {number} [filters.min_amount_cents]
+ * @param {number} [filters.max_amount_cents]
+ * @param {string} [filters.created_from] / created_to / paid_from / paid_to
+ * @param {string} [filters.payment_email] - alias the customer was told to pay
+ * @param {number} [filters.alias_id] - same, by email_aliases.id
+ * @param {Object} [filters.metadata] - { key: value } equality on metadata
+ * @param {string} [filters.metadata_key] - metadata has this key
+ * @returns {Promise<{ where: string[], params: Object }>}
+ */
+async function buildFilters(filters = {}) {
+  const where = [];
+  const params = {};
+  const pg = db.isProduction;
+
+  // Blank entries are dropped; a list with nothing left doesn't filter
+  const statuses = filters.status
+    ? String(filters.status).split(',').map(s => s.trim()).filter(Boolean)
+    : [];
+  if (statuses.length > 0) {
+    const names = statuses.map((status, i) => {
+      params[`status${i}`] = status;
+      return `:status${i}`;
+    });
+    where.push(`status IN (${names.join(', ')})`);
+  }
+
+  if (filters.customer) {
+    params.customer = `%${escapeLike(String(filters.customer).toLowerCase())}%`;
+    where.push("(LOWER(customer_email) LIKE :customer ESCAPE '\\' OR LOWER(customer_name) LIKE :customer ESCAPE '\\')");
+  }
+
+  if (filters.customer_email) {
+    params.customer_email = String(filters.customer_email).toLowerCase();
+    where.push('LOWER(customer_email) = :customer_email');
+  }
+
+  if (filters.woo_order_id) {
+    params.woo_order_id = String(filters.woo_order_id);
+    where.push('woo_order_id = :woo_order_id');
+  }
+
+  if (filters.reference) {
+    params.reference = `${escapeLike(String(filters.reference).toUpperCase())}%`;
+    where.push("reference_number LIKE :reference ESCAPE '\\'");
+  }
+
+  if (filters.min_amount_cents !== undefined) {
+    params.min_amount = parseCents(filters.min_amount_cents, 'min_amount_cents');
+    where.push('amount_cents >= :min_amount');
+  }
+
+  if (filters.max_amount_cents !== undefined) {
+    params.max_amount = parseCents(filters.max_amount_cents, 'max_amount_cents');
+    where.push('amount_cents <= :max_amount');
+  }
+
+  if (filters.created_from) {
+    params.created_from = parseDate(filters.created_from, 'created_from');
+    where.push('created_at >= :created_from');
+  }
+
+  if (filters.created_to) {
+    params.created_to = parseDate(filters.created_to, 'created_to', true);
+    where.push(`created_at ${DATE_ONLY_PATTERN.test(filters.created_to) ? '<' : '<='} :created_to`);
+  }
+
+  if (filters.paid_from) {
+    params.paid_from = parseDate(filters.paid_from, 'paid_from');
+    where.push('paid_at >= :paid_from');
+  }
+
+  if (filters.paid_to) {
+    params.paid_to = parseDate(filters.paid_to, 'paid_to', true);
+    where.push(`paid_at ${DATE_ONLY_PATTERN.test(filters.paid_to) ? '<' : '<='} :paid_to`);
+  }
+
+  if (filters.alias_id) {
+    const alias = await db.get('SELECT alias_email FROM email_aliases WHERE id = ?', [filters.alias_id]);
+    if (!alias) {
+      throw new InvalidSearchError('Unknown alias_id');
+    }
+    params.alias_email = alias.alias_email;
+    where.push('payment_email = :alias_email');
+  }
+
+  if (filters.payment_email) {
+    params.payment_email = String(filters.payment_email);
+    where.push('payment_email = :payment_email');
+  }
+
+  if (filters.metadata !== undefined) {
+    if (!filters.metadata || typeof filters.metadata !== 'object' || Array.isArray(filters.metadata)) {
+      throw new InvalidSearchError('metadata filters must be given as metadata[key]=value');
+    }
+
+    Object.entries(filters.metadata).forEach(([key, value], i) => {
+      if (!METADATA_KEY_PATTERN.test(key)) {
+        throw new InvalidSearchError(`Invalid metadata key: ${key}`);
+      }
+      params[`meta_key${i}`] = pg ? key : `$."${key}"`;
+      params[`meta_value${i}`] = String(value);
+      where.push(pg
+        ? `metadata->>:meta_key${i} = :meta_value${i}`
+        : `CAST(json_extract(metadata, :meta_key${i}) AS TEXT) = :meta_value${i}`);
+    });
+  }
+
+  if (filters.metadata_key) {
+    if (!METADATA_KEY_PATTERN.test(filters.metadata_key)) {
+      throw new InvalidSearchError(`Invalid metadata key: ${filters.metadata_key}`);
+    }
+    params.has_key = pg ? filters.metadata_key : `$."${filters.metadata_key}"`;
+    where.push(pg ? 'metadata ? :has_key' : 'json_type(metadata, :has_key) IS NOT NULL');
+  }
+
+  return { where, params };
+}
+
+// ===================================
+// SEARCH
+// ===================================
+
+/**
+ * @param {Object} filters - see buildFilters
+ * @param {Object} [page]
+ * @param {string} [page.cursor] - next_cursor from the previous page
+ * @param {number} [page.limit]
+ * @param {string} [page.order] - 'desc' (newest first, default) or 'asc'
+ * @returns {Object} { orders, pagination, totals }
+ */
+async function searchOrders(filters = {}, page = {}) {
+  const { where, params } = await buildFilters(filters);
+
+  const limit = page.limit === undefined ? DEFAULT_LIMIT : parseInt(page.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new InvalidSearchError('limit must be a positive number');
+  }
+  const pageSize = Math.min(limit, MAX_LIMIT);
+  const ascending = String(page.order || 'desc').toLowerCase() === 'asc';
+
+  // Totals cover the whole filtered set, not just this page
+  const filterSql = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+
+  const totals = await db.get(`
+    SELECT
+      COUNT(*) as count,
+      COALESCE(SUM(amount_cents), 0) as amount_cents,
+      COALESCE(SUM(amount_received_cents), 0) as amount_received_cents,
+      COALESCE(SUM(amount_refunded_cents), 0) as amount_refunded_cents
+    FROM orders${filterSql}
+  `, params);
+
+  const statusRows = await db.query(
+    `SELECT status, COUNT(*) as count FROM orders${filterSql} GROUP BY status`,
+    params
+  );
+
+  const pageWhere = [...where];
+  const pageParams = { ...params, page_size: pageSize + 1 };
+
+  if (page.cursor) {
+    const cursor = decodeCursor(page.cursor);
+    const op = ascending ? '>' : '<';
+    pageParams.cursor_created_at = cursor.createdAt;
+    pageParams.cursor_id = cursor.id;
+    pageWhere.push(`(created_at ${op} :cursor_created_at OR (created_at = :cursor_created_at AND id ${op} :cursor_id))`);
+  }
+
+  const direction = ascending ? 'ASC' : 'DESC';
+  const rows = await db.query(`
+    SELECT *, ${db.isProduction ? 'created_at::text' : 'created_at'} as cursor_created_at
+    FROM orders${pageWhere.length ? ` WHERE ${pageWhere.join(' AND ')}` : ''}
+    ORDER BY created_at ${direction}, id ${direction}
+    LIMIT :page_size
+  `, pageParams);
+
+  const hasMore = rows.length > pageSize;
+  const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+  const nextCursor = hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null;
+
+  const orders = pageRows.map(({ cursor_created_at, ...order }) => order);
+
+  return {
+    orders,
+    pagination: {
+      limit: pageSize,
+      order: ascending ? 'asc' : 'desc',
+      has_more: hasMore,
+      next_cursor: nextCursor
+    },
+    totals: {
+      count: Number(totals.count),
+      amount_cents: Number(totals.amount_cents),
+      amount_received_cents: Number(totals.amount_received_cents),
+      amount_refunded_cents: Number(totals.amount_refunded_cents),
+      by_status: Object.fromEntries(statusRows.map(r => [r.status, Number(r.count)]))
+    }
+  };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  searchOrders,
+  buildFilters,
+  InvalidSearchError,
+  MAX_LIMIT
+};
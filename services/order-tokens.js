@@ -0,0 +1,101 @@
+/**
+ * Order Tokens
+ * Signed, expiring tokens that let a customer check one order's status
+ * without a merchant key. Format: base64url(payload).base64url(hmac).
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_HOURS = 72;
+
+let fallbackSecret = null;
+
+class MissingOrderTokenSecretError extends Error {
+  constructor() {
+    super('ORDER_TOKEN_SECRET is not set');
+    this.name = 'MissingOrderTokenSecretError';
+    this.status = 503;
+  }
+}
+
+/**
+ * Called at startup: production needs a fixed secret, or every customer
+ * token would stop working on restart and differ between instances
+ * @throws {MissingOrderTokenSecretError}
+ */
+function checkOrderTokenSecret() {
+  if (!process.env.ORDER_TOKEN_SECRET && process.env.NODE_ENV === 'production') {
+    throw new MissingOrderTokenSecretError();
+  }
+}
+
+function getSecret() {
+  if (process.env.ORDER_TOKEN_SECRET) {
+    return process.env.ORDER_TOKEN_SECRET;
+  }
+
+  checkOrderTokenSecret();
+
+  if (!fallbackSecret) {
+    // Development only: tokens signed with this stop working on restart
+    console.warn('⚠️ ORDER_TOKEN_SECRET not set - using a temporary secret');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * @param {Object} order - needs id and reference_number
+ * @returns {{ token: string, expires_at: string }}
+ */
+function createOrderToken(order) {
+  const ttlHours = parseInt(process.env.ORDER_TOKEN_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  const exp = Math.floor(Date.now() / 1000) + ttlHours * 60 * 60;
+
+  const payload = Buffer.from(JSON.stringify({
+    o: order.id,
+    r: order.reference_number,
+    exp
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expires_at: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * @returns {{ orderId: number, reference: string }|null} null when the
+ *   token is malformed, tampered with or expired
+ */
+function verifyOrderToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  try {
+    const { o, r, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!exp || exp < Date.now() / 1000) return null;
+    return { orderId: o, reference: r };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  createOrderToken,
+  verifyOrderToken,
+  checkOrderTokenSecret,
+  MissingOrderTokenSecretError
+};
@@ -0,0 +1,30 @@
+/**
+ * BMO Notification Parser
+ * BMO Bank of Montreal e-Transfer received alerts
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'bmo',
+  label: 'BMO Bank of Montreal',
+  senders: ['bmo.com'],
+  subjects: [
+    /BMO Alert: You received an Interac e-Transfer/i,
+    /Alerte BMO ?: Vous avez reçu un virement Interac/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`sent you an Interac e-Transfer for ${AMOUNT_EN}`, 'i')],
+      senderName: [/^(.+?) sent you an Interac e-Transfer/im],
+      message: [/^Message from sender:\s*(.+)$/im],
+      transactionId: [/Confirmation #:\s*([A-Za-z0-9]+)/i]
+    },
+    fr: {
+      amount: [new RegExp(`vous a envoyé un virement Interac de ${AMOUNT_FR}`, 'i')],
+      senderName: [/^(.+?) vous a envoyé un virement Interac/im],
+      message: [/^Message de l['’]expéditeur ?:\s*(.+)$/im],
+      transactionId: [/N(?:o|º|°) de confirmation ?:\s*([A-Za-z0-9]+)/i]
+    }
+  }
+});
@@ -0,0 +1,30 @@
+/**
+ * CIBC Notification Parser
+ * CIBC deposit notices for received transfers
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'cibc',
+  label: 'CIBC',
+  senders: ['cibc.com', 'cibc.ca'],
+  subjects: [
+    /CIBC: Interac e-Transfer deposited/i,
+    /CIBC ?: Virement Interac d[ée]pos[ée]/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`in the amount of ${AMOUNT_EN}`, 'i')],
+      senderName: [/Interac e-Transfer from (.+?) in the amount of/i],
+      message: [/^Sender['’]s message:\s*(.+)$/im],
+      transactionId: [/Interac reference number:\s*([A-Za-z0-9]+)/i]
+    },
+    fr: {
+      amount: [new RegExp(`d['’]un montant de ${AMOUNT_FR}`, 'i')],
+      senderName: [/virement Interac de (.+?) d['’]un montant de/i],
+      message: [/^Message de l['’]expéditeur ?:\s*(.+)$/im],
+      transactionId: [/Numéro de référence Interac ?:\s*([A-Za-z0-9]+)/i]
+    }
+  }
+});
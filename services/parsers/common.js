@@ -0,0 +1,297 @@
+/**
+ * Notification Parser Helpers
+ * Shared text handling for the bank/Interac notification parsers, and the
+ * factory each format module uses to declare how it is detected and parsed
+ */
+
+const { canonicalReference } = require('../reference-codes');
+
+// Detection scores. A parser is used when its score reaches MIN_DETECT_SCORE.
+const SCORE_SENDER = 60;
+const SCORE_SUBJECT = 30;
+const SCORE_BODY = 10;
+const MIN_DETECT_SCORE = 40;
+
+// Pattern fragments for amounts in each language: "$1,234.56" / "1 234,56 $"
+const AMOUNT_EN = '\\$\\s?(\\d{1,3}(?:,\\d{3})*(?:\\.\\d{2})?|\\d+(?:\\.\\d{2})?)';
+const AMOUNT_FR = '(\\d{1,3}(?: \\d{3})*(?:,\\d{2})?|\\d+(?:,\\d{2})?) ?\\$';
+
+// What a notification reports, most specific first. deposit_pending comes
+// before the rest: its notice warns that the transfer expires or is
+// cancelled if it isn't deposited. Apart from deposit_pending, the event
+// word must share a sentence with a word for the transfer, so a waived fee
+// ("frais ... annulés") isn't a cancellation. Anything else is a deposit.
+const TRANSFER_WORDS = '(?:e-?transfer|transfer|virement)';
+const SAME_SENTENCE = '(?:(?!\\.\\s)[^\\n]){0,100}';
+const nearTransfer = words => new RegExp(
+  `${TRANSFER_WORDS}${SAME_SENTENCE}(?:${words})|(?:${words})${SAME_SENTENCE}${TRANSFER_WORDS}`, 'i');
+
+const EVENT_PATTERNS = [
+  ['deposit_pending', /deposit your (?:money|funds)|(?:click|tap)[^.\n]{0,40}\bdeposit\b|waiting to be deposited|déposer (?:vos|les|ces) fonds|pour déposer|cliquez[^.\n]{0,40}déposer|en attente de dépôt/i],
+  ['reversed', nearTransfer('revers|reclaim|contrepass|récupéré')],
+  ['cancelled', nearTransfer('cancel|annulé')],
+  ['expired', nearTransfer('expired|expiré')],
+  ['declined', nearTransfer('declined|refusé')]
+];
+
+const EVENT_TYPES = ['deposited', ...EVENT_PATTERNS.map(([type]) => type)];
+
+// An amount on the same line as a word for the transfer
+const TRANSFER_AMOUNT = {
+  en: [new RegExp(`${TRANSFER_WORDS}[^\\n]*?${AMOUNT_EN}`, 'i'), new RegExp(`${AMOUNT_EN}[^\\n]*?${TRANSFER_WORDS}`, 'i')],
+  fr: [new RegExp(`${TRANSFER_WORDS}[^\\n]*?${AMOUNT_FR}`, 'i'), new RegExp(`${AMOUNT_FR}[^\\n]*?${TRANSFER_WORDS}`, 'i')]
+};
+
+// Words only a French notification uses. No trailing \b - it doesn't work
+// after accented letters.
+const FRENCH_MARKERS = /\b(virement|vous avez|vous a envoy|montant|dépôt|déposé)/i;
+
+// ===================================
+// TEXT
+// ===================================
+
+function stripHtml(html) {
+  return String(html)
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&#39;|&apos;/gi, '\'')
+    .replace(/&quot;/gi, '"');
+}
+
+/**
+ * Plain text with non-breaking and narrow spaces turned into spaces, so
+ * French amounts like "1 234,56 $" match one pattern
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/[\u00a0\u2007\u202f]/g, ' ')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/^ | $/gm, '');
+}
+
+/**
+ * Build the email shape parsers work on
+ * @param {Object|string} input - mailparser result, { subject, from, text, html }, or a body string
+ * @returns {{ subject: string, from: string, text: string }}
+ */
+function toEmail(input) {
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    return { subject: '', from: '', text: normalizeText(input.toString()) };
+  }
+
+  const from = input.from && typeof input.from === 'object'
+    ? (input.from.value || []).map(a => a.address).join(', ') || input.from.text || ''
+    : input.from || '';
+
+  // mailparser's own HTML-to-text runs table rows together, and labelled
+  // fields ("Amount: ...") need one per line
+  const body = input.html ? stripHtml(input.html) : input.text || '';
+
+  return {
+    subject: normalizeText(input.subject || ''),
+    from: String(from).toLowerCase(),
+    text: normalizeText(body)
+  };
+}
+
+function detectLanguage(email) {
+  return FRENCH_MARKERS.test(`${email.subject}\n${email.text}`) ? 'fr' : 'en';
+}
+
+/**
+ * What the notification reports: 'deposited' (money in the account),
+ * 'deposit_pending' (the transfer must be deposited by hand), or
+ * 'cancelled', 'expired', 'declined' or 'reversed'. The customer's own
+ * message is left out, so its words can't change the event.
+ *
+ * @param {Object} email - from toEmail()
+ * @param {string} [message] - the transfer message to leave out
+ * @param {Array} [patterns] - [type, RegExp] pairs to try first
+ * @returns {string} one of EVENT_TYPES
+ */
+function detectEventType(email, message = null, patterns = []) {
+  let text = `${email.subject}\n${email.text}`;
+  if (message) {
+    text = text.split(message).join(' ');
+  }
+  const found = [...patterns, ...EVENT_PATTERNS].find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : 'deposited';
+}
+
+// ===================================
+// FIELDS
+// ===================================
+
+function parseAmount(value, language) {
+  if (!value) return null;
+  const cleaned = language === 'fr'
+    ? value.replace(/ /g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+  const amount = parseFloat(cleaned);
+  return isNaN(amount) ? null : amount;
+}
+
+function firstMatch(text, patterns) {
+  for (const pattern of patterns || []) {
+    const match = text.match(pattern);
+    if (match) {
+      return (match[1] || match[0]).trim();
+    }
+  }
+  return null;
+}
+
+function cleanName(name) {
+  if (!name) return null;
+  const cleaned = name.replace(/\s+/g, ' ').replace(/[.,;:]+$/, '').trim();
+  return cleaned.length > 0 && cleaned.length < 80 ? cleaned : null;
+}
+
+/**
+ * Order reference from a transfer message (or any text). Customers
+ * mistype these ("0RD 7k3m9qx"), so the prefix may use a zero and any
+ * separator. Returns the canonical form when the code validates,
+ * otherwise the text as typed for legacy references and fuzzy matching.
+ *
+ * @param {string} text
+ * @param {boolean} [isMessage] - text is the customer's own message, so
+ *   also accept a code typed without ORD- or after "Order:". Elsewhere in
+ *   a notification those would pick up the bank's own reference numbers.
+ *   Any 7-letter word has a 1 in 32 chance of passing the check, so bare
+ *   codes must also contain a digit.
+ */
+function extractReference(text, isMessage = true) {
+  if (!text) return null;
+
+  const prefixed = text.match(/\b[O0]RD(?:[\s_-]+|(?=[0-9A-Z]{5,}\b))[0-9A-Z][0-9A-Z-]{4,}/i);
+  if (prefixed) {
+    return canonicalReference(prefixed[0]) || prefixed[0].toUpperCase();
+  }
+
+  if (!isMessage) {
+    return null;
+  }
+
+  const bare = text.split(/[^0-9A-Za-z-]+/)
+    .filter(token => /\d/.test(token))
+    .map(canonicalReference)
+    .find(Boolean);
+  if (bare) {
+    return bare;
+  }
+
+  // "Order: 1234" style references (must contain a digit)
+  const labelled = text.match(/(?:order|commande|reference|référence)[:\s#]+([A-Z0-9-]*\d[A-Z0-9-]*)/i);
+  return labelled ? labelled[1].toUpperCase() : null;
+}
+
+// ===================================
+// PARSER FACTORY
+// ===================================
+
+/**
+ * Declare a notification format.
+ *
+ * @param {Object} spec
+ * @param {string} spec.name - registry key
+ * @param {string} spec.label - human-readable name
+ * @param {string[]} spec.senders - sender domains (exact or subdomain match)
+ * @param {RegExp[]} spec.subjects - subject lines in any language
+ * @param {RegExp} [spec.body] - marker that must appear in the body (default /interac/i)
+ * @param {Object} spec.fields - { en: {...}, fr: {...} }, each with arrays of
+ *   patterns for amount, senderName, senderEmail, message and transactionId.
+ *   The first capture group is the value.
+ * @param {Array} [spec.events] - [eventType, RegExp] pairs for this format's
+ *   own wording, tried before the shared patterns (see detectEventType)
+ * @returns {{ name, label, senders, detect(email): number, parse(email): Object }}
+ */
+function createParser(spec) {
+  const bodyMarker = spec.body || /interac/i;
+
+  function detect(email) {
+    let score = 0;
+    const domain = (email.from.match(/@([a-z0-9.-]+)/) || [])[1];
+    if (domain && spec.senders.some(d => domain === d || domain.endsWith(`.${d}`))) {
+      score += SCORE_SENDER;
+    }
+    if (spec.subjects.some(pattern => pattern.test(email.subject))) {
+      score += SCORE_SUBJECT;
+    }
+    if (bodyMarker.test(email.text)) {
+      score += SCORE_BODY;
+    }
+    return score;
+  }
+
+  function parse(email) {
+    const language = detectLanguage(email);
+    // Try the detected language first; bilingual notifications carry both
+    const order = language === 'fr' ? ['fr', 'en'] : ['en', 'fr'];
+
+    const extract = (key) => {
+      for (const lang of order) {
+        const value = firstMatch(email.text, (spec.fields[lang] || {})[key]);
+        if (value !== null) return { value, lang };
+      }
+      return { value: null, lang: language };
+    };
+
+    const message = extract('message').value;
+    const senderEmail = extract('senderEmail').value;
+    const eventType = detectEventType(email, message, spec.events);
+
+    // Cancellation and pending notices word the amount differently from
+    // deposits; their amount only identifies the transfer
+    let amountMatch = extract('amount');
+    if (amountMatch.value === null && eventType !== 'deposited') {
+      amountMatch = { value: firstMatch(email.text, TRANSFER_AMOUNT[language]), lang: language };
+    }
+    const amount = parseAmount(amountMatch.value, amountMatch.lang);
+
+    return {
+      parser: spec.name,
+      language,
+      isInterac: true,
+      eventType,
+      amount,
+      amountCents: amount === null ? null : Math.round(amount * 100),
+      currency: 'CAD',
+      senderName: cleanName(extract('senderName').value),
+      senderEmail: senderEmail ? senderEmail.toLowerCase() : null,
+      message: message || null,
+      referenceCode: extractReference(message) || extractReference(email.text, false),
+      transactionId: extract('transactionId').value
+    };
+  }
+
+  return { name: spec.name, label: spec.label, senders: spec.senders, detect, parse };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  createParser,
+  toEmail,
+  detectEventType,
+  normalizeText,
+  stripHtml,
+  detectLanguage,
+  parseAmount,
+  firstMatch,
+  cleanName,
+  extractReference,
+  AMOUNT_EN,
+  AMOUNT_FR,
+  EVENT_TYPES,
+  SCORE_SENDER,
+  SCORE_SUBJECT,
+  SCORE_BODY,
+  MIN_DETECT_SCORE
+};
@@ -0,0 +1,30 @@
+/**
+ * Desjardins Notification Parser
+ * Desjardins received-transfer alerts, French first
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'desjardins',
+  label: 'Desjardins',
+  senders: ['desjardins.com'],
+  subjects: [
+    /Desjardins\s*-\s*Virement Interac reçu/i,
+    /Desjardins\s*-\s*Interac e-Transfer received/i
+  ],
+  fields: {
+    fr: {
+      amount: [new RegExp(`^Montant ?:\\s*${AMOUNT_FR}`, 'im')],
+      senderName: [/reçu un virement Interac de (.+?)\.?$/im],
+      message: [/^Message ?:\s*(.+)$/im],
+      transactionId: [/Numéro de confirmation ?:\s*([A-Za-z0-9]+)/i]
+    },
+    en: {
+      amount: [new RegExp(`^Amount:\\s*${AMOUNT_EN}`, 'im')],
+      senderName: [/received an Interac e-Transfer from (.+?)\.?$/im],
+      message: [/^Message:\s*(.+)$/im],
+      transactionId: [/Confirmation number:\s*([A-Za-z0-9]+)/i]
+    }
+  }
+});
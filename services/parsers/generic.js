@@ -0,0 +1,75 @@
+/**
+ * Generic Notification Parser
+ * Fallback for notifications no format module recognises: the original
+ * catch-all patterns. It takes the first dollar figure in the email, which
+ * can be a balance or a fee, so its results are only ever low confidence.
+ */
+
+const { firstMatch, cleanName, extractReference, detectLanguage, detectEventType } = require('./common');
+
+const INTERAC_PATTERNS = [
+  /interac.*e-transfer/i,
+  /INTERAC.*deposit/i,
+  /e-transfer.*deposit/i,
+  /sent.*money.*interac/i,
+  /auto.*deposit.*complete/i,
+  /virement.*interac/i
+];
+
+const AMOUNT_PATTERNS = [
+  /\$\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:CAD|CDN)?/i,
+  /(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:CAD|CDN|dollars?)/i,
+  /amount[:\s]+\$?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i,
+  /deposited[:\s]+\$?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i
+];
+
+const NAME_PATTERNS = [
+  /(?:from|sent by)[:\s]+([A-Za-z]+ [A-Za-z]+)/i,
+  /([A-Za-z]+ [A-Za-z]+)\s+(?:has sent|sent you)/i
+];
+
+function detect(email) {
+  return INTERAC_PATTERNS.some(pattern => pattern.test(`${email.subject}\n${email.text}`)) ? 10 : 0;
+}
+
+function parse(email) {
+  const text = email.text;
+  const isInterac = detect(email) > 0;
+
+  const result = {
+    parser: 'generic',
+    language: detectLanguage(email),
+    isInterac,
+    eventType: null,
+    amount: null,
+    amountCents: null,
+    currency: 'CAD',
+    senderName: null,
+    senderEmail: null,
+    message: null,
+    referenceCode: null,
+    transactionId: null
+  };
+
+  if (!isInterac) {
+    return result;
+  }
+
+  const amount = firstMatch(text, AMOUNT_PATTERNS);
+  if (amount) {
+    result.amount = parseFloat(amount.replace(/,/g, ''));
+    result.amountCents = Math.round(result.amount * 100);
+  }
+
+  const senderEmail = firstMatch(text, [/(?:from|sender)[:\s]+([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i]);
+  result.senderEmail = senderEmail ? senderEmail.toLowerCase() : null;
+  result.senderName = cleanName(firstMatch(text, NAME_PATTERNS));
+  result.message = firstMatch(text, [/message[:\s]+([^\n]*)/i]);
+  result.referenceCode = extractReference(result.message) || extractReference(text, false);
+  result.transactionId = firstMatch(text, [/(?:reference|confirmation|transaction)[:\s#]+([A-Z0-9]{10,})/i]);
+  result.eventType = detectEventType(email, result.message);
+
+  return result;
+}
+
+module.exports = { name: 'generic', label: 'Generic', detect, parse };
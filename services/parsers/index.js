@@ -0,0 +1,107 @@
+/**
+ * Notification Parser Registry
+ * One module per bank/Interac notification format. Each declares how to
+ * recognise its emails (sender domain, subject, body) and how to pull out
+ * the amount, sender, message and transaction number, in English and
+ * French. The best-scoring format parses the email; anything unrecognised
+ * falls back to the generic patterns.
+ */
+
+const { toEmail, MIN_DETECT_SCORE } = require('./common');
+const generic = require('./generic');
+
+const PARSERS = [
+  require('./interac'),
+  require('./td'),
+  require('./rbc'),
+  require('./bmo'),
+  require('./scotiabank'),
+  require('./cibc'),
+  require('./desjardins'),
+  require('./tangerine')
+];
+
+// Generic results never reach the auto-confirm level on their own
+const GENERIC_CONFIDENCE = 40;
+const MISSING_FIELD_PENALTY = 10;
+
+/**
+ * Add a parser for another notification format (see common.createParser)
+ */
+function registerParser(parser) {
+  if (!parser || !parser.name || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+    throw new Error('A parser needs a name, detect() and parse()');
+  }
+  const existing = PARSERS.findIndex(p => p.name === parser.name);
+  if (existing >= 0) {
+    PARSERS[existing] = parser;
+  } else {
+    PARSERS.push(parser);
+  }
+}
+
+/**
+ * Best-matching format for an email, or null if none scores high enough
+ * @returns {{ parser: Object, score: number } | null}
+ */
+function detectFormat(email) {
+  let best = null;
+  for (const parser of PARSERS) {
+    const score = parser.detect(email);
+    if (score >= MIN_DETECT_SCORE && (!best || score > best.score)) {
+      best = { parser, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * How far to trust a parse: the detection score, less a penalty for each
+ * identifying field the format should have given but didn't. No amount
+ * means nothing can be applied.
+ */
+function confidenceFor(result, score) {
+  if (!result.isInterac || result.amountCents === null) {
+    return 0;
+  }
+  let confidence = score;
+  if (!result.senderName) confidence -= MISSING_FIELD_PENALTY;
+  if (!result.transactionId) confidence -= MISSING_FIELD_PENALTY;
+  return Math.max(confidence, 0);
+}
+
+/**
+ * Parse a payment notification
+ *
+ * @param {Object|string} input - mailparser result, { subject, from, text, html }, or a body string
+ * @returns {Object} { parser, language, isInterac, eventType, amount, amountCents,
+ *   currency, senderName, senderEmail, message, referenceCode, transactionId,
+ *   confidence }. eventType is 'deposited' for money in the account (see
+ *   common.detectEventType for the others).
+ */
+function parseNotification(input) {
+  const email = toEmail(input);
+  const detected = detectFormat(email);
+
+  const parser = detected ? detected.parser : generic;
+  const result = parser.parse(email);
+  result.confidence = confidenceFor(result, detected ? Math.min(detected.score, 100) : GENERIC_CONFIDENCE);
+
+  return result;
+}
+
+/**
+ * Every sender domain a registered format recognises
+ * @returns {string[]}
+ */
+function senderDomains() {
+  return [...new Set(PARSERS.flatMap(parser => parser.senders || []))];
+}
+
+module.exports = {
+  parseNotification,
+  detectFormat,
+  registerParser,
+  senderDomains,
+  PARSERS
+};
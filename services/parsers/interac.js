@@ -0,0 +1,31 @@
+/**
+ * Interac Notification Parser
+ * Emails sent by Interac itself (notify@payments.interac.ca), in English
+ * and French, for both autodeposit and click-to-deposit transfers
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'interac',
+  label: 'Interac',
+  senders: ['payments.interac.ca', 'interac.ca'],
+  subjects: [
+    /INTERAC e-Transfer:.*sent you money/i,
+    /Virement INTERAC ?:.*vous a envoyé des fonds/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`sent you ${AMOUNT_EN}`, 'i')],
+      senderName: [/^([^\n,]+?) sent you \$/im],
+      message: [/^Message:\s*(.+)$/im],
+      transactionId: [/Reference Number:\s*([A-Za-z0-9]+)/i]
+    },
+    fr: {
+      amount: [new RegExp(`vous a envoyé ${AMOUNT_FR}`, 'i')],
+      senderName: [/^([^\n,]+?) vous a envoyé \d/im],
+      message: [/^Message ?:\s*(.+)$/im],
+      transactionId: [/Numéro de référence ?:\s*([A-Za-z0-9]+)/i]
+    }
+  }
+});
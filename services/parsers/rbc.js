@@ -0,0 +1,30 @@
+/**
+ * RBC Notification Parser
+ * RBC Royal Bank autodeposit notifications (labelled fields)
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'rbc',
+  label: 'RBC Royal Bank',
+  senders: ['rbc.com', 'rbcroyalbank.com'],
+  subjects: [
+    /Interac e-Transfer Autodeposit/i,
+    /Virement Interac\s*(?:-|:)?\s*d[ée]p[oô]t automatique/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`^Amount:\\s*${AMOUNT_EN}`, 'im')],
+      senderName: [/^From:\s*(.+)$/im],
+      message: [/^Message:\s*(.+)$/im],
+      transactionId: [/^Transfer Reference:\s*([A-Za-z0-9]+)/im]
+    },
+    fr: {
+      amount: [new RegExp(`^Montant ?:\\s*${AMOUNT_FR}`, 'im')],
+      senderName: [/^De ?:\s*(.+)$/im],
+      message: [/^Message ?:\s*(.+)$/im],
+      transactionId: [/^Référence du virement ?:\s*([A-Za-z0-9]+)/im]
+    }
+  }
+});
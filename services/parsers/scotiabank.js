@@ -0,0 +1,33 @@
+/**
+ * Scotiabank Notification Parser
+ * Scotia InfoAlerts for received transfers. These list the sender's email
+ * next to their name, and the account's available balance above the amount.
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'scotiabank',
+  label: 'Scotiabank',
+  senders: ['scotiabank.com'],
+  subjects: [
+    /Scotia InfoAlert: Interac e-Transfer received/i,
+    /Alerte Scotia ?: Virement Interac reçu/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`^Amount:\\s*${AMOUNT_EN}`, 'im')],
+      senderName: [/^Sender:\s*([^(\n]+)/im],
+      senderEmail: [/^Sender:[^(\n]*\(([^)\s]+@[^)\s]+)\)/im],
+      message: [/^Message:\s*(.+)$/im],
+      transactionId: [/^Reference #:\s*([A-Za-z0-9]+)/im]
+    },
+    fr: {
+      amount: [new RegExp(`^Montant ?:\\s*${AMOUNT_FR}`, 'im')],
+      senderName: [/^Expéditeur ?:\s*([^(\n]+)/im],
+      senderEmail: [/^Expéditeur ?:[^(\n]*\(([^)\s]+@[^)\s]+)\)/im],
+      message: [/^Message ?:\s*(.+)$/im],
+      transactionId: [/^N(?:o|º|°) de référence ?:\s*([A-Za-z0-9]+)/im]
+    }
+  }
+});
@@ -0,0 +1,31 @@
+/**
+ * Tangerine Notification Parser
+ * Tangerine deposit notices. The subject is generic, so it only counts
+ * at the start of the line (other banks put their name first).
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'tangerine',
+  label: 'Tangerine',
+  senders: ['tangerine.ca'],
+  subjects: [
+    /^(?:(?:fwd?|fw|tr)\s*:\s*)*you['’]ve received an interac e-transfer/i,
+    /^(?:(?:fwd?|fw|tr)\s*:\s*)*vous avez reçu un virement interac/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`has sent you ${AMOUNT_EN}`, 'i')],
+      senderName: [/^(.+?) has sent you \$/im],
+      message: [/^Message:\s*(.+)$/im],
+      transactionId: [/^Reference:\s*([A-Za-z0-9]+)/im]
+    },
+    fr: {
+      amount: [new RegExp(`vous a envoyé ${AMOUNT_FR} par virement`, 'i')],
+      senderName: [/^(.+?) vous a envoyé [\d ,]+ ?\$ par virement/im],
+      message: [/^Message ?:\s*(.+)$/im],
+      transactionId: [/^Référence ?:\s*([A-Za-z0-9]+)/im]
+    }
+  }
+});
@@ -0,0 +1,31 @@
+/**
+ * TD Notification Parser
+ * TD Canada Trust deposit alerts. The alert also shows the account
+ * balance, so the amount is only read from the transfer sentence.
+ */
+
+const { createParser, AMOUNT_EN, AMOUNT_FR } = require('./common');
+
+module.exports = createParser({
+  name: 'td',
+  label: 'TD Canada Trust',
+  senders: ['td.com', 'tdcanadatrust.com'],
+  subjects: [
+    /TD Alert: Interac e-Transfer Deposit/i,
+    /Alerte TD ?: D[ée]p[oô]t de virement Interac/i
+  ],
+  fields: {
+    en: {
+      amount: [new RegExp(`Interac e-Transfer of ${AMOUNT_EN} from`, 'i')],
+      senderName: [/Interac e-Transfer of \$[\d,.]+ from (.+?) has been deposited/i],
+      message: [/^Message:\s*(.+)$/im],
+      transactionId: [/Reference number:\s*([A-Za-z0-9]+)/i]
+    },
+    fr: {
+      amount: [new RegExp(`virement Interac de ${AMOUNT_FR} de`, 'i')],
+      senderName: [/virement Interac de [\d ,]+ ?\$ de (.+?) a été déposé/i],
+      message: [/^Message ?:\s*(.+)$/im],
+      transactionId: [/Numéro de référence ?:\s*([A-Za-z0-9]+)/i]
+    }
+  }
+});
@@ -4,214 +4,154 @@
  * and automatically matches payments to orders
  */
 
-const Imap = require('imap');
-const { simpleParser } = require('mailparser');
 const db = require('../config/database');
-const { sendPaymentConfirmation, sendAdminAlert } = require('./notifications');
+const { sendAdminAlert } = require('./notifications');
+const { applyTransition, runTransitionEffects, InvalidTransitionError } = require('./order-lifecycle');
+const {
+  recordPayment,
+  reversePayment,
+  normalizeTransactionId,
+  findRecordedTransaction,
+  wasApplied,
+  logDuplicateNotification,
+  DuplicatePaymentError
+} = require('./payments');
+const { publishOrderEvent } = require('./order-events');
+const { matchPaymentToOrder, getMatchThresholds } = require('./payment-matcher');
+const { parseNotification } = require('./parsers');
+const { ImapManager } = require('./imap-manager');
+const { getActiveMailboxConfigs } = require('./mailboxes');
+const { verifyNotification } = require('./email-auth');
+const {
+  findPendingDeposit,
+  recordPendingDeposit,
+  resolvePendingDeposit,
+  hasOtherPendingDeposits
+} = require('./pending-deposits');
+const {
+  storeInboundEmail,
+  recordProcessingResult,
+  listUnprocessedEmails,
+  toParserInput,
+  resolveReceivingAlias
+} = require('./inbound-emails');
+
+// Parser confidence needed to auto-confirm (the generic fallback gives 40)
+const MIN_PARSE_CONFIDENCE = 50;
+
+// Notices that a transfer will not arrive, or was taken back
+const CANCELLATION_EVENTS = {
+  cancelled: 'Cancelled',
+  expired: 'Expired',
+  declined: 'Declined',
+  reversed: 'Reversed'
+};
 
-let imapConnection = null;
-let checkInterval = null;
+// One connection manager per monitored mailbox, keyed by mailbox name
+const imapManagers = new Map();
+// Mailboxes that couldn't be started (e.g. undecryptable password)
+const mailboxErrors = new Map();
+let checkerRunning = false;
+let pollIntervalMs = 2 * 60 * 1000;
 
 // ===================================
-// IMAP CONNECTION
+// IMAP CONNECTIONS
 // ===================================
 
-function createImapConnection() {
-  return new Imap({
-    user: process.env.IMAP_USER,
-    password: process.env.IMAP_PASS,
-    host: process.env.IMAP_HOST,
-    port: parseInt(process.env.IMAP_PORT) || 993,
-    tls: true,
-    tlsOptions: { rejectUnauthorized: false }
-  });
-}
-
-// ===================================
-// EMAIL PARSING
-// ===================================
-
-function parseInteracEmail(emailBody) {
-  const result = {
-    amount: null,
-    amountCents: null,
-    senderEmail: null,
-    senderName: null,
-    referenceCode: null,
-    transactionId: null,
-    isInterac: false
-  };
-
-  // Check if this is an Interac e-Transfer notification
-  const interacPatterns = [
-    /interac.*e-transfer/i,
-    /INTERAC.*deposit/i,
-    /e-transfer.*deposit/i,
-    /sent.*money.*interac/i,
-    /auto.*deposit.*complete/i
-  ];
-
-  const bodyText = typeof emailBody === 'string' ? emailBody : emailBody.toString();
-  
-  result.isInterac = interacPatterns.some(pattern => pattern.test(bodyText));
-  
-  if (!result.isInterac) {
-    return result;
-  }
-
-  // Extract amount - multiple patterns for different bank formats
-  const amountPatterns = [
-    /\$\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:CAD|CDN)?/i,
-    /(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:CAD|CDN|dollars?)/i,
-    /amount[:\s]+\$?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i,
-    /deposited[:\s]+\$?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i
-  ];
-
-  for (const pattern of amountPatterns) {
-    const match = bodyText.match(pattern);
-    if (match) {
-      result.amount = parseFloat(match[1].replace(/,/g, ''));
-      result.amountCents = Math.round(result.amount * 100);
-      break;
-    }
-  }
-
-  // Extract sender email
-  const emailPattern = /(?:from|sender)[:\s]+([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i;
-  const emailMatch = bodyText.match(emailPattern);
-  if (emailMatch) {
-    result.senderEmail = emailMatch[1].toLowerCase();
-  }
-
-  // Extract sender name
-  const namePatterns = [
-    /(?:from|sent by)[:\s]+([A-Za-z]+ [A-Za-z]+)/i,
-    /([A-Za-z]+ [A-Za-z]+)\s+(?:has sent|sent you)/i
-  ];
-  for (const pattern of namePatterns) {
-    const match = bodyText.match(pattern);
-    if (match && match[1].length < 50) {
-      result.senderName = match[1].trim();
-      break;
-    }
-  }
-
-  // Extract reference/order code from message
-  const refPatterns = [
-    /ORD-[A-Z0-9]+/gi,
-    /order[:\s#]+([A-Z0-9-]+)/i,
-    /reference[:\s#]+([A-Z0-9-]+)/i,
-    /message[:\s]+.*?(ORD-[A-Z0-9]+)/i
-  ];
-
-  for (const pattern of refPatterns) {
-    const match = bodyText.match(pattern);
-    if (match) {
-      result.referenceCode = match[1] || match[0];
-      break;
-    }
-  }
+/**
+ * Every mailbox to monitor: the IMAP_* inbox when configured, then each
+ * active mailbox from the database. Certificates are verified unless
+ * IMAP_TLS_REJECT_UNAUTHORIZED=false / tls_verify is off (e.g. a
+ * self-signed test server).
+ */
+async function loadMailboxConfigs() {
+  const configs = [];
 
-  // Extract Interac transaction ID if present
-  const txIdPattern = /(?:reference|confirmation|transaction)[:\s#]+([A-Z0-9]{10,})/i;
-  const txMatch = bodyText.match(txIdPattern);
-  if (txMatch) {
-    result.transactionId = txMatch[1];
+  if (process.env.IMAP_HOST && process.env.IMAP_USER && process.env.IMAP_PASS) {
+    configs.push({
+      id: null,
+      name: process.env.IMAP_USER,
+      host: process.env.IMAP_HOST,
+      port: parseInt(process.env.IMAP_PORT) || 993,
+      user: process.env.IMAP_USER,
+      password: process.env.IMAP_PASS,
+      folder: 'INBOX',
+      rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    });
   }
 
-  return result;
+  return configs.concat(await getActiveMailboxConfigs());
 }
 
-// ===================================
-// PAYMENT MATCHING
-// ===================================
+function createImapManager(config) {
+  const manager = new ImapManager({
+    name: config.name,
+    host: config.host,
+    port: config.port,
+    user: config.user,
+    password: config.password,
+    mailbox: config.folder,
+    rejectUnauthorized: config.rejectUnauthorized,
+    pollIntervalMs,
+    reconnectBaseMs: parseInt(process.env.IMAP_RECONNECT_BASE_MS) || undefined,
+    reconnectMaxMs: parseInt(process.env.IMAP_RECONNECT_MAX_MS) || undefined,
+    onCheck: imap => checkMailbox(imap, config.name)
+  });
+  // Restart the connection when its settings change
+  manager.fingerprint = JSON.stringify(config);
+  return manager;
+}
 
-async function matchPaymentToOrder(paymentData) {
-  const { amountCents, senderEmail, referenceCode } = paymentData;
-
-  // Priority 1: Match by reference code + amount (100% confidence)
-  if (referenceCode) {
-    const orderByRef = await db.get(
-      'SELECT * FROM orders WHERE reference_number = $1 AND status IN ($2, $3)',
-      [referenceCode, 'pending', 'awaiting_payment']
-    );
-    
-    if (orderByRef) {
-      // Verify amount matches (allow 1% tolerance for rounding)
-      const tolerance = orderByRef.amount_cents * 0.01;
-      if (Math.abs(orderByRef.amount_cents - amountCents) <= tolerance) {
-        return { order: orderByRef, confidence: 100, matchType: 'reference_and_amount' };
-      }
+/**
+ * Start managers for new mailboxes, restart changed ones and stop removed
+ * or deactivated ones
+ */
+async function syncMailboxes() {
+  const configs = await loadMailboxConfigs();
+  const wanted = new Map();
+
+  mailboxErrors.clear();
+  for (const config of configs) {
+    if (config.error) {
+      console.error(`❌ Mailbox ${config.name} not started: ${config.error}`);
+      mailboxErrors.set(config.name, config.error);
+    } else if (wanted.has(config.name)) {
+      console.error(`❌ Mailbox ${config.name} is configured twice - using the first`);
+    } else {
+      wanted.set(config.name, config);
     }
   }
 
-  // Priority 2: Match by amount + sender email (90% confidence)
-  if (senderEmail && amountCents) {
-    const orderByEmailAmount = await db.get(
-      `SELECT * FROM orders 
-       WHERE amount_cents = $1 
-         AND customer_email = $2
-         AND status IN ($3, $4)
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [amountCents, senderEmail, 'pending', 'awaiting_payment']
-    );
-
-    if (orderByEmailAmount) {
-      return { order: orderByEmailAmount, confidence: 90, matchType: 'email_and_amount' };
+  for (const [name, manager] of imapManagers) {
+    const config = wanted.get(name);
+    if (!config || manager.fingerprint !== JSON.stringify(config)) {
+      manager.stop();
+      imapManagers.delete(name);
     }
   }
 
-  // Priority 3: Match by amount + recent time (70% confidence)
-  if (amountCents) {
-    const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000).toISOString();
-    const orderByAmountRecent = await db.get(
-      `SELECT * FROM orders 
-       WHERE amount_cents = $1
-         AND status IN ($2, $3)
-         AND created_at >= $4
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [amountCents, 'pending', 'awaiting_payment', thirtyMinutesAgo]
-    );
-
-    if (orderByAmountRecent) {
-      // Check if there are multiple orders with same amount
-      const count = await db.get(
-        `SELECT COUNT(*) as count FROM orders 
-         WHERE amount_cents = $1 
-           AND status IN ($2, $3)
-           AND created_at >= $4`,
-        [amountCents, 'pending', 'awaiting_payment', thirtyMinutesAgo]
-      );
-
-      if (count && count.count === 1) {
-        return { order: orderByAmountRecent, confidence: 70, matchType: 'amount_and_time' };
-      } else {
-        // Multiple matches - return for manual review
-        return { order: null, confidence: 50, matchType: 'multiple_matches', count: count?.count };
-      }
+  for (const [name, config] of wanted) {
+    if (!imapManagers.has(name)) {
+      const manager = createImapManager(config);
+      imapManagers.set(name, manager);
+      manager.start();
     }
   }
+}
 
-  // Priority 4: Amount only match (50% confidence - needs review)
-  if (amountCents) {
-    const orderByAmountOnly = await db.get(
-      `SELECT * FROM orders 
-       WHERE amount_cents = $1 
-         AND status IN ($2, $3)
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [amountCents, 'pending', 'awaiting_payment']
-    );
-
-    if (orderByAmountOnly) {
-      return { order: orderByAmountOnly, confidence: 50, matchType: 'amount_only' };
-    }
-  }
+// ===================================
+// EMAIL PARSING
+// ===================================
 
-  // No match found
-  return { order: null, confidence: 0, matchType: 'no_match' };
+/**
+ * Parse an Interac e-Transfer notification with the parser for its bank
+ * (see services/parsers)
+ *
+ * @param {Object|string} email - mailparser result, or the body text
+ * @returns {Object} payment data; isInterac is false for other emails
+ */
+function parseInteracEmail(email) {
+  return parseNotification(email);
 }
 
 // ===================================
@@ -225,63 +165,119 @@ async function processPayment(paymentData) {
     reference: paymentData.referenceCode
   });
 
+  // The same transfer again: a forwarded copy, an email flagged unseen
+  // again, or one already confirmed through the webhook. A transfer only
+  // logged as unmatched is matched again (a reprocessed email) and its
+  // unmatched payment reused.
+  const recorded = paymentData.transactionId && await findRecordedTransaction(db, paymentData.transactionId);
+  if (wasApplied(recorded)) {
+    await logDuplicate(paymentData);
+    return { success: false, duplicate: true, paymentData };
+  }
+  const unmatched = recorded ? recorded.unmatched : null;
+
   const matchResult = await matchPaymentToOrder(paymentData);
+  const decision = decidePayment(paymentData, matchResult);
 
-  if (matchResult.order && matchResult.confidence >= 70) {
+  if (decision.action === 'confirm') {
     // High confidence match - auto-confirm
     const order = matchResult.order;
 
-    await db.query(
-      `UPDATE orders SET 
-        status = 'paid', 
-        paid_at = CURRENT_TIMESTAMP, 
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?`,
-      [order.id]
-    );
-
-    // Log event
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [order.id, 'payment_auto_matched', JSON.stringify({
-        confidence: matchResult.confidence,
-        matchType: matchResult.matchType,
-        paymentData
-      })]
-    );
-
-    console.log(`✅ Payment matched to order ${order.reference_number} (${matchResult.confidence}% confidence)`);
-
-    // Send confirmation email
-    if (process.env.EMAIL_ENABLED === 'true' && order.customer_email) {
-      await sendPaymentConfirmation({
-        email: order.customer_email,
-        name: order.customer_name,
-        orderNumber: order.reference_number,
-        amount: (order.amount_cents / 100).toFixed(2)
+    // Payment record, status change and audit event, then email and Woo sync
+    let result;
+    try {
+      result = await db.transaction(async (tx) => {
+        const recordedPayment = await recordPayment(tx, order.id, {
+          amount_cents: paymentData.amountCents,
+          source: 'imap',
+          sender_email: paymentData.senderEmail,
+          sender_name: paymentData.senderName,
+          reference_code: paymentData.referenceCode,
+          transaction_id: paymentData.transactionId,
+          unmatched_payment_id: unmatched ? unmatched.id : null,
+          mailbox: paymentData.mailbox,
+          raw_data: paymentData
+        }, {
+          source: 'payment_checker',
+          eventType: 'payment_auto_matched',
+          eventData: {
+            confidence: matchResult.confidence,
+            matchType: matchResult.matchType,
+            breakdown: matchResult.breakdown,
+            unmatched_payment_id: unmatched ? unmatched.id : undefined,
+            paymentData
+          }
+        });
+
+        if (unmatched) {
+          await tx.run(
+            `UPDATE unmatched_payments
+             SET resolved = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = 'payment_checker', notes = ?
+             WHERE id = ?`,
+            [true, `Matched to order ${order.reference_number} on reprocessing`, unmatched.id]
+          );
+        }
+
+        return recordedPayment;
       });
+    } catch (error) {
+      if (error instanceof DuplicatePaymentError) {
+        // Recorded by another check or the webhook since the lookup above
+        await logDuplicate(paymentData);
+        return { success: false, duplicate: true, paymentData };
+      }
+      if (!(error instanceof InvalidTransitionError)) throw error;
+
+      // Order left pending/awaiting_payment between matching and updating
+      console.log(`❌ Order ${order.reference_number} is now ${error.currentStatus} - payment not applied`);
+      const logged = await logUnmatchedPayment(paymentData, `order_${error.currentStatus}`, unmatched);
+      return { success: false, unmatched: logged, duplicate: !logged, paymentData };
+    }
+
+    if (result.transition) {
+      await runTransitionEffects(result.transition);
     }
 
-    return { success: true, order, matchResult };
+    console.log(`✅ Payment matched to order ${order.reference_number} (${matchResult.confidence}% confidence) - now ${result.order.status}`);
+
+    return { success: true, order: result.order, matchResult };
 
-  } else if (matchResult.order && matchResult.confidence >= 50) {
+  } else if (decision.action === 'review') {
     // Low confidence - flag for review but don't auto-confirm
-    console.log(`⚠️ Low confidence match (${matchResult.confidence}%) - flagged for review`);
+    const aliasMismatch = matchResult.matchType === 'alias_mismatch';
+    const { reason } = decision;
+
+    if (reason === 'alias_mismatch') {
+      console.log(`⚠️ Payment for order ${matchResult.order.reference_number} sent to ${matchResult.receivingAlias} instead of ${matchResult.assignedAlias} - flagged for review`);
+    } else if (reason === 'multiple_matches') {
+      console.log(`⚠️ ${matchResult.count} orders match about equally well (best ${matchResult.breakdown.score}%) - flagged for review`);
+    } else if (reason === 'unrecognised_format') {
+      console.log(`⚠️ Unrecognised notification format (parser confidence ${paymentData.confidence}%) - flagged for review`);
+    } else {
+      console.log(`⚠️ Low confidence match (${matchResult.confidence}%) - flagged for review`);
+    }
 
-    await db.query(
-      'INSERT INTO payment_events (order_id, event_type, event_data) VALUES (?, ?, ?)',
-      [matchResult.order.id, 'payment_needs_review', JSON.stringify({
+    await db.insert('payment_events', {
+      order_id: matchResult.order.id,
+      event_type: 'payment_needs_review',
+      event_data: {
+        reason,
         confidence: matchResult.confidence,
         matchType: matchResult.matchType,
+        breakdown: matchResult.breakdown,
         paymentData
-      })]
-    );
+      }
+    });
+
+    publishOrderEvent(matchResult.order, 'needs_review');
 
     // Alert admin
     await sendAdminAlert({
       type: 'warning',
-      title: 'Payment Needs Review',
-      message: `Payment of $${paymentData.amount} received but needs manual confirmation.`,
+      title: aliasMismatch ? 'Payment Sent to Wrong Alias' : 'Payment Needs Review',
+      message: aliasMismatch
+        ? `Payment of $${paymentData.amount} for order ${matchResult.order.reference_number} was sent to ${matchResult.receivingAlias}, but the order was assigned ${matchResult.assignedAlias}.`
+        : `Payment of $${paymentData.amount} received but needs manual confirmation.`,
       details: { paymentData, matchResult }
     });
 
@@ -291,157 +287,635 @@ async function processPayment(paymentData) {
     // No match - log as unmatched
     console.log(`❌ No matching order found for payment of $${paymentData.amount}`);
 
-    await db.query(
-      `INSERT INTO unmatched_payments 
-        (amount_cents, sender_email, sender_name, reference_code, reason, raw_text) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        paymentData.amountCents,
-        paymentData.senderEmail,
-        paymentData.senderName,
-        paymentData.referenceCode,
-        matchResult.matchType,
-        JSON.stringify(paymentData)
-      ]
-    );
+    const logged = await logUnmatchedPayment(paymentData, decision.reason, unmatched);
+
+    return { success: false, unmatched: logged, duplicate: !logged, paymentData };
+  }
+}
+
+/**
+ * What processPayment does with a match, without doing it
+ *
+ * @param {Object} paymentData - parsed notification
+ * @param {Object} matchResult - from matchPaymentToOrder
+ * @returns {Object} { action, reason }: action is 'confirm', 'review' or
+ *   'unmatched'; reason is the review reason or the unmatched match type
+ */
+function decidePayment(paymentData, matchResult) {
+  const thresholds = getMatchThresholds();
+
+  const parseTrusted = isParseTrusted(paymentData);
+
+  if (matchResult.order && matchResult.confidence >= thresholds.autoConfirm && parseTrusted) {
+    return { action: 'confirm', reason: null };
+  }
+
+  if (matchResult.order && matchResult.confidence >= thresholds.review) {
+    let reason = 'low_confidence';
+    if (!parseTrusted) reason = 'unrecognised_format';
+    else if (['alias_mismatch', 'multiple_matches'].includes(matchResult.matchType)) reason = matchResult.matchType;
+    return { action: 'review', reason };
+  }
+
+  return { action: 'unmatched', reason: matchResult.matchType };
+}
+
+/**
+ * Whether a parse can be acted on without review. An email no bank parser
+ * recognised may have given a balance as the amount, or a transfer it
+ * only mentions as the one cancelled.
+ */
+function isParseTrusted(paymentData) {
+  return paymentData.confidence === undefined || paymentData.confidence >= MIN_PARSE_CONFIDENCE;
+}
+
+/**
+ * @param {Object} paymentData
+ * @param {string} reason
+ * @param {Object} [existing] - the unmatched payment already logged for
+ *   this transfer; only its reason is updated
+ * @returns {Promise<boolean>} false when the transaction was already logged
+ *   by another notification
+ */
+async function logUnmatchedPayment(paymentData, reason, existing = null) {
+  if (existing) {
+    await db.run('UPDATE unmatched_payments SET reason = ? WHERE id = ?', [reason, existing.id]);
+    console.log(`ℹ️ Transfer ${normalizeTransactionId(paymentData.transactionId)} is still unmatched (unmatched payment ${existing.id})`);
+    return true;
+  }
+
+  try {
+    await db.insert('unmatched_payments', {
+      amount_cents: paymentData.amountCents,
+      sender_email: paymentData.senderEmail,
+      sender_name: paymentData.senderName,
+      reference_code: paymentData.referenceCode,
+      transaction_id: normalizeTransactionId(paymentData.transactionId),
+      mailbox: paymentData.mailbox || null,
+      reason,
+      raw_text: JSON.stringify(paymentData)
+    });
+  } catch (error) {
+    if (!paymentData.transactionId || !db.isUniqueViolation(error)) throw error;
+    await logDuplicate(paymentData);
+    return false;
+  }
+
+  // Alert admin
+  await sendAdminAlert({
+    type: 'error',
+    title: 'Unmatched Payment',
+    message: `Payment of $${paymentData.amount} could not be matched to any order.`,
+    details: paymentData
+  });
+
+  return true;
+}
+
+async function logDuplicate(paymentData) {
+  await logDuplicateNotification(paymentData.transactionId, {
+    source: 'imap',
+    amount_cents: paymentData.amountCents,
+    inbound_email_id: paymentData.inboundEmailId || null,
+    mailbox: paymentData.mailbox || null
+  });
+}
+
+// ===================================
+// PENDING DEPOSITS AND CANCELLATIONS
+// ===================================
+
+/**
+ * A transfer the bank holds until it is deposited by hand. The order it is
+ * for waits in deposit_pending, so it doesn't look unpaid or expire, and
+ * its deposit notice later matches it by transaction ID.
+ */
+async function processPendingDeposit(paymentData) {
+  console.log('⏳ Transfer waiting for deposit:', {
+    amount: paymentData.amount,
+    sender: paymentData.senderName || paymentData.senderEmail,
+    reference: paymentData.referenceCode
+  });
+
+  // Banks send reminders until the transfer is deposited
+  if (await findPendingDeposit(db, paymentData)
+    || (paymentData.transactionId && await findRecordedTransaction(db, paymentData.transactionId))) {
+    console.log(`🔁 Transfer ${paymentData.transactionId || paymentData.referenceCode} already recorded - reminder ignored`);
+    return { success: false, duplicate: true, paymentData };
+  }
+
+  const matchResult = await matchPaymentToOrder(paymentData);
+  const decision = decidePayment(paymentData, matchResult);
+  let order = decision.action === 'confirm' ? matchResult.order : null;
+  let result = null;
+
+  if (order) {
+    try {
+      result = await db.transaction(tx => holdOrderForDeposit(tx, order, paymentData, matchResult));
+    } catch (error) {
+      if (!(error instanceof InvalidTransitionError)) throw error;
+      // Paid or cancelled between matching and updating
+      console.log(`❌ Order ${order.reference_number} is now ${error.currentStatus} - not held`);
+      order = null;
+    }
+  }
+
+  if (!order) {
+    const id = await recordPendingDeposit(db, paymentData);
+    result = id ? { id } : null;
+  }
+
+  if (!result) {
+    return { success: false, duplicate: true, paymentData };
+  }
+
+  if (result.transition) {
+    await runTransitionEffects(result.transition);
+  }
+
+  await sendAdminAlert({
+    type: 'warning',
+    title: 'e-Transfer Waiting for Deposit',
+    message: order
+      ? `An e-Transfer of $${paymentData.amount} for order ${order.reference_number} must be deposited by hand. The order is held until it is.`
+      : `An e-Transfer of $${paymentData.amount} from ${paymentData.senderName || paymentData.senderEmail || 'an unknown sender'} must be deposited by hand. It could not be matched to an order.`,
+    details: { paymentData, matchResult }
+  });
+
+  if (order) {
+    console.log(`⏳ Order ${order.reference_number} held for a transfer waiting to be deposited`);
+    return { success: true, pendingDeposit: true, order: result.order, matchResult };
+  }
+  if (decision.action === 'review') {
+    return { success: false, needsReview: true, pendingDeposit: true, matchResult };
+  }
+  return { success: false, unmatched: true, pendingDeposit: true, paymentData };
+}
+
+/**
+ * Record the held transfer and move its order to deposit_pending
+ *
+ * @returns {Promise<Object|null>} { id, order, transition }, or null when
+ *   the transfer was already recorded
+ */
+async function holdOrderForDeposit(tx, order, paymentData, matchResult) {
+  const current = await tx.get('SELECT * FROM orders WHERE id = ?', [order.id]);
+  const id = await recordPendingDeposit(tx, paymentData, current);
+  if (!id) return null;
+
+  const eventData = {
+    pending_deposit_id: id,
+    confidence: matchResult.confidence,
+    matchType: matchResult.matchType,
+    breakdown: matchResult.breakdown,
+    paymentData
+  };
+
+  // A second transfer for an order that is already held
+  if (current.status === 'deposit_pending') {
+    await tx.insert('payment_events', {
+      order_id: current.id,
+      event_type: 'transfer_deposit_pending',
+      event_data: { ...eventData, source: 'payment_checker' }
+    });
+    return { id, order: current, transition: null };
+  }
+
+  const transition = await applyTransition(tx, current.id, 'deposit_pending', {
+    source: 'payment_checker',
+    eventType: 'transfer_deposit_pending',
+    eventData
+  });
+  return { id, order: transition.order, transition };
+}
+
+/**
+ * A transfer was cancelled, expired, was declined or was reversed. A held
+ * order goes back to what it was waiting for; a recorded payment is
+ * reversed and its order moves back.
+ */
+async function processTransferCancellation(paymentData) {
+  const { eventType } = paymentData;
+  const label = CANCELLATION_EVENTS[eventType];
+  const reason = `transfer_${eventType}`;
+  const transfer = paymentData.transactionId || paymentData.referenceCode || `of $${paymentData.amount}`;
+
+  console.log(`↩️ Transfer ${transfer} ${eventType}`);
+
+  const deposit = await findPendingDeposit(db, paymentData);
+  const recorded = !deposit && paymentData.transactionId && await findRecordedTransaction(db, paymentData.transactionId);
+  const payment = recorded && recorded.payment;
+
+  if (!deposit && (!payment || payment.reversed_at)) {
+    console.log(`ℹ️ No held transfer or payment for ${transfer} - nothing to undo`);
+    return { success: false, ignored: true, paymentData };
+  }
+
+  // Nothing is undone on a notice no bank parser recognised
+  if (!isParseTrusted(paymentData)) {
+    const orderId = deposit ? deposit.order_id : payment.order_id;
+    const order = orderId ? await db.get('SELECT * FROM orders WHERE id = ?', [orderId]) : null;
+    const what = deposit ? 'waiting for deposit' : 'paid';
+    console.log(`⚠️ Transfer ${transfer} ${eventType} (parser confidence ${paymentData.confidence}) - sent to review`);
+
+    await sendAdminAlert({
+      type: 'warning',
+      title: `e-Transfer ${label} - Review Needed`,
+      message: `A notice in an unrecognised format says the e-Transfer of $${money(deposit ? deposit.amount_cents : payment.amount_cents)} ${what}${order ? ` on order ${order.reference_number}` : ''} was ${eventType}. Nothing was changed.`,
+      details: {
+        pending_deposit_id: deposit ? deposit.id : undefined,
+        payment_id: payment ? payment.id : undefined,
+        paymentData
+      }
+    });
+    return { success: false, needsReview: true, order, paymentData };
+  }
+
+  if (deposit) {
+    const result = await db.transaction(tx => releaseHeldOrder(tx, deposit, paymentData, reason));
+
+    if (result.transition) {
+      await runTransitionEffects(result.transition);
+    }
 
-    // Alert admin
+    await sendAdminAlert({
+      type: 'warning',
+      title: `e-Transfer ${label}`,
+      message: result.order
+        ? `The e-Transfer of $${money(deposit.amount_cents)} waiting for deposit on order ${result.order.reference_number} was ${eventType}. The order is now ${result.order.status}.`
+        : `The e-Transfer of $${money(deposit.amount_cents)} waiting for deposit was ${eventType}.`,
+      details: { pending_deposit_id: deposit.id, paymentData }
+    });
+
+    return { success: true, order: result.order, paymentData };
+  }
+
+  let result;
+  try {
+    result = await db.transaction(tx => reversePayment(tx, payment.id, {
+      source: 'payment_checker',
+      reason,
+      eventType: 'payment_reversed',
+      eventData: { paymentData }
+    }));
+  } catch (error) {
+    if (!(error instanceof InvalidTransitionError)) throw error;
+
+    // Shipped, completed or refunded - someone has to sort out the money
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [payment.order_id]);
     await sendAdminAlert({
       type: 'error',
-      title: 'Unmatched Payment',
-      message: `Payment of $${paymentData.amount} could not be matched to any order.`,
-      details: paymentData
+      title: 'Reversed Payment Needs Attention',
+      message: `The e-Transfer of $${money(payment.amount_cents)} paid on order ${order.reference_number} was ${eventType}, but the order is ${order.status} and was not changed.`,
+      details: { payment_id: payment.id, paymentData }
     });
+    return { success: false, needsReview: true, order, paymentData };
+  }
 
-    return { success: false, unmatched: true, paymentData };
+  if (result.transition) {
+    await runTransitionEffects(result.transition);
   }
+
+  console.log(`↩️ Payment ${payment.id} on order ${result.order.reference_number} reversed - now ${result.order.status}`);
+
+  await sendAdminAlert({
+    type: 'error',
+    title: 'Payment Reversed',
+    message: `The e-Transfer of $${money(payment.amount_cents)} paid on order ${result.order.reference_number} was ${eventType}. The payment was reversed and the order is now ${result.order.status}.`,
+    details: { payment_id: payment.id, paymentData }
+  });
+
+  return { success: true, order: result.order, paymentData };
+}
+
+/**
+ * Close a cancelled pending deposit. Its order goes back to the status it
+ * was waiting in, unless another transfer for it is still held.
+ *
+ * @returns {Promise<Object>} { order, transition }
+ */
+async function releaseHeldOrder(tx, deposit, paymentData, reason) {
+  const status = paymentData.eventType === 'reversed' ? 'cancelled' : paymentData.eventType;
+  await resolvePendingDeposit(tx, deposit.id, status);
+
+  if (!deposit.order_id) return { order: null, transition: null };
+
+  const order = await tx.get('SELECT * FROM orders WHERE id = ?', [deposit.order_id]);
+  const eventData = { pending_deposit_id: deposit.id, paymentData };
+
+  if (order.status !== 'deposit_pending' || await hasOtherPendingDeposits(tx, order.id, deposit.id)) {
+    await tx.insert('payment_events', {
+      order_id: order.id,
+      event_type: 'transfer_cancelled',
+      event_data: { ...eventData, source: 'payment_checker', reason }
+    });
+    return { order, transition: null };
+  }
+
+  let target = 'pending';
+  if (Number(order.amount_received_cents || 0) > 0) target = 'partially_paid';
+  else if (deposit.previous_status === 'awaiting_payment') target = 'awaiting_payment';
+
+  const transition = await applyTransition(tx, order.id, target, {
+    source: 'payment_checker',
+    reason,
+    eventType: 'transfer_cancelled',
+    eventData
+  });
+  return { order: transition.order, transition };
+}
+
+function money(cents) {
+  return (cents / 100).toFixed(2);
 }
 
 // ===================================
-// CHECK INBOX
+// PROCESS INBOUND EMAIL
 // ===================================
 
-async function checkInbox() {
-  return new Promise((resolve, reject) => {
-    const imap = new Imap({
-      user: process.env.IMAP_USER,
-      password: process.env.IMAP_PASS,
-      host: process.env.IMAP_HOST,
-      port: parseInt(process.env.IMAP_PORT) || 993,
-      tls: true,
-      tlsOptions: { rejectUnauthorized: false }
+/**
+ * Parse a stored email with the current parsers, verify its sender, run
+ * the matcher and record the outcome on the email. Also used to reprocess
+ * an email.
+ *
+ * @param {Object} email - inbound_emails row
+ * @param {Object} [options]
+ * @param {string} [options.releasedBy] - an admin vouched for a quarantined
+ *   email; it is processed even though its sender can't be verified
+ * @returns {Object} { email, paymentData, outcome }
+ */
+async function processInboundEmail(email, options = {}) {
+  let paymentData = null;
+  let authResult = null;
+  let outcome = null;
+
+  try {
+    paymentData = parseInteracEmail(toParserInput(email));
+    paymentData.inboundEmailId = email.id;
+    paymentData.mailbox = email.mailbox;
+    paymentData.receivingAlias = await resolveReceivingAlias(email);
+    paymentData.receivedAt = email.sent_at || email.created_at;
+
+    console.log('📧 Email from:', email.from_address, '| parser:', paymentData.parser, '| isInterac:', paymentData.isInterac, '| event:', paymentData.eventType, '| amount:', paymentData.amount, '| ref:', paymentData.referenceCode, '| alias:', paymentData.receivingAlias);
+
+    if (!paymentData.isInterac || !identifiesTransfer(paymentData)) {
+      const updated = await recordProcessingResult(email.id, { status: 'ignored', parseResult: paymentData });
+      return { email: updated, paymentData, outcome };
+    }
+
+    // Anyone can email the inbox, so only notifications shown to come from
+    // the bank are applied
+    authResult = await verifyNotification(email);
+    if (options.releasedBy) {
+      authResult.released_by = options.releasedBy;
+      authResult.released_at = new Date().toISOString();
+    }
+
+    if (!authResult.verified && !options.releasedBy) {
+      const updated = await quarantineEmail(email, paymentData, authResult);
+      return { email: updated, paymentData, outcome: { success: false, quarantined: true } };
+    }
+
+    if (CANCELLATION_EVENTS[paymentData.eventType]) {
+      outcome = await processTransferCancellation(paymentData);
+    } else if (paymentData.eventType === 'deposit_pending') {
+      outcome = await processPendingDeposit(paymentData);
+    } else {
+      outcome = await processPayment(paymentData);
+    }
+  } catch (error) {
+    console.error(`Inbound email ${email.id} processing error:`, error.message);
+    const updated = await recordProcessingResult(email.id, {
+      status: 'failed',
+      parseResult: paymentData,
+      authResult,
+      error: error.message
     });
+    return { email: updated, paymentData, outcome };
+  }
 
-    imap.once('ready', () => {
-      imap.openBox('INBOX', false, (err, box) => {
-        if (err) {
-          imap.end();
-          return reject(err);
-        }
+  let status = 'unmatched';
+  if (outcome.success) status = 'processed';
+  else if (outcome.needsReview) status = 'needs_review';
+  else if (outcome.duplicate) status = 'duplicate';
+  else if (outcome.ignored) status = 'ignored';
 
-        imap.search(['UNSEEN'], async (err, results) => {
-          if (err) {
-            imap.end();
-            return reject(err);
-          }
+  const matchedOrder = outcome.order || (outcome.matchResult && outcome.matchResult.order);
 
-          if (!results || results.length === 0) {
-            console.log('📭 No new emails');
-            imap.end();
-            return resolve([]);
-          }
+  const updated = await recordProcessingResult(email.id, {
+    status,
+    parseResult: paymentData,
+    authResult,
+    orderId: matchedOrder ? matchedOrder.id : null
+  });
 
-          console.log(`📬 Found ${results.length} unread email(s)`);
-
-          const payments = [];
-          let processed = 0;
-
-          const fetch = imap.fetch(results, { bodies: '', markSeen: true });
-
-          fetch.on('message', (msg) => {
-            msg.on('body', (stream) => {
-              simpleParser(stream).then(async (parsed) => {
-                try {
-                  const bodyText = parsed.text || parsed.html || '';
-                  const paymentData = parseInteracEmail(bodyText);
-                  
-                  console.log('📧 Email from:', parsed.from?.text, '| isInterac:', paymentData.isInterac, '| amount:', paymentData.amount, '| ref:', paymentData.referenceCode);
-
-                  if (paymentData.isInterac && paymentData.amountCents) {
-                    console.log('💰 Processing payment:', { amount: paymentData.amount, sender: paymentData.senderName, reference: paymentData.referenceCode });
-                    await processPayment(paymentData);
-                    payments.push(paymentData);
-                  }
-                } catch (parseError) {
-                  console.error('Email parse error:', parseError.message);
-                }
-                
-                processed++;
-                if (processed === results.length) {
-                  imap.end();
-                  resolve(payments);
-                }
-              }).catch(err => {
-                console.error('simpleParser error:', err.message);
-                processed++;
-                if (processed === results.length) {
-                  imap.end();
-                  resolve(payments);
-                }
-              });
-            });
-          });
-
-          fetch.once('error', (err) => {
-            console.error('Fetch error:', err);
-            imap.end();
-            reject(err);
-          });
-        });
-      });
-    });
+  return { email: updated, paymentData, outcome };
+}
+
+/**
+ * Whether a notification says enough to act on: an amount for money
+ * received or waiting, and a transaction ID or an amount for a
+ * cancellation
+ */
+function identifiesTransfer(paymentData) {
+  if (CANCELLATION_EVENTS[paymentData.eventType]) {
+    return !!(paymentData.transactionId || paymentData.amountCents);
+  }
+  return !!paymentData.amountCents;
+}
+
+async function quarantineEmail(email, paymentData, authResult) {
+  console.log(`🚫 Inbound email ${email.id} from ${email.from_address} quarantined: ${authResult.reasons.join('; ')}`);
+
+  const updated = await recordProcessingResult(email.id, {
+    status: 'quarantined',
+    parseResult: paymentData,
+    authResult
+  });
+
+  await sendAdminAlert({
+    type: 'error',
+    title: 'Payment Notification Quarantined',
+    message: `A payment notification for $${paymentData.amount} from ${email.from_address} could not be verified and was not applied: ${authResult.reasons.join('; ')}.`,
+    details: {
+      inbound_email_id: email.id,
+      from: email.from_address,
+      subject: email.subject,
+      reference: paymentData.referenceCode,
+      authentication: authResult
+    }
+  });
+
+  return updated;
+}
 
-    imap.once('error', (err) => {
-      console.error('IMAP error:', err);
-      reject(err);
+// ===================================
+// CHECK INBOX
+// ===================================
+
+function searchUnseen(imap) {
+  return new Promise((resolve, reject) => {
+    imap.search(['UNSEEN'], (err, uids) => (err ? reject(err) : resolve(uids || [])));
+  });
+}
+
+function markSeen(imap, uid) {
+  return new Promise((resolve, reject) => {
+    imap.addFlags(uid, ['\\Seen'], err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Full source of each message, without marking anything seen
+ * @returns {Promise<Array<{ uid: number, raw: Buffer }>>}
+ */
+function fetchMessages(imap, uids) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const fetch = imap.fetch(uids, { bodies: '', markSeen: false });
+
+    fetch.on('message', (msg) => {
+      const chunks = [];
+      let uid = null;
+
+      msg.on('body', stream => stream.on('data', chunk => chunks.push(chunk)));
+      msg.once('attributes', (attrs) => { uid = attrs.uid; });
+      msg.once('end', () => messages.push({ uid, raw: Buffer.concat(chunks) }));
     });
 
-    imap.connect();
+    fetch.once('error', reject);
+    fetch.once('end', () => resolve(messages));
   });
 }
 
+/**
+ * Check an open mailbox: store new messages, mark them seen once stored,
+ * then process them one at a time. A message that can't be stored stays
+ * unseen and is fetched again next check. Emails stored by a check that
+ * never got to process them are picked up first.
+ *
+ * @param {Object} imap - connection with the mailbox open
+ * @param {string} mailbox - name recorded on stored emails
+ * @returns {Object[]} payment data for the payment emails processed
+ */
+async function checkMailbox(imap, mailbox) {
+  const payments = [];
+  const handle = async (email) => {
+    const { paymentData, outcome } = await processInboundEmail(email);
+    if (outcome) payments.push(paymentData);
+  };
+
+  for (const email of await listUnprocessedEmails(mailbox)) {
+    await handle(email);
+  }
+
+  const uids = await searchUnseen(imap);
+
+  if (uids.length === 0) {
+    return payments;
+  }
+
+  console.log(`📬 Found ${uids.length} unread email(s)`);
+
+  const stored = [];
+  for (const { uid, raw } of await fetchMessages(imap, uids)) {
+    try {
+      const { email, duplicate } = await storeInboundEmail(raw, { mailbox, uid });
+      await markSeen(imap, uid);
+
+      if (duplicate) {
+        console.log(`📧 Already stored: ${email.message_id}`);
+      } else {
+        stored.push(email);
+      }
+    } catch (error) {
+      console.error(`Could not store message ${uid}:`, error.message);
+    }
+  }
+
+  for (const email of stored) {
+    await handle(email);
+  }
+
+  return payments;
+}
+
+/**
+ * Check every mailbox now, on the payment checker's connections
+ * @returns {Object[]} payment data for the payment emails processed
+ */
+async function checkInbox() {
+  if (!checkerRunning) {
+    throw new Error('Payment checker is not running');
+  }
+
+  const results = await Promise.allSettled(
+    [...imapManagers.values()].map(manager => manager.checkNow('manual'))
+  );
+  return results.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+}
+
 // ===================================
 // START/STOP SERVICE
 // ===================================
 
-function startPaymentChecker(intervalMinutes = 2) {
+/**
+ * Connect to every configured mailbox and watch them all
+ * @param {number} [intervalMinutes] - poll interval for servers without IDLE
+ */
+async function startPaymentChecker(intervalMinutes = 2) {
   if (process.env.IMAP_ENABLED !== 'true') {
     console.log('⚠️ Payment checker disabled');
     return;
   }
 
-  if (!process.env.IMAP_HOST || !process.env.IMAP_USER || !process.env.IMAP_PASS) {
-    console.error('❌ IMAP not configured. Set IMAP_HOST, IMAP_USER, and IMAP_PASS');
+  if (checkerRunning) return;
+  checkerRunning = true;
+  pollIntervalMs = intervalMinutes * 60 * 1000;
+
+  await syncMailboxes();
+
+  if (imapManagers.size === 0) {
+    console.error('❌ No mailboxes configured. Set IMAP_HOST, IMAP_USER, and IMAP_PASS or add one with POST /api/admin/mailboxes');
     return;
   }
 
-  console.log(`📧 Starting payment checker (every ${intervalMinutes} minutes)`);
-
-  // Initial check
-  checkInbox().catch(err => console.error('Initial check error:', err));
+  console.log(`📧 Payment checker watching ${imapManagers.size} mailbox(es)`);
+}
 
-  // Set interval
-  checkInterval = setInterval(() => {
-    checkInbox().catch(err => console.error('Payment check error:', err));
-  }, intervalMinutes * 60 * 1000);
+/**
+ * Pick up mailbox changes made through the admin API
+ */
+async function reloadMailboxes() {
+  if (checkerRunning) {
+    await syncMailboxes();
+  }
 }
 
 function stopPaymentChecker() {
-  if (checkInterval) {
-    clearInterval(checkInterval);
-    checkInterval = null;
-    console.log('📧 Payment checker stopped');
+  if (!checkerRunning) return;
+
+  for (const manager of imapManagers.values()) {
+    manager.stop();
+  }
+  imapManagers.clear();
+  mailboxErrors.clear();
+  checkerRunning = false;
+  console.log('📧 Payment checker stopped');
+}
+
+/**
+ * Per-mailbox connection state for health checks
+ * @returns {Object[]|null} null when the checker isn't running
+ */
+function getPaymentCheckerStatus() {
+  if (!checkerRunning) return null;
+
+  const statuses = [...imapManagers.values()].map(manager => manager.getStatus());
+  for (const [name, error] of mailboxErrors) {
+    statuses.push({ name, state: 'error', last_error: { message: error } });
   }
+  return statuses;
 }
 
 // ===================================
@@ -452,6 +926,15 @@ module.exports = {
   startPaymentChecker,
   stopPaymentChecker,
   checkInbox,
+  getPaymentCheckerStatus,
+  reloadMailboxes,
   parseInteracEmail,
-  processPayment
+  processPayment,
+  processPendingDeposit,
+  processTransferCancellation,
+  decidePayment,
+  identifiesTransfer,
+  isParseTrusted,
+  processInboundEmail,
+  CANCELLATION_EVENTS
 };
@@ -0,0 +1,523 @@
+/**
+ * Payment Matcher
+ * Scores every open order a payment could be for on weighted signals -
+ * reference, amount, sender, timing, alias, the customer's "I've sent
+ * the payment" click and a transfer held for deposit - and keeps the
+ * per-signal breakdown so reviewers can see why an order was chosen.
+ * Weights and thresholds come from MATCH_* settings.
+ */
+
+const db = require('../config/database');
+const { remainingCents, normalizeTransactionId } = require('./payments');
+const { referenceCandidates } = require('./reference-codes');
+
+// Points each signal adds at full strength. With the signals the old
+// priority rules used, the defaults keep their outcomes: a reference
+// (even one typo off) or a unique amount is applied, and so is an amount
+// from the customer's email or on an order from the last 30 minutes. An
+// amount alone goes to review (50, 55 on the receiving alias).
+const DEFAULT_WEIGHTS = {
+  reference: 80,
+  amount_exact: 50,
+  amount_tolerant: 20,
+  unique_amount: 40,
+  sender_email: 30,
+  sender_name: 20,
+  recency: 25,
+  alias: 5,
+  payment_sent: 15,
+  pending_deposit: 70
+};
+
+const DEFAULT_AUTO_CONFIRM_THRESHOLD = 70;
+const DEFAULT_REVIEW_THRESHOLD = 50;
+const DEFAULT_RECENT_MINUTES = 30;
+const DEFAULT_AMOUNT_TOLERANCE_PERCENT = 1;
+const DEFAULT_AMBIGUITY_MARGIN = 10;
+
+// A reference one typing error away from the one in the message
+const CORRECTED_REFERENCE_VALUE = 0.9;
+
+// Past the recent window, recency falls off as window / age (half
+// strength at twice the window) and stops counting below this
+const MIN_RECENCY_VALUE = 0.05;
+
+// Allow for clock differences between the bank and this server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Below this a sender name is treated as not matching at all
+const MIN_NAME_SIMILARITY = 0.5;
+
+const MAX_CANDIDATES = 50;
+
+// Orders that can still receive money. Amounts are matched against what is
+// left to pay, so the second transfer of a split payment matches too.
+const OPEN_STATUSES = {
+  pending: 'pending',
+  awaiting: 'awaiting_payment',
+  deposit: 'deposit_pending',
+  partial: 'partially_paid'
+};
+const OPEN_STATUS_SQL = 'status IN (:pending, :awaiting, :deposit, :partial)';
+const REMAINING_SQL = '(amount_cents - amount_received_cents)';
+
+// ===================================
+// SETTINGS
+// ===================================
+
+function numberSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Signal weights. Each can be overridden with MATCH_WEIGHT_<NAME>, e.g.
+ * MATCH_WEIGHT_SENDER_NAME=30.
+ */
+function getMatchWeights() {
+  const weights = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_WEIGHTS)) {
+    weights[name] = numberSetting(`MATCH_WEIGHT_${name.toUpperCase()}`, fallback);
+  }
+  return weights;
+}
+
+/**
+ * Scores at or above autoConfirm are applied automatically; at or above
+ * review they are flagged for an admin. MATCH_AUTO_CONFIRM_THRESHOLD and
+ * MATCH_REVIEW_THRESHOLD override the defaults (70 and 50).
+ */
+function getMatchThresholds() {
+  const autoConfirm = numberSetting('MATCH_AUTO_CONFIRM_THRESHOLD', DEFAULT_AUTO_CONFIRM_THRESHOLD);
+  const review = Math.min(numberSetting('MATCH_REVIEW_THRESHOLD', DEFAULT_REVIEW_THRESHOLD), autoConfirm);
+  return { autoConfirm, review };
+}
+
+function getMatchSettings() {
+  return {
+    weights: getMatchWeights(),
+    thresholds: getMatchThresholds(),
+    recentMs: numberSetting('MATCH_RECENT_MINUTES', DEFAULT_RECENT_MINUTES) * 60 * 1000,
+    tolerance: numberSetting('MATCH_AMOUNT_TOLERANCE_PERCENT', DEFAULT_AMOUNT_TOLERANCE_PERCENT) / 100,
+    ambiguityMargin: numberSetting('MATCH_AMBIGUITY_MARGIN', DEFAULT_AMBIGUITY_MARGIN),
+    aliasMode: process.env.ALIAS_MATCH_MODE === 'prefer' ? 'prefer' : 'require'
+  };
+}
+
+// ===================================
+// SIGNAL HELPERS
+// ===================================
+
+/**
+ * Milliseconds for a stored timestamp. SQLite returns UTC text without a
+ * zone ("2024-05-01 12:00:00"), PostgreSQL a Date.
+ */
+function toTime(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.getTime();
+  const text = String(value);
+  const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`;
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+}
+
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .split(/[^A-Z]+/)
+    .filter(Boolean);
+}
+
+/**
+ * How alike a bank's sender name and an order's customer name are, 0 to 1.
+ * Case, accents and word order are ignored, and an initial matches any
+ * word it starts ("J SAMPLE" and "Jane Sample" score 1).
+ */
+function nameSimilarity(a, b) {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.length === 0 || right.length === 0) return 0;
+
+  const unused = [...right];
+  let matched = 0;
+  for (const token of left) {
+    const index = unused.findIndex(other => other === token
+      || (token.length === 1 && other.startsWith(token))
+      || (other.length === 1 && token.startsWith(other)));
+    if (index !== -1) {
+      matched++;
+      unused.splice(index, 1);
+    }
+  }
+
+  return matched / Math.max(left.length, right.length);
+}
+
+function signal(name, detail, weight, value) {
+  return { signal: name, detail, weight, value, points: Math.round(weight * value * 10) / 10 };
+}
+
+// ===================================
+// SCORING
+// ===================================
+
+/**
+ * Score one candidate order. Pure - everything it needs is passed in.
+ *
+ * @param {Object} order - orders row
+ * @param {Object} payment - { amountCents, senderEmail, senderName }
+ * @param {Object} context
+ * @param {Object} context.settings - from getMatchSettings()
+ * @param {string} [context.referenceMatch] - 'exact' or 'corrected' when the
+ *   payment's reference names this order
+ * @param {boolean} [context.uniqueAmount] - the only candidate owed this amount
+ * @param {boolean} [context.paymentSent] - customer clicked "I've sent the payment"
+ * @param {boolean} [context.heldDeposit] - this transfer was announced as
+ *   waiting for deposit and held for this order
+ * @param {string} [context.alias] - alias the payment was sent to
+ * @param {number} context.paymentTime - ms
+ * @returns {{ score: number, total: number, signals: Object[] }} score is
+ *   capped at 100; total is not, so candidates that both reach 100 can
+ *   still be told apart
+ */
+function scoreCandidate(order, payment, context) {
+  const { weights, recentMs, tolerance } = context.settings;
+  const signals = [];
+  const remaining = remainingCents(order);
+
+  // Like the old priority rules, a candidate needs a reference, a held
+  // deposit or the exact amount. The other signals only back these up;
+  // without one the score stays below the review threshold.
+  const anchored = !!context.referenceMatch || !!context.heldDeposit
+    || (!!payment.amountCents && remaining === payment.amountCents);
+
+  if (context.referenceMatch === 'exact') {
+    signals.push(signal('reference', 'exact', weights.reference, 1));
+  } else if (context.referenceMatch === 'corrected') {
+    signals.push(signal('reference', 'one typing error', weights.reference, CORRECTED_REFERENCE_VALUE));
+  }
+
+  if (context.heldDeposit) {
+    signals.push(signal('pending_deposit', 'this transfer was held for deposit on this order', weights.pending_deposit, 1));
+  }
+
+  if (payment.amountCents && remaining === payment.amountCents) {
+    signals.push(signal('amount', 'exact', weights.amount_exact, 1));
+    if (context.uniqueAmount) {
+      signals.push(signal('unique_amount', 'assigned to this order only', weights.unique_amount, 1));
+    }
+  } else if (payment.amountCents && Math.abs(remaining - payment.amountCents) <= remaining * tolerance) {
+    signals.push(signal('amount', `within ${Math.round(tolerance * 1000) / 10}%`, weights.amount_tolerant, 1));
+  }
+
+  if (payment.senderEmail && order.customer_email
+      && payment.senderEmail.toLowerCase() === order.customer_email.toLowerCase()) {
+    signals.push(signal('sender_email', 'customer email', weights.sender_email, 1));
+  }
+
+  if (payment.senderName && order.customer_name) {
+    const similarity = nameSimilarity(payment.senderName, order.customer_name);
+    if (similarity >= MIN_NAME_SIMILARITY) {
+      signals.push(signal('sender_name', `${Math.round(similarity * 100)}% similar`, weights.sender_name, similarity));
+    }
+  }
+
+  const createdAt = toTime(order.created_at);
+  if (createdAt !== null) {
+    const age = context.paymentTime - createdAt;
+    const minutes = Math.round(age / 60000);
+    if (age < -CLOCK_SKEW_MS) {
+      // Created after the money was sent - can't be the order it was for
+    } else if (age <= recentMs) {
+      signals.push(signal('recency', `created ${Math.max(minutes, 0)} min before payment`, weights.recency, 1));
+    } else if (recentMs / age >= MIN_RECENCY_VALUE) {
+      const value = Math.round((recentMs / age) * 100) / 100;
+      signals.push(signal('recency', `created ${minutes} min before payment`, weights.recency, value));
+    }
+  }
+
+  if (context.alias && order.payment_email) {
+    const sameAlias = order.payment_email.toLowerCase() === context.alias;
+    signals.push(sameAlias
+      ? signal('alias', 'sent to the assigned alias', weights.alias, 1)
+      : signal('alias', `sent to ${context.alias}, assigned ${order.payment_email}`, weights.alias, -1));
+  }
+
+  if (context.paymentSent) {
+    signals.push(signal('payment_sent', 'customer clicked "I\'ve sent the payment"', weights.payment_sent, 1));
+  }
+
+  let total = Math.max(0, Math.round(signals.reduce((sum, s) => sum + s.points, 0)));
+  if (!anchored) {
+    total = Math.min(total, context.settings.thresholds.review - 1);
+  }
+  return { score: Math.min(100, total), total, signals };
+}
+
+/**
+ * The old waterfall's name for the strongest signals, kept for alerts,
+ * unmatched reasons and reports
+ */
+function describeMatch(signals) {
+  const has = name => signals.some(s => s.signal === name && s.value > 0);
+  const reference = signals.find(s => s.signal === 'reference');
+
+  if (reference) {
+    const corrected = reference.detail !== 'exact';
+    if (has('amount')) return corrected ? 'reference_corrected_and_amount' : 'reference_and_amount';
+    return corrected ? 'reference_corrected' : 'reference_only';
+  }
+  if (has('pending_deposit')) return 'pending_deposit';
+  if (has('unique_amount')) return 'unique_amount';
+  if (has('sender_email') && has('amount')) return 'email_and_amount';
+  if (has('amount')) {
+    const recency = signals.find(s => s.signal === 'recency');
+    return recency && recency.value === 1 ? 'amount_and_time' : 'amount_only';
+  }
+  return 'weak_signals';
+}
+
+// ===================================
+// CANDIDATES
+// ===================================
+
+/**
+ * Open orders the payment could be for: named by its reference (or a
+ * one-typo correction when none matches exactly), ordered by the sender,
+ * or owed about this amount. In require mode amount-only candidates are
+ * limited to the receiving alias.
+ *
+ * @returns {Promise<Map<number, { order: Object, referenceMatch: string|null }>>}
+ */
+async function findCandidates(paymentData, alias, settings) {
+  const { amountCents, senderEmail, referenceCode } = paymentData;
+  const candidates = new Map();
+  const add = (orders, referenceMatch = null, heldDeposit = false) => {
+    for (const order of orders) {
+      const existing = candidates.get(order.id);
+      if (!existing) {
+        candidates.set(order.id, { order, referenceMatch, heldDeposit });
+        continue;
+      }
+      if (referenceMatch && !existing.referenceMatch) existing.referenceMatch = referenceMatch;
+      if (heldDeposit) existing.heldDeposit = true;
+    }
+  };
+
+  const transactionId = normalizeTransactionId(paymentData.transactionId);
+  if (transactionId) {
+    add(await db.query(
+      `SELECT o.* FROM orders o
+       JOIN pending_deposits d ON d.order_id = o.id
+       WHERE d.transaction_id = :transaction AND d.status = 'pending'
+         AND o.${OPEN_STATUS_SQL}`,
+      { transaction: transactionId, ...OPEN_STATUSES }
+    ), null, true);
+  }
+
+  if (referenceCode) {
+    const exact = await db.query(
+      `SELECT * FROM orders WHERE reference_number = :reference AND ${OPEN_STATUS_SQL}`,
+      { reference: referenceCode, ...OPEN_STATUSES }
+    );
+    add(exact, 'exact');
+
+    if (exact.length === 0) {
+      const corrections = referenceCandidates(referenceCode).filter(c => c !== referenceCode);
+      if (corrections.length > 0) {
+        const names = {};
+        corrections.forEach((c, i) => { names[`ref${i}`] = c; });
+        add(await db.query(
+          `SELECT * FROM orders
+           WHERE reference_number IN (${Object.keys(names).map(n => `:${n}`).join(', ')})
+             AND ${OPEN_STATUS_SQL}
+           LIMIT ${MAX_CANDIDATES}`,
+          { ...names, ...OPEN_STATUSES }
+        ), 'corrected');
+      }
+    }
+  }
+
+  if (senderEmail) {
+    add(await db.query(
+      `SELECT * FROM orders
+       WHERE LOWER(customer_email) = :email
+         AND ${OPEN_STATUS_SQL}
+       ORDER BY created_at DESC
+       LIMIT ${MAX_CANDIDATES}`,
+      { email: senderEmail.toLowerCase(), ...OPEN_STATUSES }
+    ));
+  }
+
+  if (amountCents) {
+    const aliasFilter = alias && settings.aliasMode === 'require' ? 'AND LOWER(payment_email) = :alias' : '';
+    add(await db.query(
+      `SELECT * FROM orders
+       WHERE ${REMAINING_SQL} BETWEEN :low AND :high
+         AND ${OPEN_STATUS_SQL}
+         ${aliasFilter}
+       ORDER BY created_at DESC
+       LIMIT ${MAX_CANDIDATES}`,
+      {
+        low: Math.floor(amountCents / (1 + settings.tolerance)),
+        high: Math.ceil(amountCents / (1 - settings.tolerance)),
+        alias,
+        ...OPEN_STATUSES
+      }
+    ));
+  }
+
+  return candidates;
+}
+
+/**
+ * Candidates whose customer clicked "I've sent the payment"
+ */
+async function findPaymentSentOrders(orderIds) {
+  if (orderIds.length === 0) return new Set();
+
+  const names = {};
+  orderIds.forEach((id, i) => { names[`id${i}`] = id; });
+  const rows = await db.query(
+    `SELECT DISTINCT order_id FROM payment_events
+     WHERE event_type = 'payment_sent_by_customer'
+       AND order_id IN (${Object.keys(names).map(n => `:${n}`).join(', ')})`,
+    names
+  );
+  return new Set(rows.map(row => Number(row.order_id)));
+}
+
+// ===================================
+// MATCH
+// ===================================
+
+/**
+ * Every candidate order for a payment with its score, best first
+ *
+ * @param {Object} paymentData - see matchPaymentToOrder
+ * @returns {Promise<Object>} { settings, alias, scored: [{ order, score, total, signals }] }
+ */
+async function rankCandidates(paymentData) {
+  const settings = getMatchSettings();
+  const alias = paymentData.receivingAlias ? paymentData.receivingAlias.toLowerCase() : null;
+  const paymentTime = toTime(paymentData.receivedAt) || Date.now();
+
+  const candidates = await findCandidates(paymentData, alias, settings);
+  const paymentSent = await findPaymentSentOrders([...candidates.keys()]);
+
+  // Amounts assigned at order creation that only one candidate still owes
+  const exactAmount = [...candidates.values()].filter(c => remainingCents(c.order) === paymentData.amountCents);
+  const uniqueOrderId = exactAmount.length === 1 && exactAmount[0].order.unique_amount
+    && Number(exactAmount[0].order.amount_received_cents || 0) === 0
+    ? exactAmount[0].order.id
+    : null;
+
+  const scored = [...candidates.values()].map(({ order, referenceMatch, heldDeposit }) => ({
+    order,
+    ...scoreCandidate(order, paymentData, {
+      settings,
+      referenceMatch,
+      heldDeposit,
+      uniqueAmount: order.id === uniqueOrderId,
+      paymentSent: paymentSent.has(Number(order.id)) || order.status === OPEN_STATUSES.awaiting,
+      alias,
+      paymentTime
+    })
+  })).sort((a, b) => b.total - a.total);
+
+  return { settings, alias, scored };
+}
+
+/**
+ * Find the order a payment is for.
+ *
+ * @param {Object} paymentData - parsed notification
+ * @param {string} [paymentData.receivingAlias] - alias the money was sent to
+ * @param {string|Date} [paymentData.receivedAt] - when the bank sent the
+ *   notification (default now)
+ * @returns {Promise<Object>} { order, confidence, matchType, breakdown }.
+ *   breakdown lists every signal that scored, with the runner-up order.
+ */
+async function matchPaymentToOrder(paymentData) {
+  const { settings, alias, scored } = await rankCandidates(paymentData);
+
+  const breakdown = {
+    candidates: scored.length,
+    thresholds: settings.thresholds,
+    score: 0,
+    signals: [],
+    runner_up: null
+  };
+
+  const best = scored[0];
+  if (!best || best.score === 0) {
+    return { order: null, confidence: 0, matchType: 'no_match', breakdown };
+  }
+
+  const runnerUp = scored[1];
+  breakdown.score = best.score;
+  breakdown.total = best.total;
+  breakdown.signals = best.signals;
+  if (runnerUp) {
+    breakdown.runner_up = {
+      order_id: runnerUp.order.id,
+      reference_number: runnerUp.order.reference_number,
+      score: runnerUp.score,
+      total: runnerUp.total,
+      signals: runnerUp.signals
+    };
+  }
+
+  const result = {
+    order: best.order,
+    confidence: best.score,
+    matchType: describeMatch(best.signals),
+    breakdown
+  };
+
+  // Never applied automatically: another order scores about as well, or
+  // the money went to an alias other than the one the order was given.
+  // Orders are compared on uncapped totals: a reference on top of the
+  // amount and sender still beats the same amount and sender alone.
+  const belowAuto = Math.min(best.score, settings.thresholds.autoConfirm - 1);
+
+  if (alias && best.order.payment_email && best.order.payment_email.toLowerCase() !== alias) {
+    return {
+      ...result,
+      confidence: belowAuto,
+      matchType: 'alias_mismatch',
+      originalMatchType: result.matchType,
+      receivingAlias: alias,
+      assignedAlias: best.order.payment_email
+    };
+  }
+
+  if (runnerUp && best.total - runnerUp.total < settings.ambiguityMargin) {
+    return {
+      ...result,
+      confidence: belowAuto,
+      matchType: 'multiple_matches',
+      originalMatchType: result.matchType,
+      count: scored.filter(c => best.total - c.total < settings.ambiguityMargin).length
+    };
+  }
+
+  return result;
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  matchPaymentToOrder,
+  rankCandidates,
+  scoreCandidate,
+  describeMatch,
+  nameSimilarity,
+  getMatchSettings,
+  getMatchThresholds,
+  DEFAULT_WEIGHTS
+};
@@ -0,0 +1,322 @@
+/**
+ * Payments Service
+ * Records each received transfer against an order and moves the order to
+ * partially_paid, paid or overpaid based on the running total. A transfer
+ * is recorded once: a second payment with the same Interac transaction ID
+ * is refused as a duplicate. A transfer the bank later reverses is undone
+ * with reversePayment.
+ */
+
+const db = require('../config/database');
+const { applyTransition, OrderNotFoundError } = require('./order-lifecycle');
+
+// ===================================
+// ERRORS
+// ===================================
+
+class DuplicatePaymentError extends Error {
+  constructor(transactionId) {
+    super(`Transaction ${transactionId} has already been recorded`);
+    this.name = 'DuplicatePaymentError';
+    this.status = 409;
+    this.transactionId = transactionId;
+  }
+}
+
+// ===================================
+// HELPERS
+// ===================================
+
+/**
+ * Status an order should be in for a given amount received
+ */
+function statusForAmounts(receivedCents, dueCents) {
+  if (receivedCents < dueCents) return 'partially_paid';
+  if (receivedCents === dueCents) return 'paid';
+  return 'overpaid';
+}
+
+/**
+ * Amount still owed on an order (never negative)
+ */
+function remainingCents(order) {
+  return Math.max(order.amount_cents - (order.amount_received_cents || 0), 0);
+}
+
+/**
+ * Banks print the same Interac transaction ID in different cases, so IDs
+ * are compared and stored uppercase without spaces
+ * @returns {string|null}
+ */
+function normalizeTransactionId(transactionId) {
+  if (transactionId === undefined || transactionId === null) return null;
+  const normalized = String(transactionId).replace(/\s+/g, '').toUpperCase();
+  return normalized || null;
+}
+
+// ===================================
+// DUPLICATES
+// ===================================
+
+/**
+ * Where a transaction ID has already been recorded
+ *
+ * @param {Object} runner - db or a transaction handle
+ * @param {string} transactionId
+ * @returns {Promise<Object|null>} { payment } or { unmatched }, or null if new
+ */
+async function findRecordedTransaction(runner, transactionId) {
+  const id = normalizeTransactionId(transactionId);
+  if (!id) return null;
+
+  const payment = await runner.get('SELECT * FROM payments WHERE transaction_id = ?', [id]);
+  if (payment) return { payment };
+
+  const unmatched = await runner.get('SELECT * FROM unmatched_payments WHERE transaction_id = ?', [id]);
+  if (unmatched) return { unmatched };
+
+  return null;
+}
+
+/**
+ * Whether a recorded transaction was already applied. A transfer only
+ * logged as unmatched, and not yet resolved, was not: reprocessing its
+ * notification may match it now.
+ *
+ * @param {Object|null} recorded - from findRecordedTransaction()
+ * @returns {boolean}
+ */
+function wasApplied(recorded) {
+  if (!recorded) return false;
+  return !recorded.unmatched || !!recorded.unmatched.resolved;
+}
+
+/**
+ * Record a refused duplicate as a duplicate_notification event, on the
+ * order the original payment went to when there is one. Call it outside
+ * the transaction that was refused.
+ *
+ * @param {string} transactionId
+ * @param {Object} attempt - what tried to record it again
+ * @param {string} attempt.source - imap, webhook, manual
+ * @returns {Promise<Object>} { payment } or { unmatched } holding the ID (may be empty)
+ */
+async function logDuplicateNotification(transactionId, attempt) {
+  const existing = await findRecordedTransaction(db, transactionId) || {};
+  const payment = existing.payment || null;
+  const unmatched = existing.unmatched || null;
+
+  console.log(`🔁 Duplicate notification for transaction ${normalizeTransactionId(transactionId)} from ${attempt.source} - not applied`);
+
+  await db.insert('payment_events', {
+    order_id: payment ? payment.order_id : null,
+    event_type: 'duplicate_notification',
+    event_data: {
+      transaction_id: normalizeTransactionId(transactionId),
+      original_payment_id: payment ? payment.id : null,
+      original_unmatched_payment_id: unmatched ? unmatched.id : null,
+      ...attempt
+    }
+  });
+
+  return existing;
+}
+
+// ===================================
+// RECORD PAYMENT
+// ===================================
+
+/**
+ * Record a received transfer inside an open transaction.
+ * Inserts the payment, updates the order's running total and applies the
+ * resulting status change. Pass result.transition (when set) to
+ * runTransitionEffects() after the transaction commits.
+ *
+ * @param {Object} tx - transaction handle from db.transaction()
+ * @param {number} orderId
+ * @param {Object} payment
+ * @param {number} payment.amount_cents
+ * @param {string} payment.source - imap, webhook, manual
+ * @param {string} [payment.transaction_id] - refused with DuplicatePaymentError
+ *   if a payment already has it
+ * @param {Object} [options] - passed to applyTransition (source, reason, eventType, eventData, paidAt)
+ * @returns {Object} { paymentId, order, transition }
+ */
+async function recordPayment(tx, orderId, payment, options = {}) {
+  if (!Number.isInteger(payment.amount_cents) || payment.amount_cents <= 0) {
+    throw new Error('Payment amount must be a positive number of cents');
+  }
+
+  const order = await tx.get(
+    `SELECT * FROM orders WHERE id = ?${tx.isProduction ? ' FOR UPDATE' : ''}`,
+    [orderId]
+  );
+
+  if (!order) {
+    throw new OrderNotFoundError(orderId);
+  }
+
+  const transactionId = normalizeTransactionId(payment.transaction_id);
+  if (transactionId) {
+    const existing = await tx.get('SELECT * FROM payments WHERE transaction_id = ?', [transactionId]);
+    if (existing) {
+      throw new DuplicatePaymentError(transactionId);
+    }
+  }
+
+  const paymentId = await insertPayment(tx, {
+    order_id: order.id,
+    amount_cents: payment.amount_cents,
+    currency: payment.currency || order.currency || 'CAD',
+    source: payment.source,
+    sender_email: payment.sender_email || null,
+    sender_name: payment.sender_name || null,
+    reference_code: payment.reference_code || null,
+    transaction_id: transactionId,
+    unmatched_payment_id: payment.unmatched_payment_id || null,
+    mailbox: payment.mailbox || null,
+    raw_data: payment.raw_data || null,
+    received_at: payment.received_at || new Date()
+  });
+
+  const received = (order.amount_received_cents || 0) + payment.amount_cents;
+  await tx.run(
+    'UPDATE orders SET amount_received_cents = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [received, order.id]
+  );
+
+  // The transfer was held for a manual deposit (see services/pending-deposits.js)
+  if (transactionId) {
+    await tx.run(
+      `UPDATE pending_deposits
+       SET status = 'deposited', payment_id = ?, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE transaction_id = ? AND status = 'pending'`,
+      [paymentId, transactionId]
+    );
+  }
+
+  const eventData = {
+    ...(options.eventData || {}),
+    payment_id: paymentId,
+    amount_cents: payment.amount_cents,
+    amount_received_cents: received,
+    amount_due_cents: order.amount_cents
+  };
+
+  const target = statusForAmounts(received, order.amount_cents);
+  let transition = null;
+
+  if (target !== order.status) {
+    transition = await applyTransition(tx, order.id, target, { ...options, eventData });
+  } else {
+    // Another partial payment, or more money on an overpaid order
+    await tx.insert('payment_events', {
+      order_id: order.id,
+      event_type: options.eventType || 'payment_received',
+      event_data: { ...eventData, source: options.source || payment.source, reason: options.reason || null }
+    });
+  }
+
+  const updated = transition ? transition.order : await tx.get('SELECT * FROM orders WHERE id = ?', [order.id]);
+
+  return { paymentId, order: updated, transition };
+}
+
+// ===================================
+// REVERSE PAYMENT
+// ===================================
+
+/**
+ * Undo a payment whose transfer the bank reversed, inside an open
+ * transaction. The payment row stays, marked reversed_at. The order's
+ * running total drops and its status follows, back to pending when
+ * nothing is left. Orders already processing, completed or refunded
+ * can't move back and throw InvalidTransitionError.
+ *
+ * @param {Object} tx - transaction handle from db.transaction()
+ * @param {number} paymentId
+ * @param {Object} options - passed to applyTransition (source, reason, eventType, eventData)
+ * @param {string} options.reason - stored as the payment's reversal_reason
+ * @returns {Object} { payment, order, transition }
+ */
+async function reversePayment(tx, paymentId, options) {
+  const payment = await tx.get('SELECT * FROM payments WHERE id = ?', [paymentId]);
+  if (!payment) {
+    throw new Error(`Payment ${paymentId} not found`);
+  }
+  if (payment.reversed_at) {
+    throw new Error(`Payment ${paymentId} has already been reversed`);
+  }
+
+  const order = await tx.get(
+    `SELECT * FROM orders WHERE id = ?${tx.isProduction ? ' FOR UPDATE' : ''}`,
+    [payment.order_id]
+  );
+
+  await tx.run(
+    'UPDATE payments SET reversed_at = CURRENT_TIMESTAMP, reversal_reason = ? WHERE id = ?',
+    [options.reason, payment.id]
+  );
+
+  const received = Math.max((order.amount_received_cents || 0) - payment.amount_cents, 0);
+  await tx.run(
+    'UPDATE orders SET amount_received_cents = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [received, order.id]
+  );
+
+  const eventData = {
+    ...(options.eventData || {}),
+    payment_id: payment.id,
+    amount_cents: -payment.amount_cents,
+    amount_received_cents: received,
+    amount_due_cents: order.amount_cents
+  };
+
+  const target = received === 0 ? 'pending' : statusForAmounts(received, order.amount_cents);
+  let transition = null;
+
+  if (target !== order.status) {
+    transition = await applyTransition(tx, order.id, target, { ...options, eventData });
+  } else {
+    await tx.insert('payment_events', {
+      order_id: order.id,
+      event_type: options.eventType || 'payment_reversed',
+      event_data: { ...eventData, source: options.source || 'system', reason: options.reason }
+    });
+  }
+
+  const updated = transition ? transition.order : await tx.get('SELECT * FROM orders WHERE id = ?', [order.id]);
+
+  return { payment, order: updated, transition };
+}
+
+/**
+ * Insert a payment row. A transaction ID recorded by a concurrent request
+ * between the check and the insert fails the unique index.
+ */
+async function insertPayment(tx, values) {
+  try {
+    return await tx.insert('payments', values);
+  } catch (error) {
+    if (values.transaction_id && db.isUniqueViolation(error)) {
+      throw new DuplicatePaymentError(values.transaction_id);
+    }
+    throw error;
+  }
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  recordPayment,
+  reversePayment,
+  statusForAmounts,
+  remainingCents,
+  normalizeTransactionId,
+  findRecordedTransaction,
+  wasApplied,
+  logDuplicateNotification,
+  DuplicatePaymentError
+};
@@ -0,0 +1,108 @@
+/**
+ * Pending Deposits
+ * Transfers the bank holds until they are deposited by hand ("click to
+ * deposit"). The order a transfer is for waits in deposit_pending rather
+ * than looking unpaid. The deposit is resolved when its deposit notice is
+ * recorded as a payment (see recordPayment), or when the transfer is
+ * cancelled, expires or is declined.
+ */
+
+const db = require('../config/database');
+const { normalizeTransactionId } = require('./payments');
+
+// pending: waiting to be deposited
+// deposited: the transfer was recorded as a payment
+// cancelled / expired / declined: the money never arrived
+const DEPOSIT_STATUSES = ['pending', 'deposited', 'cancelled', 'expired', 'declined'];
+
+/**
+ * The pending deposit a notification is about: by transaction ID, or
+ * when the notice has none, by reference and amount
+ *
+ * @param {Object} runner - db or a transaction handle
+ * @param {Object} paymentData - parsed notification
+ * @returns {Promise<Object|null>}
+ */
+async function findPendingDeposit(runner, paymentData) {
+  const transactionId = normalizeTransactionId(paymentData.transactionId);
+  if (transactionId) {
+    return runner.get(
+      "SELECT * FROM pending_deposits WHERE transaction_id = ? AND status = 'pending'",
+      [transactionId]
+    );
+  }
+
+  if (paymentData.referenceCode && paymentData.amountCents) {
+    return runner.get(
+      `SELECT * FROM pending_deposits
+       WHERE reference_code = ? AND amount_cents = ? AND status = 'pending'
+       ORDER BY id DESC`,
+      [paymentData.referenceCode, paymentData.amountCents]
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Record a transfer waiting to be deposited
+ *
+ * @param {Object} runner - db or a transaction handle
+ * @param {Object} paymentData - parsed notification
+ * @param {Object} [order] - the order it holds, if matched
+ * @returns {Promise<number|null>} the new id, or null when the transfer
+ *   was already recorded (a repeated or reminder notice)
+ */
+async function recordPendingDeposit(runner, paymentData, order = null) {
+  try {
+    return await runner.insert('pending_deposits', {
+      order_id: order ? order.id : null,
+      transaction_id: normalizeTransactionId(paymentData.transactionId),
+      amount_cents: paymentData.amountCents,
+      sender_email: paymentData.senderEmail || null,
+      sender_name: paymentData.senderName || null,
+      reference_code: paymentData.referenceCode || null,
+      inbound_email_id: paymentData.inboundEmailId || null,
+      previous_status: order ? order.status : null
+    });
+  } catch (error) {
+    if (!paymentData.transactionId || !db.isUniqueViolation(error)) throw error;
+    return null;
+  }
+}
+
+/**
+ * Close a pending deposit
+ *
+ * @param {Object} runner - db or a transaction handle
+ * @param {number} id
+ * @param {string} status - one of DEPOSIT_STATUSES other than pending
+ * @param {number} [paymentId] - the payment it became
+ */
+async function resolvePendingDeposit(runner, id, status, paymentId = null) {
+  await runner.run(
+    `UPDATE pending_deposits
+     SET status = ?, payment_id = ?, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, paymentId, id]
+  );
+}
+
+/**
+ * Whether an order still has other transfers waiting to be deposited
+ */
+async function hasOtherPendingDeposits(runner, orderId, exceptId) {
+  const row = await runner.get(
+    "SELECT id FROM pending_deposits WHERE order_id = ? AND status = 'pending' AND id != ?",
+    [orderId, exceptId]
+  );
+  return !!row;
+}
+
+module.exports = {
+  DEPOSIT_STATUSES,
+  findPendingDeposit,
+  recordPendingDeposit,
+  resolvePendingDeposit,
+  hasOtherPendingDeposits
+};
@@ -0,0 +1,482 @@
+/**
+ * Reconciliation
+ * Matches the credits on an imported bank statement to recorded payments,
+ * so transfers the IMAP feed missed come to light. The report lists
+ * matched lines, lines with no payment record, and paid orders with no
+ * statement line. A line with no record can be promoted to
+ * unmatched_payments and then matched to its order like any other.
+ */
+
+const db = require('../config/database');
+const { PAID_STATUSES } = require('./order-lifecycle');
+const { normalizeTransactionId, findRecordedTransaction } = require('./payments');
+const { matchPaymentToOrder } = require('./payment-matcher');
+const { resolveMapping, readStatement } = require('./bank-statements');
+
+const DEFAULT_DATE_TOLERANCE_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// matched: a payment records this credit
+// unapplied: the transfer is in unmatched_payments, not yet on an order
+// unrecorded: no record of the money at all
+// promoted: an unrecorded line copied to unmatched_payments
+const LINE_STATUSES = ['matched', 'unapplied', 'unrecorded', 'promoted'];
+
+// ===================================
+// ERRORS
+// ===================================
+
+class ReconciliationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReconciliationError';
+    this.status = status;
+  }
+}
+
+// ===================================
+// HELPERS
+// ===================================
+
+/**
+ * Days a payment may be recorded before or after the statement posts it.
+ * RECONCILIATION_DATE_TOLERANCE_DAYS overrides the default (3).
+ */
+function getDateTolerance() {
+  const days = parseInt(process.env.RECONCILIATION_DATE_TOLERANCE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_DATE_TOLERANCE_DAYS;
+}
+
+function lockSuffix(tx) {
+  return tx.isProduction ? ' FOR UPDATE' : '';
+}
+
+/**
+ * A statement covers one bank's accounts, so only orders sent to that
+ * bank's aliases are compared. With no alias for the bank, all are.
+ *
+ * @returns {Promise<{ sql: string, params: Object }>} condition on o.payment_email
+ */
+async function aliasScope(bankSlug) {
+  const aliases = await db.query('SELECT alias_email FROM email_aliases WHERE bank_slug = ?', [bankSlug]);
+  if (aliases.length === 0) return { sql: '', params: {} };
+
+  const params = {};
+  const names = aliases.map((alias, i) => {
+    params[`alias${i}`] = alias.alias_email;
+    return `:alias${i}`;
+  });
+  return { sql: ` AND o.payment_email IN (${names.join(', ')})`, params };
+}
+
+function dayStart(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+}
+
+/**
+ * The candidate nearest the posting date
+ */
+function closest(rows, postedOn, column) {
+  const posted = dayStart(postedOn).getTime();
+  return rows.reduce((best, row) =>
+    Math.abs(toTime(row[column]) - posted) < Math.abs(toTime(best[column]) - posted) ? row : best);
+}
+
+// ===================================
+// MATCHING
+// ===================================
+
+/**
+ * Find the record of one statement credit. A transaction ID on the line
+ * decides; otherwise a payment of the same amount recorded within the
+ * tolerance, preferring one for the reference on the line, then the
+ * nearest. Records already claimed by another line are skipped.
+ *
+ * @param {Object} line - from readStatement()
+ * @param {Object} context - { scope, claimed: Set, tolerance }
+ * @returns {Promise<Object>} status and the ids to store on the line
+ */
+async function matchLine(line, context) {
+  const { scope, claimed, tolerance } = context;
+  const transactionId = normalizeTransactionId(line.transaction_id);
+
+  if (transactionId) {
+    const recorded = await findRecordedTransaction(db, transactionId);
+    const payment = recorded && recorded.payment;
+    if (payment && !payment.reversed_at && !claimed.has(`p${payment.id}`)) {
+      claimed.add(`p${payment.id}`);
+      return { status: 'matched', payment_id: payment.id, order_id: payment.order_id };
+    }
+    const unmatched = recorded && recorded.unmatched;
+    if (unmatched && !claimed.has(`u${unmatched.id}`)) {
+      claimed.add(`u${unmatched.id}`);
+      return { status: 'unapplied', unmatched_payment_id: unmatched.id };
+    }
+  }
+
+  const window = {
+    amount: line.amount_cents,
+    from: new Date(dayStart(line.posted_on).getTime() - tolerance * DAY_MS),
+    to: new Date(dayStart(line.posted_on).getTime() + (tolerance + 1) * DAY_MS)
+  };
+  // A record of another transfer can't be this line
+  const sameTransfer = row => !transactionId || !row.transaction_id || row.transaction_id === transactionId;
+
+  const payments = (await db.query(
+    `SELECT p.*, o.reference_number FROM payments p
+     JOIN orders o ON o.id = p.order_id
+     WHERE p.amount_cents = :amount AND p.reversed_at IS NULL
+       AND p.received_at >= :from AND p.received_at < :to${scope.sql}`,
+    { ...window, ...scope.params }
+  )).filter(p => !claimed.has(`p${p.id}`) && sameTransfer(p));
+
+  if (payments.length > 0) {
+    const payment = payments.find(p => line.reference_code && [p.reference_code, p.reference_number].includes(line.reference_code))
+      || closest(payments, line.posted_on, 'received_at');
+    claimed.add(`p${payment.id}`);
+    return { status: 'matched', payment_id: payment.id, order_id: payment.order_id };
+  }
+
+  const unmatched = (await db.query(
+    `SELECT * FROM unmatched_payments
+     WHERE amount_cents = :amount AND resolved = :resolved
+       AND created_at >= :from AND created_at < :to`,
+    { ...window, resolved: false }
+  )).filter(u => !claimed.has(`u${u.id}`) && sameTransfer(u));
+
+  if (unmatched.length > 0) {
+    const record = closest(unmatched, line.posted_on, 'created_at');
+    claimed.add(`u${record.id}`);
+    return { status: 'unapplied', unmatched_payment_id: record.id };
+  }
+
+  // The open order the money was most likely for
+  const suggestion = await matchPaymentToOrder({
+    amountCents: line.amount_cents,
+    referenceCode: line.reference_code,
+    transactionId: line.transaction_id,
+    receivedAt: `${line.posted_on}T12:00:00Z`
+  });
+
+  return {
+    status: 'unrecorded',
+    suggested_order_id: suggestion.order ? suggestion.order.id : null,
+    suggested_confidence: suggestion.order ? suggestion.confidence : null
+  };
+}
+
+// ===================================
+// IMPORT
+// ===================================
+
+// The same credit on two statements: its transaction ID, or its date,
+// amount and description when it has none
+function lineKey(line) {
+  const transactionId = normalizeTransactionId(line.transaction_id);
+  return transactionId
+    ? `t:${transactionId}`
+    : `l:${line.posted_on}|${line.amount_cents}|${line.description || ''}`;
+}
+
+/**
+ * Credits already stored by an earlier import from the same bank, as when
+ * a statement is imported twice or two exports overlap. Identical lines
+ * are counted, so a third transfer like two known ones is still new.
+ *
+ * @returns {Promise<Set<Object>>} lines of credits to leave out
+ */
+async function findImportedLines(bankSlug, credits) {
+  if (credits.length === 0) return new Set();
+
+  const dates = credits.map(line => line.posted_on).sort();
+  const stored = await db.query(
+    `SELECT l.posted_on, l.amount_cents, l.description, l.transaction_id
+     FROM statement_lines l
+     JOIN statement_imports i ON i.id = l.import_id
+     WHERE i.bank_slug = ? AND l.posted_on >= ? AND l.posted_on <= ?`,
+    [bankSlug, dates[0], dates[dates.length - 1]]
+  );
+
+  const remaining = new Map();
+  for (const line of stored) {
+    const key = lineKey(line);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+
+  const imported = new Set();
+  for (const line of credits) {
+    const key = lineKey(line);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      imported.add(line);
+    }
+  }
+  return imported;
+}
+
+/**
+ * Import a statement export and reconcile its credits. Debits are counted
+ * but not stored.
+ *
+ * @param {Object} statement
+ * @param {string} statement.bankSlug - picks the column preset and the aliases compared
+ * @param {string} statement.csv
+ * @param {Object} [statement.mapping] - columns to use instead of (or on top of) the preset
+ * @param {string} [statement.filename]
+ * @param {string} [statement.importedBy]
+ * @returns {Promise<Object>} the reconciliation report, with skipped rows
+ *   (credits already imported among them)
+ * @throws ReconciliationError (409) when every credit was already imported
+ */
+async function importStatement(statement) {
+  const { bankSlug, csv, mapping, filename, importedBy } = statement;
+
+  if (!bankSlug) {
+    throw new ReconciliationError('bank_slug is required');
+  }
+  if (!csv || !String(csv).trim()) {
+    throw new ReconciliationError('No CSV data');
+  }
+
+  const { lines, skipped } = readStatement(String(csv), resolveMapping(bankSlug, mapping));
+  const allCredits = lines.filter(line => line.amount_cents > 0);
+  const dates = lines.map(line => line.posted_on).sort();
+
+  const imported = await findImportedLines(bankSlug, allCredits);
+  if (allCredits.length > 0 && imported.size === allCredits.length) {
+    throw new ReconciliationError('Every credit on this statement was already imported', 409);
+  }
+  for (const line of imported) {
+    skipped.push({ line_number: line.line_number, reason: 'already imported' });
+  }
+  skipped.sort((a, b) => a.line_number - b.line_number);
+  const credits = allCredits.filter(line => !imported.has(line));
+
+  const context = { scope: await aliasScope(bankSlug), claimed: new Set(), tolerance: getDateTolerance() };
+
+  // Lines naming their transaction claim its record before amount matches can
+  for (const line of [...credits].sort((a, b) => !!b.transaction_id - !!a.transaction_id)) {
+    Object.assign(line, await matchLine(line, context));
+  }
+
+  const importId = await db.transaction(async (tx) => {
+    const id = await tx.insert('statement_imports', {
+      bank_slug: bankSlug,
+      filename: filename || null,
+      imported_by: importedBy || null,
+      period_start: dates[0],
+      period_end: dates[dates.length - 1],
+      credit_count: credits.length,
+      debit_count: lines.length - allCredits.length
+    });
+
+    for (const line of credits) {
+      await tx.insert('statement_lines', {
+        import_id: id,
+        line_number: line.line_number,
+        posted_on: line.posted_on,
+        description: line.description,
+        amount_cents: line.amount_cents,
+        reference_code: line.reference_code,
+        transaction_id: normalizeTransactionId(line.transaction_id),
+        status: line.status,
+        payment_id: line.payment_id || null,
+        order_id: line.order_id || null,
+        unmatched_payment_id: line.unmatched_payment_id || null,
+        suggested_order_id: line.suggested_order_id || null,
+        suggested_confidence: line.suggested_confidence || null
+      });
+    }
+
+    return id;
+  });
+
+  const report = await getReconciliationReport(importId);
+  console.log(`🧾 Statement ${importId} (${bankSlug}) imported: ${report.summary.matched} matched, ${report.summary.unapplied} unapplied, ${report.summary.unrecorded} without a payment record`);
+
+  return { ...report, skipped };
+}
+
+// ===================================
+// REPORT
+// ===================================
+
+/**
+ * Paid orders for the statement's aliases, paid within its period, none
+ * of whose payments was matched to a line from this bank. Lines left out
+ * as already imported are on an earlier import, so those count too.
+ */
+async function findPaidOrdersWithoutLine(statement) {
+  const scope = await aliasScope(statement.bank_slug);
+  const params = {
+    bank_slug: statement.bank_slug,
+    from: dayStart(statement.period_start),
+    to: new Date(dayStart(statement.period_end).getTime() + DAY_MS),
+    ...scope.params
+  };
+  const names = PAID_STATUSES.map((status, i) => {
+    params[`status${i}`] = status;
+    return `:status${i}`;
+  });
+
+  return db.query(
+    `SELECT o.id, o.reference_number, o.status, o.amount_cents, o.amount_received_cents,
+            o.payment_email, o.paid_at
+     FROM orders o
+     WHERE o.status IN (${names.join(', ')})
+       AND o.paid_at >= :from AND o.paid_at < :to${scope.sql}
+       AND NOT EXISTS (
+         SELECT 1 FROM statement_lines l
+         JOIN statement_imports i ON i.id = l.import_id
+         JOIN payments p ON p.id = l.payment_id OR p.unmatched_payment_id = l.unmatched_payment_id
+         WHERE i.bank_slug = :bank_slug AND p.order_id = o.id
+       )
+     ORDER BY o.paid_at`,
+    params
+  );
+}
+
+/**
+ * @param {number} importId
+ * @returns {Promise<Object>} { import, summary, matched, unapplied,
+ *   no_payment_record, paid_orders_without_line }
+ * @throws ReconciliationError (404) for an unknown import
+ */
+async function getReconciliationReport(importId) {
+  const statement = await db.get('SELECT * FROM statement_imports WHERE id = ?', [importId]);
+  if (!statement) {
+    throw new ReconciliationError('Statement import not found', 404);
+  }
+
+  const lines = await db.query(
+    `SELECT l.*, o.reference_number AS order_reference,
+            s.reference_number AS suggested_order_reference, u.resolved AS unmatched_resolved
+     FROM statement_lines l
+     LEFT JOIN orders o ON o.id = l.order_id
+     LEFT JOIN orders s ON s.id = l.suggested_order_id
+     LEFT JOIN unmatched_payments u ON u.id = l.unmatched_payment_id
+     WHERE l.import_id = ?
+     ORDER BY l.line_number`,
+    [importId]
+  );
+  const withStatus = (...statuses) => lines.filter(line => statuses.includes(line.status));
+  const paidOrders = await findPaidOrdersWithoutLine(statement);
+
+  return {
+    import: statement,
+    summary: {
+      credits: lines.length,
+      matched: withStatus('matched').length,
+      unapplied: withStatus('unapplied').length,
+      unrecorded: withStatus('unrecorded').length,
+      promoted: withStatus('promoted').length,
+      paid_orders_without_line: paidOrders.length
+    },
+    matched: withStatus('matched'),
+    unapplied: withStatus('unapplied'),
+    no_payment_record: withStatus('unrecorded', 'promoted'),
+    paid_orders_without_line: paidOrders
+  };
+}
+
+/**
+ * @param {number} [limit]
+ */
+async function listStatementImports(limit = 50) {
+  return db.query(
+    'SELECT * FROM statement_imports ORDER BY id DESC LIMIT ?',
+    [Math.min(parseInt(limit) || 50, 200)]
+  );
+}
+
+// ===================================
+// PROMOTION
+// ===================================
+
+/**
+ * Copy statement lines with no payment record into unmatched_payments,
+ * where they can be matched to an order (POST /api/admin/unmatched/:id/match)
+ *
+ * @param {number} importId
+ * @param {Object} [options]
+ * @param {number[]} [options.lineIds] - default: every unrecorded line
+ * @param {string} [options.promotedBy]
+ * @returns {Promise<{ promoted: Object[], skipped: Object[] }>}
+ */
+async function promoteStatementLines(importId, options = {}) {
+  const statement = await db.get('SELECT id FROM statement_imports WHERE id = ?', [importId]);
+  if (!statement) {
+    throw new ReconciliationError('Statement import not found', 404);
+  }
+
+  const lineIds = options.lineIds
+    ? options.lineIds.map(Number)
+    : (await db.query(
+      "SELECT id FROM statement_lines WHERE import_id = ? AND status = 'unrecorded' ORDER BY line_number",
+      [importId]
+    )).map(line => line.id);
+
+  const promoted = [];
+  const skipped = [];
+
+  for (const lineId of lineIds) {
+    const result = await db.transaction(async (tx) => {
+      const line = await tx.get(
+        `SELECT * FROM statement_lines WHERE id = ? AND import_id = ?${lockSuffix(tx)}`,
+        [lineId, importId]
+      );
+
+      if (!line) return { reason: 'not a line of this import' };
+      if (line.status !== 'unrecorded') return { reason: `line is ${line.status}` };
+      if (line.transaction_id && await findRecordedTransaction(tx, line.transaction_id)) {
+        return { reason: `transaction ${line.transaction_id} is already recorded` };
+      }
+
+      const unmatchedId = await tx.insert('unmatched_payments', {
+        amount_cents: line.amount_cents,
+        reference_code: line.reference_code,
+        transaction_id: line.transaction_id,
+        reason: 'statement_only',
+        raw_text: JSON.stringify({
+          statement_import_id: statement.id,
+          line_number: line.line_number,
+          posted_on: line.posted_on,
+          description: line.description
+        }),
+        notes: `From bank statement import ${statement.id}${options.promotedBy ? `, promoted by ${options.promotedBy}` : ''}`
+      });
+
+      await tx.run(
+        "UPDATE statement_lines SET status = 'promoted', unmatched_payment_id = ? WHERE id = ?",
+        [unmatchedId, line.id]
+      );
+
+      return { unmatched_payment_id: unmatchedId };
+    });
+
+    if (result.unmatched_payment_id) {
+      promoted.push({ line_id: lineId, unmatched_payment_id: result.unmatched_payment_id });
+    } else {
+      skipped.push({ line_id: lineId, reason: result.reason });
+    }
+  }
+
+  return { promoted, skipped };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  LINE_STATUSES,
+  importStatement,
+  getReconciliationReport,
+  listStatementImports,
+  promoteStatementLines,
+  ReconciliationError
+};
@@ -0,0 +1,161 @@
+/**
+ * Reference Codes
+ * Order references like ORD-7K3M9QX: six random Crockford base32
+ * characters plus a check character. Crockford's alphabet leaves out
+ * I, L, O and U, so the usual misreadings (O/0, I/1, L/1) can be mapped
+ * back, and the check character catches any single wrong character and
+ * most swapped pairs.
+ */
+
+const crypto = require('crypto');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BASE = ALPHABET.length;
+const PREFIX = 'ORD-';
+const BODY_LENGTH = 6;
+const CODE_LENGTH = BODY_LENGTH + 1;
+
+const MAX_GENERATE_ATTEMPTS = 10;
+
+// Characters customers type for what they meant
+const LOOKALIKES = { O: '0', I: '1', L: '1', U: 'V' };
+
+// ===================================
+// CHECK CHARACTER (Luhn mod 32)
+// ===================================
+
+function luhnSum(code, doubleFirst) {
+  let sum = 0;
+  let double = doubleFirst;
+
+  for (let i = code.length - 1; i >= 0; i--) {
+    let value = ALPHABET.indexOf(code[i]) * (double ? 2 : 1);
+    value = Math.floor(value / BASE) + (value % BASE);
+    sum += value;
+    double = !double;
+  }
+
+  return sum;
+}
+
+function checkCharacter(body) {
+  return ALPHABET[(BASE - (luhnSum(body, true) % BASE)) % BASE];
+}
+
+/**
+ * @param {string} code - normalized code without prefix (body + check)
+ */
+function isValidCode(code) {
+  return code.length === CODE_LENGTH &&
+    [...code].every(ch => ALPHABET.includes(ch)) &&
+    luhnSum(code, false) % BASE === 0;
+}
+
+// ===================================
+// GENERATE
+// ===================================
+
+function generateReferenceCode() {
+  let body = '';
+  for (let i = 0; i < BODY_LENGTH; i++) {
+    body += ALPHABET[crypto.randomInt(BASE)];
+  }
+  return `${PREFIX}${body}${checkCharacter(body)}`;
+}
+
+/**
+ * Generate a reference not already used by an order
+ * @param {Object} db - database module or transaction handle
+ */
+async function generateUniqueReference(db) {
+  for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+    const reference = generateReferenceCode();
+    const existing = await db.get('SELECT id FROM orders WHERE reference_number = ?', [reference]);
+    if (!existing) {
+      return reference;
+    }
+  }
+
+  throw new Error('Could not generate a unique order reference');
+}
+
+// ===================================
+// NORMALIZE & CORRECT
+// ===================================
+
+/**
+ * Turn what a customer typed into a canonical code body: uppercase, no
+ * prefix or separators, lookalike letters mapped to their Crockford digit.
+ * "ord 7k3m-9qx", "0RD7K3M9QX" and "ORD-7K3M9QX" all give "7K3M9QX".
+ */
+function normalizeReference(input) {
+  let text = String(input || '').toUpperCase().replace(/[\s\-_.]/g, '');
+  text = text.replace(/^[O0]RD/, '');
+  return [...text].map(ch => LOOKALIKES[ch] || ch).join('');
+}
+
+/**
+ * Canonical ORD- reference for a typed code, or null if it doesn't validate
+ */
+function canonicalReference(input) {
+  const code = normalizeReference(input);
+  return isValidCode(code) ? `${PREFIX}${code}` : null;
+}
+
+/**
+ * Valid references within one typing error of the input: one wrong,
+ * missing or extra character, or two neighbours swapped. A valid input
+ * is returned as-is.
+ *
+ * @returns {string[]} canonical references (may be empty)
+ */
+function referenceCandidates(input) {
+  const code = normalizeReference(input);
+
+  if (isValidCode(code)) {
+    return [`${PREFIX}${code}`];
+  }
+
+  const candidates = new Set();
+  const consider = (c) => {
+    if (isValidCode(c)) candidates.add(`${PREFIX}${c}`);
+  };
+
+  if (code.length === CODE_LENGTH) {
+    for (let i = 0; i < code.length; i++) {
+      for (const ch of ALPHABET) {
+        if (ch !== code[i]) consider(code.slice(0, i) + ch + code.slice(i + 1));
+      }
+      if (i < code.length - 1) {
+        consider(code.slice(0, i) + code[i + 1] + code[i] + code.slice(i + 2));
+      }
+    }
+  } else if (code.length === CODE_LENGTH - 1) {
+    for (let i = 0; i <= code.length; i++) {
+      for (const ch of ALPHABET) {
+        consider(code.slice(0, i) + ch + code.slice(i));
+      }
+    }
+  } else if (code.length === CODE_LENGTH + 1) {
+    for (let i = 0; i < code.length; i++) {
+      consider(code.slice(0, i) + code.slice(i + 1));
+    }
+  }
+
+  return [...candidates];
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  generateReferenceCode,
+  generateUniqueReference,
+  normalizeReference,
+  canonicalReference,
+  referenceCandidates,
+  isValidCode,
+  PREFIX,
+  CODE_LENGTH
+};
@@ -0,0 +1,302 @@
+/**
+ * Refunds Service
+ * Full and partial refunds, tracked pending → sent → completed. Completing
+ * a refund updates the order's refunded total and status, emails the
+ * customer and records the refund in WooCommerce.
+ */
+
+const db = require('../config/database');
+const { sendRefundConfirmation } = require('./notifications');
+const { createWooCommerceRefund } = require('./woocommerce');
+const { applyTransition, runTransitionEffects, OrderNotFoundError, PAID_STATUSES } = require('./order-lifecycle');
+
+// ===================================
+// STATES & TRANSITIONS
+// ===================================
+
+const REFUND_STATUSES = ['pending', 'sent', 'completed', 'cancelled'];
+
+const REFUND_TRANSITIONS = {
+  pending: ['sent', 'cancelled'],
+  sent: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// ===================================
+// ERRORS
+// ===================================
+
+class RefundNotFoundError extends Error {
+  constructor(refundId) {
+    super('Refund not found');
+    this.name = 'RefundNotFoundError';
+    this.status = 404;
+    this.refundId = refundId;
+  }
+}
+
+class InvalidRefundError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'InvalidRefundError';
+    this.status = status;
+  }
+}
+
+// ===================================
+// HELPERS
+// ===================================
+
+function lockSuffix(tx) {
+  return tx.isProduction ? ' FOR UPDATE' : '';
+}
+
+// Statuses an order can only reach once it was paid in full
+const FULLY_PAID_STATUSES = [...PAID_STATUSES, 'partially_refunded', 'refunded'];
+
+/**
+ * Money the order received. Orders marked paid by hand (PUT
+ * /orders/:id/status) have no payment rows; they received their amount.
+ */
+async function receivedCents(tx, order) {
+  const received = order.amount_received_cents || 0;
+  if (received > 0 || !FULLY_PAID_STATUSES.includes(order.status)) {
+    return received;
+  }
+
+  const payments = await tx.get('SELECT COUNT(*) as count FROM payments WHERE order_id = ?', [order.id]);
+  return Number(payments.count) === 0 ? order.amount_cents : received;
+}
+
+/**
+ * Amount that can still be refunded: money received, less completed
+ * refunds and refunds already in progress
+ */
+async function refundableCents(tx, order) {
+  // pending and sent refunds are money already promised back
+  const open = await tx.get(
+    'SELECT COALESCE(SUM(amount_cents), 0) as total FROM refunds WHERE order_id = :order_id AND status IN (:pending, :sent)',
+    { order_id: order.id, pending: 'pending', sent: 'sent' }
+  );
+
+  return Math.max(
+    (await receivedCents(tx, order)) - (order.amount_refunded_cents || 0) - Number(open.total),
+    0
+  );
+}
+
+// ===================================
+// CREATE
+// ===================================
+
+/**
+ * Open a refund for an order. Nothing moves until the refund is marked
+ * sent and then completed.
+ *
+ * @param {number} orderId
+ * @param {Object} refund
+ * @param {number} [refund.amount_cents] - defaults to the full refundable amount
+ * @param {string} refund.reason
+ * @param {string} [refund.recipient_email] - defaults to the customer's email
+ * @param {string} [refund.requested_by]
+ * @returns {Object} the refund row
+ */
+async function createRefund(orderId, refund) {
+  if (!refund.reason) {
+    throw new InvalidRefundError('A reason is required for refunds', 400);
+  }
+
+  return db.transaction(async (tx) => {
+    const order = await tx.get(`SELECT * FROM orders WHERE id = ?${lockSuffix(tx)}`, [orderId]);
+
+    if (!order) {
+      throw new OrderNotFoundError(orderId);
+    }
+
+    const refundable = await refundableCents(tx, order);
+    const amountCents = refund.amount_cents === undefined ? refundable : refund.amount_cents;
+
+    if (refundable === 0) {
+      throw new InvalidRefundError(`Order ${order.reference_number} has nothing left to refund`);
+    }
+
+    if (!Number.isInteger(amountCents) || amountCents <= 0) {
+      throw new InvalidRefundError('Refund amount must be a positive number', 400);
+    }
+
+    if (amountCents > refundable) {
+      throw new InvalidRefundError(
+        `Refund of ${amountCents} cents exceeds the refundable amount of ${refundable} cents`,
+        422
+      );
+    }
+
+    const refundId = await tx.insert('refunds', {
+      order_id: order.id,
+      amount_cents: amountCents,
+      currency: order.currency || 'CAD',
+      reason: refund.reason,
+      status: 'pending',
+      recipient_email: refund.recipient_email || order.customer_email,
+      requested_by: refund.requested_by || null
+    });
+
+    await tx.insert('payment_events', {
+      order_id: order.id,
+      event_type: 'refund_requested',
+      event_data: {
+        refund_id: refundId,
+        amount_cents: amountCents,
+        reason: refund.reason,
+        requested_by: refund.requested_by || null
+      }
+    });
+
+    return tx.get('SELECT * FROM refunds WHERE id = ?', [refundId]);
+  });
+}
+
+// ===================================
+// STATUS CHANGES
+// ===================================
+
+/**
+ * Move a refund to sent, completed or cancelled. Completing it updates
+ * the order inside the same transaction; the customer email and
+ * WooCommerce refund run after commit.
+ *
+ * @returns {Object} { refund, order }
+ */
+async function updateRefundStatus(orderId, refundId, to, options = {}) {
+  if (!REFUND_STATUSES.includes(to)) {
+    throw new InvalidRefundError(`Unknown refund status: ${to}`, 400);
+  }
+
+  const result = await db.transaction(async (tx) => {
+    // Order first, then refund - the same lock order as createRefund
+    const order = await tx.get(`SELECT * FROM orders WHERE id = ?${lockSuffix(tx)}`, [orderId]);
+
+    if (!order) {
+      throw new OrderNotFoundError(orderId);
+    }
+
+    const refund = await tx.get(
+      `SELECT * FROM refunds WHERE id = ? AND order_id = ?${lockSuffix(tx)}`,
+      [refundId, order.id]
+    );
+
+    if (!refund) {
+      throw new RefundNotFoundError(refundId);
+    }
+
+    if (!REFUND_TRANSITIONS[refund.status].includes(to)) {
+      throw new InvalidRefundError(`Cannot change refund status from ${refund.status} to ${to}`);
+    }
+
+    let sql = 'UPDATE refunds SET status = :to, updated_at = CURRENT_TIMESTAMP';
+    if (to === 'sent') sql += ', sent_at = CURRENT_TIMESTAMP';
+    if (to === 'completed') sql += ', completed_at = CURRENT_TIMESTAMP';
+    sql += ' WHERE id = :id';
+    await tx.run(sql, { to, id: refund.id });
+
+    const eventData = {
+      refund_id: refund.id,
+      amount_cents: refund.amount_cents,
+      from_refund_status: refund.status,
+      refund_status: to,
+      source: options.source || 'api',
+      notes: options.notes || null
+    };
+
+    let transition = null;
+
+    if (to === 'completed') {
+      const refunded = (order.amount_refunded_cents || 0) + refund.amount_cents;
+      await tx.run(
+        'UPDATE orders SET amount_refunded_cents = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [refunded, order.id]
+      );
+
+      const target = refunded >= (await receivedCents(tx, order)) ? 'refunded' : 'partially_refunded';
+      eventData.amount_refunded_cents = refunded;
+
+      if (target !== order.status) {
+        transition = await applyTransition(tx, order.id, target, {
+          source: options.source || 'api',
+          reason: refund.reason,
+          eventType: 'refund_completed',
+          eventData
+        });
+      } else {
+        await tx.insert('payment_events', {
+          order_id: order.id,
+          event_type: 'refund_completed',
+          event_data: eventData
+        });
+      }
+    } else {
+      await tx.insert('payment_events', {
+        order_id: order.id,
+        event_type: `refund_${to}`,
+        event_data: eventData
+      });
+    }
+
+    return {
+      refund: await tx.get('SELECT * FROM refunds WHERE id = ?', [refund.id]),
+      order: transition ? transition.order : await tx.get('SELECT * FROM orders WHERE id = ?', [order.id]),
+      transition
+    };
+  });
+
+  if (to === 'completed') {
+    await runRefundEffects(result.refund, result.order, result.transition);
+  }
+
+  return { refund: result.refund, order: result.order };
+}
+
+/**
+ * Customer email and WooCommerce refund for a completed refund.
+ * Failures are logged, never thrown - the refund has already been recorded.
+ */
+async function runRefundEffects(refund, order, transition) {
+  // WooCommerce marks the order refunded once its refunds cover the total.
+  // Pushing the status as well makes it refund the balance a second time.
+  if (transition) {
+    await runTransitionEffects(transition, { syncWooCommerce: false });
+  }
+
+  if (process.env.EMAIL_ENABLED === 'true' && refund.recipient_email) {
+    sendRefundConfirmation({
+      email: refund.recipient_email,
+      name: order.customer_name,
+      orderNumber: order.reference_number,
+      amount: (refund.amount_cents / 100).toFixed(2),
+      reason: refund.reason
+    }).catch(err => console.error('Refund email error:', err));
+  }
+
+  if (order.woo_order_id && process.env.WOOCOMMERCE_API_URL) {
+    createWooCommerceRefund(order.woo_order_id, refund.amount_cents, refund.reason)
+      .then(wooRefund => wooRefund && db.run(
+        'UPDATE refunds SET woo_refund_id = ? WHERE id = ?',
+        [String(wooRefund.id), refund.id]
+      ))
+      .catch(err => console.error('WooCommerce refund error:', err));
+  }
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  REFUND_STATUSES,
+  createRefund,
+  updateRefundStatus,
+  refundableCents,
+  RefundNotFoundError,
+  InvalidRefundError
+};
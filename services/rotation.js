@@ -31,9 +31,9 @@ async function getNextPaymentEmail() {
     // Get all active aliases ordered by ID
     const aliases = await db.query(`
       SELECT * FROM email_aliases 
-      WHERE active = true 
+      WHERE active = ? 
       ORDER BY id ASC
-    `);
+    `, [true]);
 
     if (aliases.length === 0) {
       console.log('⚠️ No active email aliases found, using default');
@@ -121,8 +121,8 @@ async function getRotationStatus() {
   try {
     const state = await db.get("SELECT * FROM rotation_state WHERE id = 1");
     const aliases = await db.query(`
-      SELECT * FROM email_aliases WHERE active = true ORDER BY id ASC
-    `);
+      SELECT * FROM email_aliases WHERE active = ? ORDER BY id ASC
+    `, [true]);
     const totalAliases = await db.query(`SELECT COUNT(*) as count FROM email_aliases`);
 
     if (!state || aliases.length === 0) {
@@ -162,8 +162,8 @@ async function getRotationStatus() {
 async function forceRotate() {
   try {
     const aliases = await db.query(`
-      SELECT * FROM email_aliases WHERE active = true ORDER BY id ASC
-    `);
+      SELECT * FROM email_aliases WHERE active = ? ORDER BY id ASC
+    `, [true]);
 
     if (aliases.length === 0) {
       return { success: false, message: 'No active aliases' };
@@ -198,8 +198,8 @@ async function forceRotate() {
 async function resetRotation() {
   try {
     const firstAlias = await db.get(`
-      SELECT * FROM email_aliases WHERE active = true ORDER BY id ASC LIMIT 1
-    `);
+      SELECT * FROM email_aliases WHERE active = ? ORDER BY id ASC LIMIT 1
+    `, [true]);
 
     await db.query(`
       UPDATE rotation_state 
@@ -5,6 +5,8 @@
 
 const db = require('../config/database');
 const { sendAdminAlert } = require('./notifications');
+const { cleanupIdempotencyKeys } = require('../middleware/idempotency');
+const { transitionOrder, InvalidTransitionError } = require('./order-lifecycle');
 
 let dailyTasksInterval = null;
 
@@ -15,17 +17,26 @@ let dailyTasksInterval = null;
 async function cleanupExpiredOrders() {
   try {
     // Find orders that are pending and expired (older than 24 hours)
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     
-    const result = await db.query(
-      `UPDATE orders 
-       SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
+    const expired = await db.query(
+      `SELECT id FROM orders 
        WHERE status = 'pending' 
          AND created_at < ?`,
       [oneDayAgo]
     );
 
-    const count = result?.changes || 0;
+    let count = 0;
+    for (const order of expired) {
+      try {
+        await transitionOrder(order.id, 'cancelled', { source: 'scheduler', reason: 'expired' });
+        count++;
+      } catch (error) {
+        // Paid or changed since the SELECT - leave it alone
+        if (!(error instanceof InvalidTransitionError)) throw error;
+      }
+    }
+
     if (count > 0) {
       console.log(`🧹 Cancelled ${count} expired order(s)`);
     }
@@ -37,6 +48,19 @@ async function cleanupExpiredOrders() {
   }
 }
 
+async function cleanupExpiredIdempotencyKeys() {
+  try {
+    const count = await cleanupIdempotencyKeys();
+    if (count > 0) {
+      console.log(`🧹 Removed ${count} expired idempotency key(s)`);
+    }
+    return count;
+  } catch (error) {
+    console.error('Idempotency cleanup error:', error);
+    return 0;
+  }
+}
+
 async function resetDailyLimits() {
   try {
     // Reset daily totals for email aliases
@@ -56,9 +80,9 @@ async function generateDailyReport() {
     const stats = await db.get(`
       SELECT 
         COUNT(*) as total_orders,
-        SUM(CASE WHEN status = 'paid' OR status = 'completed' THEN 1 ELSE 0 END) as paid_orders,
+        SUM(CASE WHEN status IN ('paid', 'overpaid', 'completed') THEN 1 ELSE 0 END) as paid_orders,
         SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_orders,
-        SUM(CASE WHEN status = 'paid' OR status = 'completed' THEN amount_cents ELSE 0 END) as total_revenue
+        SUM(CASE WHEN status IN ('paid', 'overpaid', 'completed') THEN amount_received_cents ELSE 0 END) as total_revenue
       FROM orders 
       WHERE DATE(created_at) = ?
     `, [yesterday]);
@@ -66,8 +90,8 @@ async function generateDailyReport() {
     const unmatched = await db.get(`
       SELECT COUNT(*) as count 
       FROM unmatched_payments 
-      WHERE resolved = 0
-    `);
+      WHERE resolved = ?
+    `, [false]);
 
     const report = {
       date: yesterday,
@@ -111,10 +135,10 @@ async function retryFailedWebhooks() {
   try {
     const failures = await db.query(`
       SELECT * FROM webhook_failures 
-      WHERE resolved = 0 AND retry_count < 5
+      WHERE resolved = ? AND retry_count < 5
       ORDER BY created_at ASC
       LIMIT 10
-    `);
+    `, [false]);
 
     for (const failure of failures) {
       try {
@@ -129,8 +153,8 @@ async function retryFailedWebhooks() {
 
         if (response.ok) {
           await db.query(
-            'UPDATE webhook_failures SET resolved = 1 WHERE id = ?',
-            [failure.id]
+            'UPDATE webhook_failures SET resolved = ? WHERE id = ?',
+            [true, failure.id]
           );
           console.log(`✅ Webhook retry successful: ${failure.id}`);
         } else {
@@ -160,6 +184,7 @@ async function runDailyTasks() {
   await resetDailyLimits();
   await generateDailyReport();
   await retryFailedWebhooks();
+  await cleanupExpiredIdempotencyKeys();
   
   console.log('✅ Daily tasks completed');
 }
@@ -207,5 +232,6 @@ module.exports = {
   cleanupExpiredOrders,
   resetDailyLimits,
   generateDailyReport,
-  retryFailedWebhooks
+  retryFailedWebhooks,
+  cleanupExpiredIdempotencyKeys
 };
@@ -0,0 +1,86 @@
+/**
+ * Secrets
+ * AES-256-GCM encryption for credentials stored in the database (mailbox
+ * passwords), and keyed derivation of values that are never stored (order
+ * security answers). The key is derived from CREDENTIALS_ENCRYPTION_KEY;
+ * changing it makes stored credentials unreadable and changes derived
+ * values, so there is no temporary fallback.
+ * Format: v1:base64(iv):base64(tag):base64(ciphertext)
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+class MissingEncryptionKeyError extends Error {
+  constructor() {
+    super('CREDENTIALS_ENCRYPTION_KEY is not set');
+    this.name = 'MissingEncryptionKeyError';
+    this.status = 503;
+  }
+}
+
+function getKey() {
+  if (!process.env.CREDENTIALS_ENCRYPTION_KEY) {
+    throw new MissingEncryptionKeyError();
+  }
+  return crypto.createHash('sha256').update(process.env.CREDENTIALS_ENCRYPTION_KEY).digest();
+}
+
+/**
+ * @param {string} plaintext
+ * @returns {string}
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+/**
+ * @param {string} value - output of encryptSecret
+ * @returns {string}
+ * @throws if the value is malformed or was encrypted with another key
+ */
+function decryptSecret(value) {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognised encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Could not decrypt value - CREDENTIALS_ENCRYPTION_KEY may have changed');
+  }
+}
+
+/**
+ * A value that only this key can produce, for recomputing a secret
+ * instead of storing it
+ *
+ * @param {string} purpose - keeps derivations for different uses apart
+ * @param {string} value - what the secret belongs to
+ * @returns {Buffer} 32 bytes
+ */
+function deriveSecret(purpose, value) {
+  return crypto.createHmac('sha256', getKey()).update(`${purpose}:${value}`).digest();
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  deriveSecret,
+  MissingEncryptionKeyError
+};
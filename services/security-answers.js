@@ -0,0 +1,153 @@
+/**
+ * Security Answers
+ * Aliases without Autodeposit make the payer set a security question.
+ * Orders sent to an alias flagged requires_security_answer get their own
+ * answer instead of one the customer makes up. Only a salted hash is
+ * stored: the answer is derived from the order reference with
+ * CREDENTIALS_ENCRYPTION_KEY, so an admin can be shown it again when
+ * depositing the transfer.
+ */
+
+const crypto = require('crypto');
+const { deriveSecret } = require('./secrets');
+
+// Crockford base32, as in reference codes - no I, L, O or U to misread
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ANSWER_LENGTH = 8;
+
+// Interac allows questions of up to 40 characters
+const DEFAULT_QUESTION = 'What is my order code?';
+
+const HASH_VERSION = 'scrypt';
+
+class SecurityAnswerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SecurityAnswerError';
+    this.status = status;
+  }
+}
+
+function getSecurityQuestion() {
+  return process.env.SECURITY_QUESTION || DEFAULT_QUESTION;
+}
+
+/**
+ * Whether transfers to this alias need a security answer
+ *
+ * @param {Object} runner - db or a transaction handle
+ * @param {string} paymentEmail - the alias the order is sent to
+ * @returns {Promise<boolean>}
+ */
+async function aliasRequiresSecurityAnswer(runner, paymentEmail) {
+  if (!paymentEmail) return false;
+  const alias = await runner.get(
+    'SELECT requires_security_answer FROM email_aliases WHERE alias_email = ?',
+    [paymentEmail.toLowerCase().trim()]
+  );
+  return !!(alias && alias.requires_security_answer);
+}
+
+/**
+ * The answer for an order. The same reference always gives the same
+ * answer until CREDENTIALS_ENCRYPTION_KEY changes.
+ *
+ * @param {string} referenceNumber
+ * @returns {string}
+ */
+function deriveSecurityAnswer(referenceNumber) {
+  const bytes = deriveSecret('security-answer', referenceNumber);
+  let answer = '';
+  for (let i = 0; i < ANSWER_LENGTH; i++) {
+    answer += ALPHABET[bytes[i] % ALPHABET.length];
+  }
+  return answer;
+}
+
+function normalizeAnswer(answer) {
+  return String(answer).toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Format: scrypt:base64(salt):base64(hash)
+ */
+function hashSecurityAnswer(answer) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(normalizeAnswer(answer), salt, 32);
+  return [HASH_VERSION, salt.toString('base64'), hash.toString('base64')].join(':');
+}
+
+/**
+ * @param {string} answer
+ * @param {string} stored - output of hashSecurityAnswer
+ * @returns {boolean}
+ */
+function verifySecurityAnswer(answer, stored) {
+  const [version, salt, hash] = String(stored).split(':');
+  if (version !== HASH_VERSION || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(normalizeAnswer(answer), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * A new order's question and answer
+ *
+ * @param {string} referenceNumber
+ * @returns {{ question: string, answer: string, hash: string }}
+ * @throws MissingEncryptionKeyError when CREDENTIALS_ENCRYPTION_KEY is unset
+ */
+function createSecurityAnswer(referenceNumber) {
+  const answer = deriveSecurityAnswer(referenceNumber);
+  return { question: getSecurityQuestion(), answer, hash: hashSecurityAnswer(answer) };
+}
+
+/**
+ * The question and answer for a new order, when the alias it is sent to
+ * needs one. Used by every path that creates orders.
+ *
+ * @param {Object} runner - db or a transaction handle
+ * @param {string} paymentEmail
+ * @param {string} referenceNumber
+ * @returns {Promise<Object|null>} as createSecurityAnswer(), or null
+ * @throws MissingEncryptionKeyError when CREDENTIALS_ENCRYPTION_KEY is unset
+ */
+async function securityAnswerForOrder(runner, paymentEmail, referenceNumber) {
+  if (!await aliasRequiresSecurityAnswer(runner, paymentEmail)) return null;
+  return createSecurityAnswer(referenceNumber);
+}
+
+/**
+ * Recompute a stored order's answer
+ *
+ * @param {Object} order - needs reference_number and security_answer_hash
+ * @returns {string}
+ * @throws SecurityAnswerError when the order has no answer, or when the key
+ *   has changed since the order was created
+ */
+function revealSecurityAnswer(order) {
+  if (!order.security_answer_hash) {
+    throw new SecurityAnswerError('This order has no security answer', 404);
+  }
+
+  const answer = deriveSecurityAnswer(order.reference_number);
+  if (!verifySecurityAnswer(answer, order.security_answer_hash)) {
+    throw new SecurityAnswerError('The answer cannot be recovered - CREDENTIALS_ENCRYPTION_KEY may have changed', 409);
+  }
+  return answer;
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  getSecurityQuestion,
+  aliasRequiresSecurityAnswer,
+  createSecurityAnswer,
+  securityAnswerForOrder,
+  revealSecurityAnswer,
+  verifySecurityAnswer,
+  SecurityAnswerError
+};
@@ -0,0 +1,83 @@
+/**
+ * Unique Amounts
+ * Takes a few cents off the catalog price so no two open orders sent to
+ * the same alias share a payable amount. The matcher can then match a
+ * transfer by amount even when the payer leaves out the reference.
+ */
+
+const DEFAULT_MAX_ADJUSTMENT_CENTS = 25;
+
+// Orders that can still receive their first transfer
+const OPEN_STATUSES = { pending: 'pending', awaiting: 'awaiting_payment', deposit: 'deposit_pending' };
+
+// ===================================
+// SETTINGS
+// ===================================
+
+/**
+ * Whether an order should get a unique amount. A request can opt in or
+ * out explicitly; otherwise UNIQUE_AMOUNTS_ENABLED decides.
+ * @param {boolean|string} [requested] - unique_amount from the request body
+ */
+function isUniqueAmountEnabled(requested) {
+  if (requested === true || requested === 'true') return true;
+  if (requested === false || requested === 'false') return false;
+  return process.env.UNIQUE_AMOUNTS_ENABLED === 'true';
+}
+
+function getMaxAdjustment() {
+  const max = parseInt(process.env.UNIQUE_AMOUNTS_MAX_CENTS);
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_ADJUSTMENT_CENTS;
+}
+
+// ===================================
+// ASSIGN
+// ===================================
+
+/**
+ * Pick the payable amount for a new order inside its creation transaction.
+ * Uses the catalog amount if it's free, otherwise the smallest discount
+ * (up to UNIQUE_AMOUNTS_MAX_CENTS) not taken by another open order for the
+ * alias. Falls back to the catalog amount if every slot is taken.
+ *
+ * @param {Object} tx - transaction handle from db.transaction()
+ * @param {number} catalogCents
+ * @param {string} paymentEmail - alias the customer will pay
+ * @returns {Promise<{ amountCents: number, adjustmentCents: number, unique: boolean }>}
+ */
+async function assignUniqueAmount(tx, catalogCents, paymentEmail) {
+  const maxAdjustment = Math.min(getMaxAdjustment(), catalogCents - 1);
+
+  if (tx.isProduction) {
+    // Serialize assignments per alias so two orders can't pick the same amount
+    await tx.query('SELECT pg_advisory_xact_lock(hashtext(?))', [`unique_amount:${paymentEmail}`]);
+  }
+
+  const taken = await tx.query(
+    `SELECT amount_cents FROM orders
+     WHERE payment_email = :email
+       AND status IN (:pending, :awaiting, :deposit)
+       AND amount_cents BETWEEN :low AND :high`,
+    { email: paymentEmail, low: catalogCents - maxAdjustment, high: catalogCents, ...OPEN_STATUSES }
+  );
+  const takenAmounts = new Set(taken.map(row => Number(row.amount_cents)));
+
+  for (let adjustment = 0; adjustment <= maxAdjustment; adjustment++) {
+    if (!takenAmounts.has(catalogCents - adjustment)) {
+      return { amountCents: catalogCents - adjustment, adjustmentCents: adjustment, unique: true };
+    }
+  }
+
+  console.warn(`⚠️ No unique amount left near ${catalogCents} for ${paymentEmail}`);
+  return { amountCents: catalogCents, adjustmentCents: 0, unique: false };
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  isUniqueAmountEnabled,
+  assignUniqueAmount,
+  OPEN_STATUSES
+};
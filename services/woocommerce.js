@@ -0,0 +1,85 @@
+/**
+ * WooCommerce Service
+ * Pushes order changes back to the WooCommerce REST API
+ */
+
+function isConfigured() {
+  return !!(process.env.WOOCOMMERCE_API_URL &&
+    process.env.WOOCOMMERCE_CONSUMER_KEY &&
+    process.env.WOOCOMMERCE_CONSUMER_SECRET);
+}
+
+async function wooRequest(method, path, body) {
+  const apiUrl = process.env.WOOCOMMERCE_API_URL;
+  const consumerKey = process.env.WOOCOMMERCE_CONSUMER_KEY;
+  const consumerSecret = process.env.WOOCOMMERCE_CONSUMER_SECRET;
+
+  const url = `${apiUrl}/wp-json/wc/v3${path}`;
+  const auth = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Basic ${auth}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`WooCommerce API error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// ===================================
+// ORDERS
+// ===================================
+
+async function updateWooCommerceOrder(wooOrderId, status) {
+  if (!isConfigured()) {
+    console.warn('WooCommerce API not configured');
+    return;
+  }
+
+  await wooRequest('PUT', `/orders/${wooOrderId}`, { status });
+
+  console.log(`✅ WooCommerce order ${wooOrderId} updated to ${status}`);
+}
+
+// ===================================
+// REFUNDS
+// ===================================
+
+/**
+ * Record a refund on the WooCommerce order. api_refund is off because the
+ * money goes back by e-Transfer, not through a WooCommerce payment gateway.
+ * @returns {Object|undefined} the WooCommerce refund
+ */
+async function createWooCommerceRefund(wooOrderId, amountCents, reason) {
+  if (!isConfigured()) {
+    console.warn('WooCommerce API not configured');
+    return;
+  }
+
+  const refund = await wooRequest('POST', `/orders/${wooOrderId}/refunds`, {
+    amount: (amountCents / 100).toFixed(2),
+    reason: reason || '',
+    api_refund: false
+  });
+
+  console.log(`✅ WooCommerce refund ${refund.id} created for order ${wooOrderId}`);
+
+  return refund;
+}
+
+// ===================================
+// EXPORTS
+// ===================================
+
+module.exports = {
+  isConfigured,
+  updateWooCommerceOrder,
+  createWooCommerceRefund
+};
@@ -0,0 +1,109 @@
+/**
+ * Bank statement reading tests
+ * Exports are laid out as the banks download them
+ */
+
+const {
+  parseCsv,
+  parseStatementDate,
+  parseStatementAmount,
+  resolveMapping,
+  readStatement,
+  InvalidStatementError
+} = require('../services/bank-statements');
+
+describe('CSV', () => {
+  test('handles quoted commas, doubled quotes and CRLF', () => {
+    expect(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', '2', '3']
+    ]);
+  });
+
+  test('drops a byte order mark and blank rows', () => {
+    expect(parseCsv('\uFEFFDate,Amount\n\n,\n2024-03-01,5')).toEqual([
+      ['Date', 'Amount'],
+      ['2024-03-01', '5']
+    ]);
+  });
+});
+
+describe('values', () => {
+  test('reads dates in the given order', () => {
+    expect(parseStatementDate('03/01/2024', 'MDY')).toBe('2024-03-01');
+    expect(parseStatementDate('03/01/2024', 'DMY')).toBe('2024-01-03');
+    expect(parseStatementDate('2024-03-01', 'MDY')).toBe('2024-03-01');
+    expect(parseStatementDate('20240301', 'YMD')).toBe('2024-03-01');
+    expect(parseStatementDate('02/30/2024', 'MDY')).toBeNull();
+    expect(parseStatementDate('Date', 'MDY')).toBeNull();
+  });
+
+  test('reads amounts as signed cents', () => {
+    expect(parseStatementAmount('1,234.50')).toBe(123450);
+    expect(parseStatementAmount('-45.00')).toBe(-4500);
+    expect(parseStatementAmount('(45.00)')).toBe(-4500);
+    expect(parseStatementAmount('45.00-')).toBe(-4500);
+    expect(parseStatementAmount('1 234,50 $')).toBe(123450);
+    expect(parseStatementAmount('')).toBeNull();
+    expect(parseStatementAmount('n/a')).toBeNull();
+  });
+});
+
+describe('statements', () => {
+  test('reads a TD export with debit and credit columns', () => {
+    const csv = [
+      '03/01/2024,INTERAC E-TRANSFER CA1B2C3D4E5,,89.99,1089.99',
+      '03/01/2024,SEND E-TFR ***abc,20.00,,1069.99',
+      '03/02/2024,"E-TFR PAT, ORD-592J76F",,45.00,1114.99'
+    ].join('\n');
+
+    const { lines } = readStatement(csv, resolveMapping('td'));
+
+    expect(lines.map(l => l.amount_cents)).toEqual([8999, -2000, 4500]);
+    expect(lines[0]).toMatchObject({ line_number: 1, posted_on: '2024-03-01', transaction_id: 'CA1B2C3D4E5' });
+    expect(lines[2]).toMatchObject({ reference_code: 'ORD-592J76F', transaction_id: null });
+  });
+
+  test('finds the header of an RBC export and joins description columns', () => {
+    const csv = [
+      '"Account Type","Account Number","Transaction Date","Cheque Number","Description 1","Description 2","CAD$","USD$"',
+      'Chequing,01234-5678901,3/1/2024,,"E-TRANSFER","ORD-592J76F",89.99,'
+    ].join('\n');
+
+    const { lines } = readStatement(csv, resolveMapping('rbc'));
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ line_number: 2, description: 'E-TRANSFER ORD-592J76F', amount_cents: 8999 });
+  });
+
+  test('skips the account details above a BMO header', () => {
+    const csv = [
+      'Following data is valid as of 20240305',
+      '',
+      'First Bank Card,Transaction Type,Date Posted, Transaction Amount,Description',
+      "'5555',CREDIT,20240301,89.99,INTERAC E-TRF CA1B2C3D4E5",
+      'Total,,,89.99,'
+    ].join('\n');
+
+    const { lines, skipped } = readStatement(csv, resolveMapping('bmo'));
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ posted_on: '2024-03-01', amount_cents: 8999 });
+    expect(skipped).toEqual([{ line_number: 4, reason: 'no date' }]);
+  });
+
+  test('takes a mapping for a bank without a preset', () => {
+    const mapping = resolveMapping('eq', { date: 'When', description: 'Details', amount: 'Value', date_format: 'DMY' });
+    const { lines } = readStatement('When,Details,Value\n01/03/2024,Deposit,"1.234,50"', mapping);
+
+    expect(lines[0]).toMatchObject({ posted_on: '2024-03-01', amount_cents: 123450 });
+  });
+
+  test('rejects an unknown bank without a mapping', () => {
+    expect(() => resolveMapping('eq')).toThrow(InvalidStatementError);
+  });
+
+  test('rejects a file with no transactions', () => {
+    expect(() => readStatement('Date,Description,Amount\n', resolveMapping('tangerine'))).toThrow(InvalidStatementError);
+  });
+});
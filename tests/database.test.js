@@ -0,0 +1,63 @@
+/**
+ * Transaction tests
+ * SQLite shares one connection, so transactions must run one at a time
+ */
+
+const { db, setupDatabase, teardownDatabase } = require('./helpers/database');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+beforeEach(() => db.run('DELETE FROM blacklist'));
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+async function addEntries(tx, prefix, fail = false) {
+  for (let i = 0; i < 3; i++) {
+    await tx.insert('blacklist', { type: 'email', value: `${prefix}${i}@example.com`, reason: 'test' });
+    await pause();
+  }
+  if (fail) throw new Error(`${prefix} failed`);
+  return prefix;
+}
+
+describe('transactions', () => {
+  test('concurrent transactions run one at a time', async () => {
+    const results = await Promise.allSettled([
+      db.transaction(tx => addEntries(tx, 'a')),
+      db.transaction(tx => addEntries(tx, 'b', true)),
+      db.transaction(tx => addEntries(tx, 'c'))
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    expect(results[1].reason.message).toBe('b failed');
+
+    const rows = await db.query('SELECT value FROM blacklist ORDER BY id');
+    expect(rows.map(r => r.value)).toEqual([
+      'a0@example.com', 'a1@example.com', 'a2@example.com',
+      'c0@example.com', 'c1@example.com', 'c2@example.com'
+    ]);
+  });
+
+  test('plain queries wait for a running transaction', async () => {
+    let inserted = false;
+    const running = db.transaction(async (tx) => {
+      await addEntries(tx, 'd');
+      inserted = true;
+    });
+
+    const count = await db.get('SELECT COUNT(*) AS count FROM blacklist');
+    await running;
+
+    expect(inserted).toBe(true);
+    expect(count.count).toBe(3);
+  });
+
+  test('a transaction queued behind a failed one still runs', async () => {
+    const failed = db.transaction(() => Promise.reject(new Error('boom')));
+    const next = db.transaction(tx => addEntries(tx, 'e'));
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('e');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Notification sender verification tests
+ * Messages are signed here with generated keys; resolveKey stands in for
+ * the DNS lookup of the public key
+ */
+
+const crypto = require('crypto');
+const { verifyDkim, verifyNotification, parseAuthenticationResults } = require('../services/email-auth');
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+const ed = crypto.generateKeyPairSync('ed25519');
+
+const KEYS = {
+  'rsa._domainkey.td.com': `v=DKIM1; k=rsa; p=${rsa.publicKey.export({ type: 'spki', format: 'der' }).toString('base64')}`,
+  'ed._domainkey.td.com': `v=DKIM1; k=ed25519; p=${ed.publicKey.export({ type: 'spki', format: 'der' }).subarray(12).toString('base64')}`
+};
+const resolveKey = async name => KEYS[name] || null;
+
+const BODY = 'An Interac e-Transfer of $89.99 from PAT EXAMPLE has been deposited.\r\nMessage: ORD-592J76F\r\n';
+
+function relaxedHeader(line) {
+  const index = line.indexOf(':');
+  return `${line.slice(0, index).toLowerCase()}:${line.slice(index + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim()}`;
+}
+
+/**
+ * Build a message signed with relaxed/relaxed canonicalization
+ */
+function signedMessage({ headers, body = BODY, domain = 'td.com', selector = 'rsa', algorithm = 'rsa-sha256' }) {
+  const bodyHash = crypto.createHash('sha256').update(body.replace(/(\r\n)+$/, '\r\n')).digest('base64');
+  const names = headers.map(h => h.slice(0, h.indexOf(':')).toLowerCase());
+  const dkim = `DKIM-Signature: v=1; a=${algorithm}; c=relaxed/relaxed; d=${domain}; s=${selector}; h=${names.join(':')}; bh=${bodyHash}; b=`;
+
+  const data = Buffer.from(headers.map(h => `${relaxedHeader(h)}\r\n`).join('') + relaxedHeader(dkim));
+  const signature = algorithm === 'ed25519-sha256'
+    ? crypto.sign(null, crypto.createHash('sha256').update(data).digest(), ed.privateKey)
+    : crypto.sign('sha256', data, rsa.privateKey);
+
+  return `${dkim}${signature.toString('base64')}\r\n${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+const HEADERS = [
+  'From: TD Alerts <alerts@td.com>',
+  'To: payments@shop.test',
+  'Subject: TD Alert: Interac e-Transfer Deposit'
+];
+
+describe('DKIM verification', () => {
+  test('passes an RSA-signed message', async () => {
+    const [result] = await verifyDkim(signedMessage({ headers: HEADERS }), { resolveKey });
+    expect(result).toMatchObject({ domain: 'td.com', result: 'pass' });
+  });
+
+  test('passes an Ed25519-signed message', async () => {
+    const raw = signedMessage({ headers: HEADERS, selector: 'ed', algorithm: 'ed25519-sha256' });
+    const [result] = await verifyDkim(raw, { resolveKey });
+    expect(result.result).toBe('pass');
+  });
+
+  test('fails when the body was changed', async () => {
+    const raw = signedMessage({ headers: HEADERS }).replace('$89.99', '$899.99');
+    const [result] = await verifyDkim(raw, { resolveKey });
+    expect(result).toMatchObject({ result: 'fail', reason: 'body hash does not match' });
+  });
+
+  test('fails when a signed header was changed', async () => {
+    const raw = signedMessage({ headers: HEADERS }).replace('payments@shop.test', 'other@shop.test');
+    const [result] = await verifyDkim(raw, { resolveKey });
+    expect(result).toMatchObject({ result: 'fail', reason: 'signature does not verify' });
+  });
+
+  test('tolerates refolded headers and trailing whitespace', async () => {
+    const raw = signedMessage({ headers: HEADERS })
+      .replace('Subject: TD Alert:', 'Subject:   TD Alert:\r\n   ')
+      .replace('deposited.\r\n', 'deposited.  \r\n');
+    const [result] = await verifyDkim(raw, { resolveKey });
+    expect(result.result).toBe('pass');
+  });
+
+  test('reports a missing key', async () => {
+    const [result] = await verifyDkim(signedMessage({ headers: HEADERS, selector: 'gone' }), { resolveKey });
+    expect(result).toMatchObject({ result: 'permerror', reason: 'no key published' });
+  });
+});
+
+describe('notification verification', () => {
+  afterEach(() => {
+    delete process.env.EMAIL_AUTH_TRUSTED_SERVERS;
+    delete process.env.NOTIFICATION_SENDER_DOMAINS;
+  });
+
+  const verify = raw => verifyNotification({ raw_source: raw }, { resolveKey });
+
+  test('verifies an allowed sender with an aligned signature', async () => {
+    const result = await verify(signedMessage({ headers: HEADERS }));
+    expect(result).toMatchObject({ verified: true, from_domain: 'td.com', via: 'dkim (td.com)' });
+  });
+
+  test('rejects an unsigned message', async () => {
+    const result = await verify(`${HEADERS.join('\r\n')}\r\n\r\n${BODY}`);
+    expect(result.verified).toBe(false);
+    expect(result.reasons).toEqual(['no DKIM signature or trusted authentication results for td.com']);
+  });
+
+  test('rejects a sender that is not on the allowlist', async () => {
+    const headers = ['From: alerts@td.com.example.net', ...HEADERS.slice(1)];
+    const result = await verify(signedMessage({ headers }));
+    expect(result.verified).toBe(false);
+    expect(result.reasons[0]).toBe('td.com.example.net is not an allowed notification sender');
+  });
+
+  test('rejects a second From header added above a signed message', async () => {
+    const result = await verify(`From: alerts@td.com\r\n${signedMessage({ headers: HEADERS })}`);
+    expect(result.verified).toBe(false);
+    expect(result.reasons).toContain('more than one From header');
+  });
+
+  test('uses the configured allowlist', async () => {
+    process.env.NOTIFICATION_SENDER_DOMAINS = 'rbc.com';
+    const result = await verify(signedMessage({ headers: HEADERS }));
+    expect(result.allowed_sender).toBe(false);
+  });
+
+  test('believes Authentication-Results only from a trusted server', async () => {
+    const raw = `Authentication-Results: mx.example.net; dkim=pass header.d=td.com; dmarc=pass (p=reject) header.from=td.com\r\n${HEADERS.join('\r\n')}\r\n\r\n${BODY}`;
+
+    expect((await verify(raw)).verified).toBe(false);
+
+    process.env.EMAIL_AUTH_TRUSTED_SERVERS = 'mx.example.net';
+    const result = await verify(raw);
+    expect(result).toMatchObject({ verified: true, via: 'authentication-results (mx.example.net)' });
+  });
+
+  test('ignores results forged below the trusted server\'s header', async () => {
+    process.env.EMAIL_AUTH_TRUSTED_SERVERS = 'mx.example.net';
+    const raw = [
+      'Authentication-Results: mx.example.net; dkim=none; dmarc=fail header.from=td.com',
+      'Authentication-Results: mx.example.net; dmarc=pass header.from=td.com',
+      ...HEADERS
+    ].join('\r\n') + `\r\n\r\n${BODY}`;
+    expect((await verify(raw)).verified).toBe(false);
+  });
+
+  test('accepts forwarded mail through a passing ARC chain', async () => {
+    process.env.EMAIL_AUTH_TRUSTED_SERVERS = 'mx.example.net, mx.forwarder.test';
+    const raw = [
+      'Authentication-Results: mx.example.net; dkim=fail header.d=td.com; arc=pass (i=1)',
+      'ARC-Authentication-Results: i=1; mx.forwarder.test; dkim=pass header.d=td.com; dmarc=pass header.from=td.com',
+      ...HEADERS
+    ].join('\r\n') + `\r\n\r\n${BODY}`;
+    const result = await verify(raw);
+    expect(result).toMatchObject({ verified: true, via: 'arc (mx.forwarder.test, i=1)' });
+  });
+
+  test('parses Authentication-Results with comments', () => {
+    const parsed = parseAuthenticationResults(' mx.example.net 1; dkim=pass (2048-bit key) header.d=td.com header.i=@td.com; spf=pass smtp.mailfrom=td.com');
+    expect(parsed.authservId).toBe('mx.example.net');
+    expect(parsed.results).toEqual([
+      { method: 'dkim', result: 'pass', props: { 'header.d': 'td.com', 'header.i': 'td.com' } },
+      { method: 'spf', result: 'pass', props: { 'smtp.mailfrom': 'td.com' } }
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * A migrated SQLite database in a temporary file, one per test file
+ *
+ * @example
+ * const { db, setupDatabase, teardownDatabase } = require('./helpers/database');
+ * beforeAll(setupDatabase);
+ * afterAll(teardownDatabase);
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbPath = path.join(os.tmpdir(), `ds-payment-test-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+process.env.SQLITE_PATH = dbPath;
+delete process.env.DATABASE_URL;
+
+const db = require('../../config/database');
+
+async function setupDatabase() {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await db.initialize();
+}
+
+async function teardownDatabase() {
+  await db.close();
+  fs.rmSync(dbPath, { force: true });
+  jest.restoreAllMocks();
+}
+
+/**
+ * Insert an order with the fields the services need
+ */
+let orderCount = 0;
+async function createOrder(fields = {}) {
+  orderCount++;
+  const id = await db.insert('orders', {
+    reference_number: `ORD-TEST${String(orderCount).padStart(3, '0')}`,
+    customer_email: `customer${orderCount}@example.com`,
+    amount_cents: 4500,
+    status: 'pending',
+    payment_email: 'pay@shop.test',
+    ...fields
+  });
+  return db.get('SELECT * FROM orders WHERE id = ?', [id]);
+}
+
+module.exports = { db, setupDatabase, teardownDatabase, createOrder };
@@ -0,0 +1,160 @@
+/**
+ * Idempotency-Key tests
+ * Requests go through the real middleware and order routes on a local port
+ */
+
+const express = require('express');
+const { db, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { idempotency } = require('../middleware/idempotency');
+const ordersRoutes = require('../routes/orders');
+
+let server;
+let baseUrl;
+let calls = 0;
+
+beforeAll(async () => {
+  await setupDatabase();
+  process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+
+  const app = express();
+  app.use(express.json());
+  app.post('/count', idempotency('test.count'), (req, res) => {
+    calls++;
+    res.status(201).json({ success: true, calls });
+  });
+  app.post('/throw', idempotency('test.throw'), () => {
+    calls++;
+    throw new Error('boom');
+  });
+  app.use('/api/orders', ordersRoutes);
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+  await teardownDatabase();
+});
+
+async function post(path, body, key) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Responses are saved just after they are sent
+const saved = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('response cache', () => {
+  test('replays the first response for a retry', async () => {
+    const first = await post('/count', { a: 1 }, 'replay-1');
+    await saved();
+    const retry = await post('/count', { a: 1 }, 'replay-1');
+
+    expect(first).toMatchObject({ status: 201, body: { calls: 1 } });
+    expect(retry).toMatchObject({ status: 201, body: { calls: 1 } });
+    expect(retry.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  test('refuses the same key with another payload', async () => {
+    await post('/count', { a: 1 }, 'payload-1');
+    await saved();
+
+    expect((await post('/count', { a: 2 }, 'payload-1')).status).toBe(422);
+  });
+
+  test('runs every request without a key', async () => {
+    const before = calls;
+    await post('/count', {});
+    await post('/count', {});
+
+    expect(calls).toBe(before + 2);
+  });
+});
+
+describe('unfinished requests', () => {
+  test('free their key when the handler throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const before = calls;
+
+    const first = await fetch(`${baseUrl}/throw`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'throw-1' },
+      body: '{}'
+    });
+    expect(first.status).toBe(500);
+    await saved();
+
+    expect(await db.get("SELECT * FROM idempotency_keys WHERE idempotency_key = 'throw-1'")).toBeFalsy();
+
+    await fetch(`${baseUrl}/throw`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'throw-1' },
+      body: '{}'
+    });
+    expect(calls).toBe(before + 2);
+  });
+
+  test('refuse a retry while the key is in progress', async () => {
+    const first = await post('/count', { a: 1 }, 'running-1');
+    await saved();
+    await db.run("UPDATE idempotency_keys SET status = 'in_progress' WHERE idempotency_key = 'running-1'");
+
+    expect((await post('/count', { a: 1 }, 'running-1')).status).toBe(409);
+    expect(first.status).toBe(201);
+  });
+
+  test('let a retry take over a key left in progress by a restart', async () => {
+    const first = await post('/count', { a: 1 }, 'stale-1');
+    await saved();
+    await db.run(
+      "UPDATE idempotency_keys SET status = 'in_progress', created_at = ? WHERE idempotency_key = 'stale-1'",
+      [new Date(Date.now() - 10 * 60 * 1000)]
+    );
+
+    const retry = await post('/count', { a: 1 }, 'stale-1');
+    await saved();
+
+    expect(retry.status).toBe(201);
+    expect(retry.body.calls).toBe(first.body.calls + 1);
+    expect(retry.headers.get('Idempotent-Replayed')).toBeNull();
+
+    const replay = await post('/count', { a: 1 }, 'stale-1');
+    expect(replay.body.calls).toBe(retry.body.calls);
+  });
+});
+
+describe('order security answers', () => {
+  beforeAll(() => db.insert('email_aliases', {
+    alias_email: 'manual@shop.test',
+    bank_slug: 'td',
+    daily_cap_cents: 500000,
+    requires_security_answer: true
+  }));
+
+  test('are not stored with the cached response, but are replayed', async () => {
+    const order = { customer_email: 'pat@example.com', amount: '45.00', payment_email: 'manual@shop.test' };
+
+    const first = await post('/api/orders', order, 'order-1');
+    await saved();
+    const answer = first.body.order.payment_instructions.security_answer;
+    expect(answer).toMatch(/^[0-9A-Z]{8}$/);
+
+    const stored = await db.get("SELECT response_body FROM idempotency_keys WHERE idempotency_key = 'order-1'");
+    expect(stored.response_body).not.toContain(answer);
+    expect(stored.response_body).toContain('security_question');
+
+    const retry = await post('/api/orders', order, 'order-1');
+    expect(retry.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(retry.body.order).toMatchObject({
+      id: first.body.order.id,
+      payment_instructions: { security_answer: answer }
+    });
+  });
+});
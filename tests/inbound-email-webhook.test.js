@@ -0,0 +1,105 @@
+/**
+ * Inbound email webhook tests
+ * Raw messages are stored as sent; a message the provider already parsed
+ * can't have its DKIM signature checked, so it is quarantined
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { db, setupDatabase, teardownDatabase } = require('./helpers/database');
+const webhookRoutes = require('../routes/webhooks');
+
+const SECRET = 'inbound-test-secret';
+
+const RAW = [
+  'From: Someone <someone@example.com>',
+  'To: pay@shop.test',
+  'Subject: Hello',
+  'Date: Sun, 03 Mar 2024 14:05:00 -0500',
+  'Message-ID: <webhook-1@example.com>',
+  '',
+  'Not a payment notification.',
+  ''
+].join('\r\n');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  await setupDatabase();
+  process.env.INBOUND_EMAIL_WEBHOOK_SECRET = SECRET;
+
+  const app = express();
+  app.use('/api/webhooks/inbound-email', express.raw({ type: () => true }));
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.INBOUND_EMAIL_WEBHOOK_SECRET;
+  await teardownDatabase();
+});
+
+async function post(body, contentType) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+  const response = await fetch(`${baseUrl}/api/webhooks/inbound-email`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': contentType,
+      'X-Inbound-Timestamp': timestamp,
+      'X-Inbound-Signature': `sha256=${signature}`
+    },
+    body
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('inbound email webhook', () => {
+  test('quarantines a message the provider already parsed, whatever its headers say', async () => {
+    process.env.EMAIL_AUTH_TRUSTED_SERVERS = 'mx.fastmail.com';
+    try {
+      const parsed = JSON.stringify({
+        from: 'Interac e-Transfer <notify@payments.interac.ca>',
+        to: 'pay@shop.test',
+        subject: 'INTERAC e-Transfer: JANE SAMPLE sent you money.',
+        message_id: '<parsed-1@payments.interac.ca>',
+        text: 'JANE SAMPLE sent you $45.00 (CAD) and the money has been automatically deposited into your bank account.\n\nReference Number: CA4Fz8Qk2Lm9',
+        headers: { 'Authentication-Results': 'mx.fastmail.com; dkim=pass header.d=payments.interac.ca' }
+      });
+
+      const result = await post(parsed, 'application/json');
+
+      expect(result.status).toBe(200);
+      expect(result.body.status).toBe('quarantined');
+      const email = await db.get('SELECT * FROM inbound_emails WHERE id = ?', [result.body.inbound_email_id]);
+      expect(email.composed).toBe(true);
+      expect(email.auth_result.reasons).toContain('rebuilt from parsed fields, without the original message source');
+      expect(await db.get('SELECT COUNT(*) AS count FROM payments')).toEqual({ count: 0 });
+    } finally {
+      delete process.env.EMAIL_AUTH_TRUSTED_SERVERS;
+    }
+  });
+
+  test('refuses JSON with neither raw nor parsed fields', async () => {
+    expect((await post(JSON.stringify({ subject: 'Hello' }), 'application/json')).status).toBe(400);
+  });
+
+  test.each([
+    ['as the body', () => RAW, 'message/rfc822'],
+    ['as JSON', () => JSON.stringify({ raw: Buffer.from(RAW).toString('base64'), encoding: 'base64' }), 'application/json']
+  ])('stores the raw source sent %s', async (name, body, contentType) => {
+    await db.run('DELETE FROM inbound_emails');
+
+    const result = await post(body(), contentType);
+    expect(result.status).toBe(200);
+
+    const email = await db.get('SELECT * FROM inbound_emails WHERE id = ?', [result.body.inbound_email_id]);
+    expect(email.raw_source).toBe(RAW);
+    expect(email.composed).toBe(false);
+  });
+});
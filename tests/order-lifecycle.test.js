@@ -0,0 +1,62 @@
+/**
+ * Order lifecycle tests
+ * Every status change goes through the transition table and is audited
+ */
+
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const {
+  transitionOrder,
+  canTransition,
+  InvalidTransitionError,
+  OrderNotFoundError
+} = require('../services/order-lifecycle');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+async function events(orderId) {
+  return db.query('SELECT * FROM payment_events WHERE order_id = ? ORDER BY id', [orderId]);
+}
+
+describe('transitions', () => {
+  test('set paid_at and write an audit event', async () => {
+    const order = await createOrder();
+    const { order: paid } = await transitionOrder(order.id, 'paid', { source: 'admin' });
+
+    expect(paid.status).toBe('paid');
+    expect(paid.paid_at).toBeTruthy();
+    expect((await events(order.id)).map(e => e.event_data)).toEqual([
+      expect.objectContaining({ from_status: 'pending', new_status: 'paid', source: 'admin', reason: null })
+    ]);
+  });
+
+  test('refuse a change the table does not allow and leave the order alone', async () => {
+    const order = await createOrder({ status: 'refunded' });
+
+    expect(canTransition('refunded', 'paid')).toBe(false);
+    await expect(transitionOrder(order.id, 'paid')).rejects.toMatchObject({
+      name: InvalidTransitionError.name,
+      status: 409,
+      currentStatus: 'refunded'
+    });
+    expect((await db.get('SELECT status FROM orders WHERE id = ?', [order.id])).status).toBe('refunded');
+    expect(await events(order.id)).toHaveLength(0);
+  });
+
+  test('need a reason to undo a decision', async () => {
+    const order = await createOrder({ status: 'paid' });
+
+    await expect(transitionOrder(order.id, 'pending')).rejects.toThrow('requires a reason');
+
+    const { order: reopened } = await transitionOrder(order.id, 'pending', { source: 'admin', reason: 'bounced' });
+    expect(reopened.status).toBe('pending');
+    expect((await events(order.id))[0].event_data).toMatchObject({ reason: 'bounced' });
+  });
+
+  test('refuse an unknown status or order', async () => {
+    const order = await createOrder();
+
+    await expect(transitionOrder(order.id, 'shipped')).rejects.toThrow('Unknown order status: shipped');
+    await expect(transitionOrder(999999, 'paid')).rejects.toBeInstanceOf(OrderNotFoundError);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Order search tests
+ * Filters run against a migrated SQLite database
+ */
+
+const { setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const { searchOrders } = require('../services/order-search');
+const { listInboundEmails } = require('../services/inbound-emails');
+
+beforeAll(async () => {
+  await setupDatabase();
+  await createOrder();
+  await createOrder({ status: 'paid' });
+  await createOrder({ status: 'cancelled' });
+});
+afterAll(teardownDatabase);
+
+describe('status filter', () => {
+  test('takes a comma-separated list', async () => {
+    const result = await searchOrders({ status: 'paid, cancelled' });
+    expect(result.orders.map(o => o.status).sort()).toEqual(['cancelled', 'paid']);
+  });
+
+  test.each([',', ' ', ' , '])('is skipped when %j names no status', async (status) => {
+    const result = await searchOrders({ status });
+    expect(result.totals.count).toBe(3);
+  });
+
+  test('falls back to the default statuses when listing inbound emails', async () => {
+    await expect(listInboundEmails({ status: ',' })).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Order status stream tests
+ * A stream follows its order until the client leaves, including a client
+ * that leaves before the stream has started
+ */
+
+const http = require('http');
+const express = require('express');
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const orderRoutes = require('../routes/orders');
+const { createOrderToken } = require('../services/order-tokens');
+const { publishOrderEvent } = require('../services/order-events');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  process.env.ORDER_TOKEN_SECRET = 'test-secret';
+  await setupDatabase();
+
+  const app = express();
+  app.use('/api/orders', orderRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await teardownDatabase();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const streamUrl = order => `${baseUrl}/api/orders/${order.reference_number}/stream?token=${createOrderToken(order).token}`;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the stream until its text includes what is expected
+ */
+async function readUntil(reader, expected) {
+  const decoder = new TextDecoder();
+  let text = '';
+  while (!text.includes(expected)) {
+    const { value, done } = await reader.read();
+    if (done) throw new Error(`Stream ended before ${expected}`);
+    text += decoder.decode(value);
+  }
+  return text;
+}
+
+describe('order stream', () => {
+  test('sends the snapshot, then each change', async () => {
+    const order = await createOrder();
+    const controller = new AbortController();
+    const response = await fetch(streamUrl(order), { signal: controller.signal });
+    const reader = response.body.getReader();
+
+    expect(await readUntil(reader, 'event: snapshot')).toContain('"status":"pending"');
+
+    publishOrderEvent({ ...order, status: 'paid', amount_received_cents: 4500 }, 'paid');
+    expect(await readUntil(reader, 'event: paid')).toContain('"amount_remaining_cents":0');
+
+    controller.abort();
+  });
+
+  test('stops following an order the client left while it was being read', async () => {
+    const order = await createOrder();
+    const controller = new AbortController();
+    const get = db.get.bind(db);
+    let read;
+    jest.spyOn(db, 'get').mockImplementationOnce((...args) => {
+      controller.abort();
+      read = wait(50).then(() => get(...args));
+      return read;
+    });
+    const write = jest.spyOn(http.ServerResponse.prototype, 'write');
+
+    await expect(fetch(streamUrl(order), { signal: controller.signal })).rejects.toThrow();
+    await read;
+    await wait(10);
+
+    publishOrderEvent({ ...order, status: 'paid' }, 'paid');
+    expect(write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Customer order token tests
+ */
+
+const {
+  createOrderToken,
+  verifyOrderToken,
+  checkOrderTokenSecret,
+  MissingOrderTokenSecretError
+} = require('../services/order-tokens');
+
+const ORDER = { id: 7, reference_number: 'ORD-7K3M9QX' };
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+  jest.restoreAllMocks();
+});
+
+describe('tokens', () => {
+  test('verify for their order until they are tampered with', () => {
+    process.env.ORDER_TOKEN_SECRET = 'test-secret';
+    const { token } = createOrderToken(ORDER);
+
+    expect(verifyOrderToken(token)).toEqual({ orderId: 7, reference: 'ORD-7K3M9QX' });
+    expect(verifyOrderToken(`${token.split('.')[0]}.AAAA`)).toBeNull();
+
+    process.env.ORDER_TOKEN_SECRET = 'another-secret';
+    expect(verifyOrderToken(token)).toBeNull();
+  });
+});
+
+describe('secret', () => {
+  test('is required in production', () => {
+    delete process.env.ORDER_TOKEN_SECRET;
+    process.env.NODE_ENV = 'production';
+
+    expect(() => checkOrderTokenSecret()).toThrow(MissingOrderTokenSecretError);
+    expect(() => createOrderToken(ORDER)).toThrow(MissingOrderTokenSecretError);
+  });
+
+  test('falls back to a temporary one in development', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete process.env.ORDER_TOKEN_SECRET;
+    process.env.NODE_ENV = 'development';
+
+    expect(() => checkOrderTokenSecret()).not.toThrow();
+    expect(verifyOrderToken(createOrderToken(ORDER).token)).toMatchObject({ orderId: 7 });
+  });
+});
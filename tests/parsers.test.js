@@ -0,0 +1,161 @@
+/**
+ * Notification parser tests
+ * Each fixture in tests/fixtures/notifications is an anonymized copy of a
+ * real notification format
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const { parseNotification, detectFormat } = require('../services/parsers');
+const { toEmail } = require('../services/parsers/common');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'notifications');
+
+async function loadFixture(name) {
+  return simpleParser(fs.readFileSync(path.join(FIXTURES, `${name}.eml`)));
+}
+
+const CASES = [
+  ['interac-en', 'interac', 'en', 12550, 'JANE SAMPLE', 'ORD-NXMN7K3', 'CA4Fz8Qk2Lm9'],
+  ['interac-fr', 'interac', 'fr', 123450, 'JEAN EXEMPLE', 'ORD-E1V0H12', 'CA7Rt2Wp5Xn1'],
+  ['td-en', 'td', 'en', 8999, 'PAT EXAMPLE', 'ORD-592J76F', 'C1A9bX3kQ7Z2'],
+  ['td-fr', 'td', 'fr', 8999, 'MARIE EXEMPLE', 'ORD-Q5T7P1Z', 'C1B4nP8sT2W6'],
+  ['rbc-en', 'rbc', 'en', 4500, 'SAM TESTER', 'ORD-6MRE0T8', 'CA8Jk3Lm4Np5'],
+  ['rbc-fr', 'rbc', 'fr', 4500, 'LUC ESSAI', 'ORD-J18VBQK', 'CA2Qw9Er8Ty7'],
+  ['bmo-en', 'bmo', 'en', 21000, 'ALEX DEMO', 'ORD-9FPY3JY', 'CAd5Fg6Hj7Kl'],
+  ['bmo-fr', 'bmo', 'fr', 21000, 'CLAIRE DÉMO', 'ORD-TJ1BDQE', 'CAz1Xc2Vb3Nm'],
+  ['scotiabank-en', 'scotiabank', 'en', 105000, 'CHRIS PLACEHOLDER', 'ORD-AGW2CRR', 'CAq1W2e3R4t5'],
+  ['scotiabank-fr', 'scotiabank', 'fr', 105000, 'SOPHIE FICTIF', 'ORD-YGD5W0E', 'CAy6U7i8O9p0'],
+  ['cibc-en', 'cibc', 'en', 6025, 'ROBIN MOCK', 'ORD-AFAYSND', 'CAh4J5k6L7m8'],
+  ['cibc-fr', 'cibc', 'fr', 6025, 'ÉLODIE SIMULÉE', 'ORD-WSC93AW', 'CAg9H8j7K6l5'],
+  ['desjardins-en', 'desjardins', 'en', 30000, 'TAYLOR SAMPLE', 'ORD-43DR0WZ', 'CAx5C6v7B8n9'],
+  ['desjardins-fr', 'desjardins', 'fr', 30000, 'GABRIEL FICTIF', 'ORD-82TM89Q', 'CAm1N2b3V4c5'],
+  ['tangerine-en', 'tangerine', 'en', 7500, 'JORDAN TEST', 'ORD-2T5KAAZ', 'CAp0O9i8U7y6'],
+  ['tangerine-fr', 'tangerine', 'fr', 7500, 'NOÉMIE ESSAI', 'ORD-2P2JRGH', 'CAt5R4e3W2q1']
+];
+
+describe('notification parsers', () => {
+  test.each(CASES)('%s', async (fixture, parser, language, amountCents, senderName, referenceCode, transactionId) => {
+    const result = parseNotification(await loadFixture(fixture));
+
+    expect(result).toMatchObject({
+      parser,
+      language,
+      isInterac: true,
+      amountCents,
+      currency: 'CAD',
+      senderName,
+      referenceCode,
+      transactionId
+    });
+    expect(result.confidence).toBe(100);
+  });
+
+  test('detects the format of each fixture', async () => {
+    for (const [fixture, parser] of CASES) {
+      const email = toEmail(await loadFixture(fixture));
+      expect(detectFormat(email).parser.name).toBe(parser);
+    }
+  });
+
+  test('ignores balance and fee lines above the transfer amount', async () => {
+    // td-en shows a $4,812.33 balance, bmo-en a $1.50 fee, before the amount
+    expect(parseNotification(await loadFixture('td-en')).amountCents).toBe(8999);
+    expect(parseNotification(await loadFixture('bmo-en')).amountCents).toBe(21000);
+  });
+
+  test('reads the sender email where the bank gives it', async () => {
+    const result = parseNotification(await loadFixture('scotiabank-fr'));
+    expect(result.senderEmail).toBe('sophie.fictif@example.org');
+  });
+
+  test('corrects mistyped references in the message', async () => {
+    // "commande ord e1v0h12" and "order 0RD-6MRE0T8"
+    expect(parseNotification(await loadFixture('interac-fr')).referenceCode).toBe('ORD-E1V0H12');
+    expect(parseNotification(await loadFixture('rbc-en')).referenceCode).toBe('ORD-6MRE0T8');
+  });
+
+  test('accepts a bare reference code typed without the prefix', async () => {
+    expect(parseNotification(await loadFixture('td-en')).referenceCode).toBe('ORD-592J76F');
+  });
+
+  test('does not take the bank reference number as the order reference', () => {
+    const result = parseNotification({
+      from: 'alerts@td.com',
+      subject: 'TD Alert: Interac e-Transfer Deposit',
+      text: 'An Interac e-Transfer of $20.00 from PAT EXAMPLE has been deposited.\nMessage: thanks\nReference number: C1A9BX3KQ7Z2'
+    });
+    expect(result.referenceCode).toBeNull();
+    expect(result.transactionId).toBe('C1A9BX3KQ7Z2');
+  });
+
+  test('gives no confidence when a known format has no amount', () => {
+    const result = parseNotification({
+      from: 'alerts@td.com',
+      subject: 'TD Alert: Interac e-Transfer Deposit',
+      text: 'Your Interac e-Transfer settings have changed. Available balance: $4,812.33'
+    });
+    expect(result.parser).toBe('td');
+    expect(result.amountCents).toBeNull();
+    expect(result.confidence).toBe(0);
+  });
+
+  test('lowers confidence for missing fields', () => {
+    const result = parseNotification({
+      from: 'notify@rbc.com',
+      subject: 'Interac e-Transfer Autodeposit',
+      text: 'Interac e-Transfer received.\nAmount: $45.00\nMessage: ORD-6MRE0T8'
+    });
+    expect(result.amountCents).toBe(4500);
+    expect(result.confidence).toBe(80);
+  });
+
+  test('falls back to the generic patterns at low confidence', () => {
+    const result = parseNotification('You received an Interac e-Transfer of $33.10 from Kim Someone. Message: ORD-NXMN7K3');
+    expect(result.parser).toBe('generic');
+    expect(result.amountCents).toBe(3310);
+    expect(result.referenceCode).toBe('ORD-NXMN7K3');
+    expect(result.confidence).toBeLessThan(70);
+  });
+
+  test('reports a deposit for every fixture', async () => {
+    // bmo-fr waives a fee ("frais ... annulés"), which is not a cancellation
+    for (const [fixture] of CASES) {
+      expect(parseNotification(await loadFixture(fixture)).eventType).toBe('deposited');
+    }
+  });
+
+  test.each([
+    ['deposit_pending', 'INTERAC e-Transfer: JANE SAMPLE sent you money.', 'JANE SAMPLE sent you $125.50 (CAD).\nTo deposit your money, click here:\nhttps://etransfer.interac.ca/x\nMessage: ORD-NXMN7K3\nReference Number: CA4Fz8Qk2Lm9'],
+    ['deposit_pending', 'Virement INTERAC : JEAN EXEMPLE vous a envoyé des fonds', 'JEAN EXEMPLE vous a envoyé 125,50 $ (CAD).\nPour déposer vos fonds, cliquez ici.\nNuméro de référence : CA4Fz8Qk2Lm9'],
+    ['cancelled', 'INTERAC e-Transfer: transfer cancelled', 'The Interac e-Transfer of $125.50 (CAD) from JANE SAMPLE has been cancelled by the sender.\nReference Number: CA4Fz8Qk2Lm9'],
+    ['expired', 'INTERAC e-Transfer: transfer expired', 'The Interac e-Transfer of $125.50 sent to you by JANE SAMPLE has expired.\nReference Number: CA4Fz8Qk2Lm9']
+  ])('event type %s', (eventType, subject, text) => {
+    const result = parseNotification({ from: 'notify@payments.interac.ca', subject, text });
+    expect(result).toMatchObject({ eventType, amountCents: 12550, transactionId: 'CA4Fz8Qk2Lm9' });
+  });
+
+  test.each([
+    ['interac-pending-en', 12550, 'CA4Fz8Qk2Lm9'],
+    ['interac-pending-fr', 123450, 'CA7Rt2Wp5Xn1']
+  ])('%s: a transfer to deposit, whatever it says about cancelling it', async (fixture, amountCents, transactionId) => {
+    const result = parseNotification(await loadFixture(fixture));
+    expect(result).toMatchObject({ parser: 'interac', eventType: 'deposit_pending', amountCents, transactionId });
+  });
+
+  test('ignores event words in the sender\'s message', () => {
+    const result = parseNotification({
+      from: 'alerts@td.com',
+      subject: 'TD Alert: Interac e-Transfer Deposit',
+      text: 'An Interac e-Transfer of $89.99 from PAT EXAMPLE has been deposited.\nMessage: please cancel my other transfer\nReference number: C1A9BX3KQ7Z2'
+    });
+    expect(result.eventType).toBe('deposited');
+  });
+
+  test('marks other emails as not Interac', () => {
+    const result = parseNotification({ from: 'news@example.com', subject: 'Weekly digest', text: 'Sale: $10 off' });
+    expect(result.isInterac).toBe(false);
+    expect(result.confidence).toBe(0);
+  });
+});
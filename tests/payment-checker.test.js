@@ -0,0 +1,162 @@
+/**
+ * Payment processing tests
+ * A transfer is applied once; a transfer only logged as unmatched can
+ * still be matched when its notification is processed again. Transfers
+ * waiting for deposit hold their order, and cancelled or reversed
+ * transfers undo what they did, unless no bank parser recognised the notice.
+ */
+
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const { processPayment, processPendingDeposit, processTransferCancellation } = require('../services/payment-checker');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+function notification(fields = {}) {
+  return {
+    amount: '45.00',
+    amountCents: 4500,
+    senderName: 'PAT EXAMPLE',
+    senderEmail: 'pat@example.com',
+    receivedAt: new Date().toISOString(),
+    ...fields
+  };
+}
+
+describe('duplicate transfers', () => {
+  test('refuses a transfer already recorded as a payment', async () => {
+    const order = await createOrder();
+    const payment = notification({ referenceCode: order.reference_number, transactionId: 'CA1000000001' });
+
+    expect((await processPayment(payment)).success).toBe(true);
+    expect(await processPayment(payment)).toMatchObject({ success: false, duplicate: true });
+
+    const payments = await db.query('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+    expect(payments).toHaveLength(1);
+  });
+
+  test('matches a transfer logged as unmatched once its order exists', async () => {
+    const payment = notification({ referenceCode: 'ORD-7K3M9QX', transactionId: 'CA1000000002' });
+
+    expect(await processPayment(payment)).toMatchObject({ success: false, unmatched: true });
+    const unmatched = await db.get('SELECT * FROM unmatched_payments WHERE transaction_id = ?', ['CA1000000002']);
+    expect(unmatched.resolved).toBe(false);
+
+    const order = await createOrder({ reference_number: 'ORD-7K3M9QX' });
+    const result = await processPayment(payment);
+
+    expect(result.success).toBe(true);
+    expect(result.order).toMatchObject({ id: order.id, status: 'paid' });
+
+    const payments = await db.query('SELECT * FROM payments WHERE transaction_id = ?', ['CA1000000002']);
+    expect(payments).toHaveLength(1);
+    expect(payments[0].unmatched_payment_id).toBe(unmatched.id);
+
+    const resolved = await db.get('SELECT * FROM unmatched_payments WHERE id = ?', [unmatched.id]);
+    expect(resolved).toMatchObject({ resolved: true, resolved_by: 'payment_checker' });
+
+    expect(await processPayment(payment)).toMatchObject({ duplicate: true });
+  });
+
+  test('reuses the unmatched payment when the transfer still matches nothing', async () => {
+    const payment = notification({ amountCents: 1234, amount: '12.34', transactionId: 'CA1000000003' });
+
+    expect(await processPayment(payment)).toMatchObject({ unmatched: true });
+    expect(await processPayment(payment)).toMatchObject({ unmatched: true });
+
+    const rows = await db.query('SELECT * FROM unmatched_payments WHERE transaction_id = ?', ['CA1000000003']);
+    expect(rows).toHaveLength(1);
+  });
+
+  test('refuses a transfer whose unmatched payment was resolved', async () => {
+    const payment = notification({ amountCents: 2222, amount: '22.22', transactionId: 'CA1000000004' });
+    await processPayment(payment);
+    await db.run('UPDATE unmatched_payments SET resolved = ? WHERE transaction_id = ?', [true, 'CA1000000004']);
+
+    expect(await processPayment(payment)).toMatchObject({ duplicate: true });
+  });
+});
+
+describe('transfers waiting for deposit', () => {
+  const statusOf = async (order) => (await db.get('SELECT status FROM orders WHERE id = ?', [order.id])).status;
+  const depositFor = transactionId => db.get('SELECT * FROM pending_deposits WHERE transaction_id = ?', [transactionId]);
+
+  test('hold the order until the deposit notice pays it', async () => {
+    const order = await createOrder();
+    const notice = notification({ referenceCode: order.reference_number, transactionId: 'CA2000000001' });
+
+    expect(await processPendingDeposit(notice)).toMatchObject({ success: true, pendingDeposit: true });
+    expect(await statusOf(order)).toBe('deposit_pending');
+    expect(await processPendingDeposit(notice)).toMatchObject({ duplicate: true });
+
+    // The deposit notice carries the transaction ID, not the reference
+    const result = await processPayment(notification({ transactionId: 'CA2000000001', senderEmail: null }));
+    expect(result.order).toMatchObject({ id: order.id, status: 'paid' });
+    expect(await depositFor('CA2000000001')).toMatchObject({ status: 'deposited', order_id: order.id });
+  });
+
+  test('release the order when the transfer is cancelled', async () => {
+    const order = await createOrder({ status: 'awaiting_payment' });
+    await processPendingDeposit(notification({ referenceCode: order.reference_number, transactionId: 'CA2000000002' }));
+
+    const result = await processTransferCancellation(notification({ eventType: 'cancelled', transactionId: 'CA2000000002' }));
+
+    expect(result.order).toMatchObject({ id: order.id, status: 'awaiting_payment' });
+    expect(await depositFor('CA2000000002')).toMatchObject({ status: 'cancelled' });
+  });
+});
+
+describe('reversed transfers', () => {
+  test('reverse the payment and reopen the order', async () => {
+    const order = await createOrder();
+    await processPayment(notification({ referenceCode: order.reference_number, transactionId: 'CA3000000001' }));
+
+    const result = await processTransferCancellation(notification({ eventType: 'reversed', transactionId: 'CA3000000001' }));
+
+    expect(result.order).toMatchObject({ id: order.id, status: 'pending', amount_received_cents: 0 });
+    const payment = await db.get('SELECT * FROM payments WHERE transaction_id = ?', ['CA3000000001']);
+    expect(payment.reversed_at).toBeTruthy();
+
+    expect(await processTransferCancellation(notification({ eventType: 'reversed', transactionId: 'CA3000000001' })))
+      .toMatchObject({ ignored: true });
+  });
+
+  test('leave a completed order alone for an admin', async () => {
+    const order = await createOrder();
+    await processPayment(notification({ referenceCode: order.reference_number, transactionId: 'CA3000000002' }));
+    await db.run("UPDATE orders SET status = 'completed' WHERE id = ?", [order.id]);
+
+    const result = await processTransferCancellation(notification({ eventType: 'reversed', transactionId: 'CA3000000002' }));
+
+    expect(result).toMatchObject({ success: false, needsReview: true, order: { status: 'completed' } });
+    const payment = await db.get('SELECT * FROM payments WHERE transaction_id = ?', ['CA3000000002']);
+    expect(payment.reversed_at).toBeNull();
+  });
+});
+
+describe('cancellations in an unrecognised format', () => {
+  // What the generic parser gives a notice no bank parser recognised
+  const unrecognised = fields => notification({ parser: 'generic', confidence: 40, ...fields });
+
+  test('leave a held transfer for review', async () => {
+    const order = await createOrder({ status: 'awaiting_payment' });
+    await processPendingDeposit(notification({ referenceCode: order.reference_number, transactionId: 'CA4000000001' }));
+
+    const result = await processTransferCancellation(unrecognised({ eventType: 'cancelled', transactionId: 'CA4000000001' }));
+
+    expect(result).toMatchObject({ success: false, needsReview: true, order: { id: order.id, status: 'deposit_pending' } });
+    const deposit = await db.get('SELECT * FROM pending_deposits WHERE transaction_id = ?', ['CA4000000001']);
+    expect(deposit.status).toBe('pending');
+  });
+
+  test('leave a recorded payment for review', async () => {
+    const order = await createOrder();
+    await processPayment(notification({ referenceCode: order.reference_number, transactionId: 'CA4000000002' }));
+
+    const result = await processTransferCancellation(unrecognised({ eventType: 'reversed', transactionId: 'CA4000000002' }));
+
+    expect(result).toMatchObject({ success: false, needsReview: true, order: { id: order.id, status: 'paid' } });
+    const payment = await db.get('SELECT * FROM payments WHERE transaction_id = ?', ['CA4000000002']);
+    expect(payment.reversed_at).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Payment confirmation webhook tests
+ * A transfer first logged as unmatched is applied once its order is named
+ */
+
+const express = require('express');
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const webhookRoutes = require('../routes/webhooks');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await teardownDatabase();
+});
+
+async function post(body) {
+  const response = await fetch(`${baseUrl}/api/webhooks/payment-confirmed`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const unmatchedFor = transactionId =>
+  db.get('SELECT * FROM unmatched_payments WHERE transaction_id = ?', [transactionId]);
+
+describe('unmatched transfers', () => {
+  test('are applied and resolved when a later confirmation names the order', async () => {
+    const order = await createOrder({ reference_number: 'ORD-CONF001' });
+
+    const missed = await post({ reference_number: 'ORD-NOPE01', amount: '45.00', transaction_id: 'ca1b2c3' });
+    expect(missed.status).toBe(404);
+    const unmatched = await unmatchedFor('CA1B2C3');
+    expect(unmatched.resolved).toBe(false);
+
+    const confirmed = await post({ reference_number: order.reference_number, amount: '45.00', transaction_id: 'ca1b2c3' });
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.order.status).toBe('paid');
+
+    const payment = await db.get('SELECT * FROM payments WHERE transaction_id = ?', ['CA1B2C3']);
+    expect(payment).toMatchObject({ order_id: order.id, unmatched_payment_id: unmatched.id });
+    expect(await unmatchedFor('CA1B2C3')).toMatchObject({ resolved: true, resolved_by: 'payment_confirmed_webhook' });
+
+    const again = await post({ reference_number: order.reference_number, amount: '45.00', transaction_id: 'ca1b2c3' });
+    expect(again.status).toBe(409);
+    expect(again.body.payment_id).toBe(payment.id);
+  });
+
+  test('stay logged once while the order still cannot be found', async () => {
+    await post({ reference_number: 'ORD-NOPE02', amount: '12.00', transaction_id: 'cb1' });
+    const retried = await post({ reference_number: 'ORD-NOPE02', amount: '12.00', transaction_id: 'cb1' });
+
+    expect(retried.status).toBe(404);
+    expect(retried.body.unmatched_payment_id).toBe((await unmatchedFor('CB1')).id);
+    expect(await db.query('SELECT * FROM unmatched_payments WHERE transaction_id = ?', ['CB1'])).toHaveLength(1);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Payment matcher tests
+ * Scoring is pure; matching looks candidates up in a test database
+ */
+
+const { setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const {
+  matchPaymentToOrder,
+  scoreCandidate,
+  describeMatch,
+  nameSimilarity,
+  getMatchSettings,
+  getMatchThresholds
+} = require('../services/payment-matcher');
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+
+function order(fields = {}) {
+  return {
+    id: 1,
+    reference_number: 'ORD-7K3M9QX',
+    customer_email: 'jane@example.com',
+    customer_name: 'Jane Sample',
+    amount_cents: 4500,
+    amount_received_cents: 0,
+    payment_email: 'pay@shop.test',
+    created_at: '2024-05-01 11:50:00',
+    ...fields
+  };
+}
+
+function score(orderFields, payment, context = {}) {
+  return scoreCandidate(order(orderFields), payment, {
+    settings: getMatchSettings(),
+    paymentTime: NOW,
+    ...context
+  });
+}
+
+const points = (result, name) => (result.signals.find(s => s.signal === name) || {}).points;
+
+describe('payment matcher scoring', () => {
+  test('reference and exact amount reach 100', () => {
+    const result = score({}, { amountCents: 4500 }, { referenceMatch: 'exact' });
+    expect(result.score).toBe(100);
+    expect(describeMatch(result.signals)).toBe('reference_and_amount');
+  });
+
+  test('an amount alone on an old order only reaches review', () => {
+    const result = score({ created_at: '2024-04-30 12:00:00' }, { amountCents: 4500 }, { alias: 'pay@shop.test' });
+    expect(result.score).toBe(55);
+    expect(describeMatch(result.signals)).toBe('amount_only');
+  });
+
+  test('recency falls off after the recent window', () => {
+    const recent = score({}, { amountCents: 4500 });
+    const hourOld = score({ created_at: '2024-05-01 11:00:00' }, { amountCents: 4500 });
+    expect(points(recent, 'recency')).toBe(25);
+    expect(points(hourOld, 'recency')).toBe(12.5);
+  });
+
+  test('gives no recency to orders created after the payment', () => {
+    const result = score({ created_at: '2024-05-01 12:30:00' }, { amountCents: 4500 });
+    expect(points(result, 'recency')).toBeUndefined();
+  });
+
+  test('a tolerant amount scores less than an exact one', () => {
+    const result = score({}, { amountCents: 4480 });
+    expect(result.signals.find(s => s.signal === 'amount').detail).toBe('within 1%');
+    expect(points(result, 'amount')).toBe(20);
+  });
+
+  test('subtracts points for a payment to another alias', () => {
+    const result = score({}, { amountCents: 4500 }, { alias: 'other@shop.test' });
+    expect(points(result, 'alias')).toBe(-5);
+  });
+
+  test('counts sender email, name and the payment-sent click, below review without an amount', () => {
+    const result = score({ created_at: '2024-04-29 12:00:00' }, {
+      amountCents: 100,
+      senderEmail: 'JANE@example.com',
+      senderName: 'SAMPLE J'
+    }, { paymentSent: true });
+    expect(result.signals.map(s => s.signal)).toEqual(['sender_email', 'sender_name', 'payment_sent']);
+    expect(result.score).toBe(49);
+  });
+
+  test('reads weights from the environment', () => {
+    process.env.MATCH_WEIGHT_AMOUNT_EXACT = '55';
+    try {
+      const result = score({}, { amountCents: 4500 }, { paymentTime: NOW + 7 * 86400000 });
+      expect(result.score).toBe(55);
+    } finally {
+      delete process.env.MATCH_WEIGHT_AMOUNT_EXACT;
+    }
+  });
+});
+
+// What the priority rules before weighted scoring did with each case
+describe('old priority rule outcomes', () => {
+  function outcome(result) {
+    const { autoConfirm, review } = getMatchThresholds();
+    if (result.score >= autoConfirm) return 'confirm';
+    return result.score >= review ? 'review' : 'unmatched';
+  }
+
+  const OLD = { created_at: '2024-05-01 08:00:00' };
+  const ALIAS = { alias: 'pay@shop.test' };
+
+  test.each([
+    ['reference and amount', {}, { amountCents: 4500 }, { referenceMatch: 'exact' }, 'confirm'],
+    ['reference with another amount (split payment)', OLD, { amountCents: 2000 }, { referenceMatch: 'exact' }, 'confirm'],
+    ['corrected reference and amount', OLD, { amountCents: 4500 }, { referenceMatch: 'corrected' }, 'confirm'],
+    ['corrected reference alone', OLD, { amountCents: 2000 }, { referenceMatch: 'corrected' }, 'confirm'],
+    ['unique amount', { ...OLD, unique_amount: true }, { amountCents: 4500 }, { uniqueAmount: true, ...ALIAS }, 'confirm'],
+    ['sender email and amount', OLD, { amountCents: 4500, senderEmail: 'jane@example.com' }, {}, 'confirm'],
+    ['amount on a recent order', {}, { amountCents: 4500 }, ALIAS, 'confirm'],
+    ['amount on an old order', OLD, { amountCents: 4500 }, ALIAS, 'review'],
+    ['amount on an old order, alias unknown', OLD, { amountCents: 4500 }, {}, 'review'],
+    ['sender email on a recent order, no amount', {}, { amountCents: 100, senderEmail: 'jane@example.com', senderName: 'JANE SAMPLE' }, ALIAS, 'unmatched'],
+    ['amount within tolerance on a recent order', {}, { amountCents: 4480, senderEmail: 'jane@example.com' }, ALIAS, 'unmatched']
+  ])('%s', (name, orderFields, payment, context, expected) => {
+    expect(outcome(score(orderFields, payment, context))).toBe(expected);
+  });
+});
+
+describe('sender name similarity', () => {
+  test.each([
+    ['JANE SAMPLE', 'Jane Sample', 1],
+    ['SAMPLE, JANE', 'Jane Sample', 1],
+    ['J SAMPLE', 'Jane Sample', 1],
+    ['ÉLODIE SIMULÉE', 'Elodie Simulee', 1],
+    ['JANE Q SAMPLE', 'Jane Sample', 2 / 3],
+    ['JOHN DOE', 'Jane Sample', 0]
+  ])('%s vs %s', (a, b, expected) => {
+    expect(nameSimilarity(a, b)).toBeCloseTo(expected);
+  });
+});
+
+describe('matching', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  test('a reference beats another order of the same customer at the same price', async () => {
+    const customer = { customer_email: 'jane@example.com', customer_name: 'Jane Sample', created_at: new Date() };
+    const named = await createOrder({ ...customer, reference_number: 'ORD-7K3M9QX' });
+    await createOrder(customer);
+
+    const result = await matchPaymentToOrder({
+      amountCents: 4500,
+      referenceCode: 'ORD-7K3M9QX',
+      senderEmail: 'jane@example.com',
+      receivingAlias: 'pay@shop.test'
+    });
+
+    expect(result).toMatchObject({ confidence: 100, matchType: 'reference_and_amount' });
+    expect(result.order.id).toBe(named.id);
+    expect(result.breakdown.runner_up.score).toBe(100);
+    expect(result.breakdown.total).toBeGreaterThan(result.breakdown.runner_up.total);
+  });
+});
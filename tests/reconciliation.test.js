@@ -0,0 +1,125 @@
+/**
+ * Bank statement reconciliation tests
+ * Credits are matched to the payments recorded for them, and a statement
+ * imported again adds only the lines not seen before
+ */
+
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const { importStatement, ReconciliationError } = require('../services/reconciliation');
+
+const HEADER = 'Date Posted,Description,Transaction Amount';
+const MARCH = [
+  '2024-03-01,INTERAC E-TRANSFER CA1000000011,45.00',
+  '2024-03-04,INTERAC E-TRANSFER ORD-7K3M9QX,30.00',
+  '2024-03-03,INTERAC E-TRANSFER PAT EXAMPLE,12.34',
+  '2024-03-03,INTERAC E-TRANSFER SAM SAMPLE,99.00',
+  '2024-03-03,MONTHLY FEE,-5.00'
+];
+
+const orders = {};
+
+function statement(...rows) {
+  return { bankSlug: 'bmo', csv: [HEADER, ...rows].join('\n'), importedBy: 'test' };
+}
+
+async function paidOrder(name, fields, payment) {
+  const paidAt = payment ? payment.received_at : fields.paid_at;
+  const order = await createOrder({ status: 'paid', amount_received_cents: 4500, paid_at: paidAt, ...fields });
+  if (payment) {
+    await db.insert('payments', { order_id: order.id, amount_cents: order.amount_cents, source: 'email', ...payment });
+  }
+  orders[name] = order;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  await paidOrder('byTransaction', {}, {
+    transaction_id: 'CA1000000011',
+    received_at: new Date('2024-03-01T15:00:00Z')
+  });
+  // Same amount, the reference on the line decides; the other is nearer
+  await paidOrder('byReference', { reference_number: 'ORD-7K3M9QX', amount_cents: 3000 }, {
+    received_at: new Date('2024-03-02T15:00:00Z')
+  });
+  await paidOrder('nearer', { amount_cents: 3000 }, {
+    received_at: new Date('2024-03-04T15:00:00Z')
+  });
+  await paidOrder('withoutLine', { paid_at: new Date('2024-03-02T15:00:00Z') });
+
+  await db.insert('unmatched_payments', {
+    amount_cents: 1234,
+    sender_name: 'PAT EXAMPLE',
+    reason: 'No matching order found',
+    created_at: new Date('2024-03-03T09:00:00Z')
+  });
+});
+afterAll(teardownDatabase);
+
+describe('matching', () => {
+  let report;
+  beforeAll(async () => {
+    report = await importStatement(statement(...MARCH));
+  });
+
+  test('matches a credit to the payment with its transaction ID', () => {
+    expect(report.matched).toContainEqual(expect.objectContaining({
+      amount_cents: 4500,
+      order_id: orders.byTransaction.id
+    }));
+  });
+
+  test('prefers the payment for the reference on the line to a nearer one', () => {
+    expect(report.matched).toContainEqual(expect.objectContaining({
+      amount_cents: 3000,
+      order_id: orders.byReference.id
+    }));
+  });
+
+  test('finds a credit logged as unmatched, and one with no record at all', () => {
+    expect(report.unapplied.map(line => line.amount_cents)).toEqual([1234]);
+    expect(report.no_payment_record.map(line => line.amount_cents)).toEqual([9900]);
+  });
+
+  test('lists paid orders with no line and counts debits', () => {
+    expect(report.paid_orders_without_line.map(order => order.id))
+      .toEqual(expect.arrayContaining([orders.nearer.id, orders.withoutLine.id]));
+    expect(report.paid_orders_without_line).toHaveLength(2);
+    expect(report.import).toMatchObject({ credit_count: 4, debit_count: 1 });
+  });
+});
+
+describe('importing again', () => {
+  test('refuses a statement whose credits were all imported', async () => {
+    const before = await db.get('SELECT COUNT(*) AS count FROM statement_imports');
+
+    await expect(importStatement(statement(...MARCH))).rejects.toMatchObject({
+      name: ReconciliationError.name,
+      status: 409
+    });
+    expect(await db.get('SELECT COUNT(*) AS count FROM statement_imports')).toEqual(before);
+  });
+
+  test('adds only the new lines of an overlapping statement', async () => {
+    const report = await importStatement(statement(MARCH[0], MARCH[1], '2024-03-06,INTERAC E-TRANSFER NEW,77.00'));
+
+    // Line numbers count the header row
+    expect(report.skipped).toEqual([
+      { line_number: 2, reason: 'already imported' },
+      { line_number: 3, reason: 'already imported' }
+    ]);
+    expect(report.summary.credits).toBe(1);
+    expect(report.no_payment_record.map(line => line.amount_cents)).toEqual([7700]);
+    // Matched on the first import, so not listed again
+    expect(report.paid_orders_without_line.map(order => order.id)).not.toContain(orders.byTransaction.id);
+  });
+
+  test('counts identical lines, so one more like them is new', async () => {
+    const line = '2024-04-02,INTERAC E-TRANSFER,20.00';
+    await importStatement(statement(line));
+    const report = await importStatement(statement(line, line));
+
+    expect(report.skipped).toEqual([{ line_number: 2, reason: 'already imported' }]);
+    expect(report.summary.credits).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Refund tests
+ * A refund only moves the order's money once it is completed
+ */
+
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const { createRefund, updateRefundStatus, InvalidRefundError } = require('../services/refunds');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+const paidOrder = () => createOrder({ status: 'paid', amount_received_cents: 4500 });
+
+describe('refunds', () => {
+  test('a partial refund completes to partially_refunded', async () => {
+    const order = await paidOrder();
+    const refund = await createRefund(order.id, { amount_cents: 1500, reason: 'damaged' });
+
+    expect(refund).toMatchObject({ status: 'pending', amount_cents: 1500, recipient_email: order.customer_email });
+    expect((await db.get('SELECT * FROM orders WHERE id = ?', [order.id])).amount_refunded_cents).toBe(0);
+
+    await updateRefundStatus(order.id, refund.id, 'sent');
+    const result = await updateRefundStatus(order.id, refund.id, 'completed');
+
+    expect(result.refund.status).toBe('completed');
+    expect(result.order).toMatchObject({ status: 'partially_refunded', amount_refunded_cents: 1500 });
+  });
+
+  test('refunds default to what is left and end in refunded', async () => {
+    const order = await paidOrder();
+    const first = await createRefund(order.id, { amount_cents: 1000, reason: 'late' });
+    await updateRefundStatus(order.id, first.id, 'sent');
+    await updateRefundStatus(order.id, first.id, 'completed');
+
+    const rest = await createRefund(order.id, { reason: 'cancelled' });
+    expect(rest.amount_cents).toBe(3500);
+
+    await updateRefundStatus(order.id, rest.id, 'sent');
+    const { order: refunded } = await updateRefundStatus(order.id, rest.id, 'completed');
+    expect(refunded).toMatchObject({ status: 'refunded', amount_refunded_cents: 4500 });
+  });
+
+  test('refunds in progress count against what can still be refunded', async () => {
+    const order = await paidOrder();
+    await createRefund(order.id, { amount_cents: 4000, reason: 'first' });
+
+    await expect(createRefund(order.id, { amount_cents: 1000, reason: 'second' }))
+      .rejects.toMatchObject({ name: InvalidRefundError.name, status: 422 });
+  });
+
+  test('a cancelled refund frees its amount, and steps cannot be skipped or undone', async () => {
+    const order = await paidOrder();
+    const refund = await createRefund(order.id, { reason: 'mistake' });
+    await updateRefundStatus(order.id, refund.id, 'cancelled');
+
+    const again = await createRefund(order.id, { reason: 'for real' });
+    expect(again.amount_cents).toBe(4500);
+
+    await expect(updateRefundStatus(order.id, refund.id, 'sent'))
+      .rejects.toThrow('Cannot change refund status from cancelled to sent');
+    await expect(updateRefundStatus(order.id, again.id, 'completed'))
+      .rejects.toThrow('Cannot change refund status from pending to completed');
+  });
+
+  test('work on an order marked paid by hand, without payment rows', async () => {
+    const order = await createOrder({ status: 'completed' });
+
+    const refund = await createRefund(order.id, { reason: 'returned' });
+    expect(refund.amount_cents).toBe(4500);
+
+    await updateRefundStatus(order.id, refund.id, 'sent');
+    const { order: refunded } = await updateRefundStatus(order.id, refund.id, 'completed');
+    expect(refunded).toMatchObject({ status: 'refunded', amount_refunded_cents: 4500 });
+  });
+
+  test('need a reason and money received', async () => {
+    const unpaid = await createOrder();
+
+    await expect(createRefund(unpaid.id, {})).rejects.toMatchObject({ status: 400 });
+    await expect(createRefund(unpaid.id, { reason: 'x' })).rejects.toThrow('has nothing left to refund');
+  });
+});
+
+describe('WooCommerce', () => {
+  const WOO = 'https://woo.test';
+  let requests;
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      WOOCOMMERCE_API_URL: WOO,
+      WOOCOMMERCE_CONSUMER_KEY: 'ck',
+      WOOCOMMERCE_CONSUMER_SECRET: 'cs'
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.WOOCOMMERCE_API_URL;
+    delete process.env.WOOCOMMERCE_CONSUMER_KEY;
+    delete process.env.WOOCOMMERCE_CONSUMER_SECRET;
+  });
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(global, 'fetch').mockImplementation(async (url, init) => {
+      requests.push(`${init.method} ${url.replace(`${WOO}/wp-json/wc/v3`, '')}`);
+      return new Response(JSON.stringify({ id: 77 }), { status: 201 });
+    });
+  });
+
+  afterEach(() => global.fetch.mockRestore());
+
+  test('gets exactly one refund for a full refund, and no status change', async () => {
+    const order = await createOrder({ status: 'paid', amount_received_cents: 4500, woo_order_id: '321' });
+    const refund = await createRefund(order.id, { reason: 'returned' });
+    await updateRefundStatus(order.id, refund.id, 'sent');
+    await updateRefundStatus(order.id, refund.id, 'completed');
+
+    // The refund is sent once the status change has committed
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(requests).toEqual(['POST /orders/321/refunds']);
+    expect((await db.get('SELECT woo_refund_id FROM refunds WHERE id = ?', [refund.id])).woo_refund_id).toBe('77');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Security answer tests
+ * Orders for aliases without Autodeposit get an answer whichever path
+ * creates them; only its hash is stored
+ */
+
+const express = require('express');
+const { db, setupDatabase, teardownDatabase } = require('./helpers/database');
+const {
+  createSecurityAnswer,
+  revealSecurityAnswer,
+  verifySecurityAnswer,
+  SecurityAnswerError
+} = require('../services/security-answers');
+const webhookRoutes = require('../routes/webhooks');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  await setupDatabase();
+  process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+  process.env.DEFAULT_PAYMENT_EMAIL = 'manual@shop.test';
+
+  await db.insert('email_aliases', {
+    alias_email: 'manual@shop.test',
+    bank_slug: 'td',
+    daily_cap_cents: 500000,
+    requires_security_answer: true
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+  delete process.env.DEFAULT_PAYMENT_EMAIL;
+  await teardownDatabase();
+});
+
+describe('answers', () => {
+  test('are derived from the reference and verified against the hash', () => {
+    const first = createSecurityAnswer('ORD-7K3M9QX');
+    const again = createSecurityAnswer('ORD-7K3M9QX');
+
+    expect(first.answer).toMatch(/^[0-9A-Z]{8}$/);
+    expect(again.answer).toBe(first.answer);
+    expect(again.hash).not.toBe(first.hash);
+    expect(verifySecurityAnswer(first.answer.toLowerCase(), first.hash)).toBe(true);
+    expect(verifySecurityAnswer('WRONG123', first.hash)).toBe(false);
+  });
+
+  test('cannot be revealed after the key changes', () => {
+    const { hash } = createSecurityAnswer('ORD-7K3M9QX');
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'another-key';
+    try {
+      expect(() => revealSecurityAnswer({ reference_number: 'ORD-7K3M9QX', security_answer_hash: hash }))
+        .toThrow(SecurityAnswerError);
+    } finally {
+      process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+    }
+  });
+});
+
+describe('WooCommerce orders', () => {
+  test('get an answer for an alias without Autodeposit', async () => {
+    const response = await fetch(`${baseUrl}/api/webhooks/woocommerce`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 501, status: 'pending', total: '45.00', billing: { email: 'pat@example.com' } })
+    });
+    expect(response.status).toBe(200);
+
+    const order = await db.get("SELECT * FROM orders WHERE woo_order_id = '501'");
+    expect(order.payment_instructions.security_question).toBeTruthy();
+    expect(order.payment_instructions.security_answer).toBeUndefined();
+    expect(verifySecurityAnswer(revealSecurityAnswer(order), order.security_answer_hash)).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * WooCommerce webhook tests
+ * An order paid on the WooCommerce side is recorded as a payment
+ */
+
+const express = require('express');
+const { db, setupDatabase, teardownDatabase, createOrder } = require('./helpers/database');
+const webhookRoutes = require('../routes/webhooks');
+const { createRefund } = require('../services/refunds');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await teardownDatabase();
+});
+
+async function post(body) {
+  const response = await fetch(`${baseUrl}/api/webhooks/woocommerce`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const paymentsFor = order => db.query('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+const reload = order => db.get('SELECT * FROM orders WHERE id = ?', [order.id]);
+
+describe('orders paid in WooCommerce', () => {
+  test('record what is owed as one payment, once', async () => {
+    const order = await createOrder({ woo_order_id: '601', amount_received_cents: 1000, status: 'partially_paid' });
+
+    expect((await post({ id: 601, status: 'processing', transaction_id: 'pi_123' })).status).toBe(200);
+    expect((await post({ id: 601, status: 'processing', transaction_id: 'pi_123' })).status).toBe(200);
+
+    const payments = await paymentsFor(order);
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ amount_cents: 3500, source: 'woocommerce', transaction_id: 'WOO-601-PI_123' });
+    expect(await reload(order)).toMatchObject({ status: 'paid', amount_received_cents: 4500 });
+  });
+
+  test('pass through paid to completed, and can then be refunded', async () => {
+    const order = await createOrder({ woo_order_id: '602' });
+
+    expect((await post({ id: 602, status: 'completed' })).status).toBe(200);
+
+    expect(await paymentsFor(order)).toHaveLength(1);
+    expect(await reload(order)).toMatchObject({ status: 'completed', amount_received_cents: 4500 });
+    expect((await createRefund(order.id, { reason: 'returned' })).amount_cents).toBe(4500);
+  });
+
+  test('add nothing for an order already paid by e-Transfer', async () => {
+    const order = await createOrder({ woo_order_id: '603', status: 'paid', amount_received_cents: 4500 });
+
+    await post({ id: 603, status: 'completed' });
+
+    expect(await paymentsFor(order)).toHaveLength(0);
+    expect((await reload(order)).status).toBe('completed');
+  });
+});